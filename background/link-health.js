@@ -0,0 +1,213 @@
+// background/link-health.js
+// Source link check: fetches each record's page and checks whether the copied text is still there
+// Uses the same text normalization as the content script (utils/text-match.js) and measures how much
+// of the whole copied text is still on the page
+
+import '../utils/text-match.js';
+import * as storage from '../utils/storage.js';
+import { isSamePage } from '../utils/url-normalize.js';
+
+const { normalizeText, createWordIndex, calculateWordCoverage } = globalThis.ClipTraceTextMatch;
+
+export const LINK_HEALTH_ALARM = 'link-health-check';
+
+// Alarm periods for the linkCheckInterval setting
+const INTERVAL_MINUTES = {
+  daily: 24 * 60,
+  weekly: 7 * 24 * 60
+};
+
+// Pages fetched per run (least recently checked first) and per stored batch
+const MAX_PAGES_PER_RUN = 200;
+const PAGES_PER_BATCH = 20;
+
+const FETCH_TIMEOUT_MS = 15000;
+
+// Only the start of very large pages is converted and searched
+const MAX_PAGE_HTML_LENGTH = 2000000;
+const MAX_PAGE_TEXT_LENGTH = 500000;
+
+// Marker appended by the content script to truncated records
+const TRUNCATION_MARKER = '... (truncated)';
+
+// Tags that separate words when converting HTML to text (others are inline)
+const BLOCK_TAGS = 'address|article|aside|blockquote|br|dd|div|dl|dt|figcaption|figure|footer|h[1-6]|header|hr|li|main|nav|ol|p|pre|section|table|tbody|td|tfoot|th|thead|tr|ul';
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+let currentRun = null;
+
+// Decode character references (named ones limited to the common set)
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      try {
+        return String.fromCodePoint(code);
+      } catch (e) {
+        return match;
+      }
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+// Extract visible text from HTML (service workers have no DOMParser)
+function htmlToText(html) {
+  return decodeEntities(html
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<(script|style|noscript|template|svg)\b[\s\S]*?<\/\1\s*>/gi, ' ')
+    .replace(new RegExp(`</?(?:${BLOCK_TAGS})\\b[^>]*>`, 'gi'), ' ')
+    .replace(/<[^>]*>/g, ''));
+}
+
+// Fetch a page without cookies and return its text
+async function fetchPage(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(url, { credentials: 'omit', redirect: 'follow', signal: controller.signal });
+    const contentType = response.headers.get('content-type') || '';
+    const body = response.ok && /text\/|html|xml/.test(contentType)
+      ? (await response.text()).substring(0, MAX_PAGE_HTML_LENGTH)
+      : '';
+
+    return {
+      ok: response.ok,
+      status: response.status,
+      finalUrl: response.url,
+      redirected: response.redirected,
+      text: (contentType.includes('html') ? htmlToText(body) : body).substring(0, MAX_PAGE_TEXT_LENGTH)
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Normalized text and word index of a fetched page, built once for all records from it
+function getPageIndex(page) {
+  if (!page.index) {
+    const text = normalizeText(page.text);
+    page.index = { text, words: createWordIndex(text) };
+  }
+  return page.index;
+}
+
+/**
+ * Classify one record against its fetched page
+ * similarity is the share of the record's word trigrams still on the page, so a record is only
+ * intact when all of its text is there
+ * @param {object} item - Record
+ * @param {object} page - { ok, status, finalUrl, redirected, text } (see fetchPage)
+ * @returns {object|null} linkHealth, or null for inconclusive responses (server errors, rate
+ *   limits), keeping the previous result
+ */
+export function classifyRecord(item, page) {
+  const checkedAt = Date.now();
+
+  if (page.status === 404 || page.status === 410) {
+    return { status: 'gone', checkedAt, httpStatus: page.status, finalUrl: null, similarity: 0 };
+  }
+  if (!page.ok) return null;
+
+  const text = normalizeText(item.text.endsWith(TRUNCATION_MARKER)
+    ? item.text.slice(0, -TRUNCATION_MARKER.length)
+    : item.text);
+  const pageIndex = getPageIndex(page);
+  const similarity = pageIndex.text.includes(text) ? 1 : calculateWordCoverage(text, pageIndex.words);
+  const moved = page.redirected && !isSamePage(item.url, page.finalUrl);
+
+  return {
+    status: moved ? 'moved' : similarity === 1 ? 'intact' : 'changed',
+    checkedAt,
+    httpStatus: page.status,
+    finalUrl: moved ? page.finalUrl : null,
+    similarity: Math.round(similarity * 100) / 100
+  };
+}
+
+// Check the least recently checked pages and store the results in batches
+async function runCheck() {
+  const history = await storage.getHistory();
+
+  // One fetch per page (by page key), shared by all records from it; the newest record's URL is fetched
+  const pages = new Map();
+  history
+    .filter(item => /^https?:/i.test(item.url))
+    .forEach(item => {
+      if (!pages.has(item.pageKey)) pages.set(item.pageKey, []);
+      pages.get(item.pageKey).push(item);
+    });
+
+  const queue = Array.from(pages.values(), items => ({
+    url: items[0].url,
+    items,
+    lastChecked: Math.min(...items.map(item => item.linkHealth?.checkedAt || 0))
+  }))
+    .sort((a, b) => a.lastChecked - b.lastChecked)
+    .slice(0, MAX_PAGES_PER_RUN);
+
+  const summary = { pages: queue.length, intact: 0, changed: 0, moved: 0, gone: 0, skipped: 0 };
+  let results = [];
+
+  for (let i = 0; i < queue.length; i++) {
+    const { url, items } = queue[i];
+    let page = null;
+    try {
+      page = await fetchPage(url);
+    } catch (error) {
+      // Network errors and timeouts are inconclusive (offline, flaky host)
+      console.warn('[ClipTrace] Link check failed:', url, error.message);
+    }
+
+    items.forEach(item => {
+      const linkHealth = page ? classifyRecord(item, page) : null;
+      if (!linkHealth) {
+        summary.skipped++;
+        return;
+      }
+      summary[linkHealth.status]++;
+      results.push({ id: item.id, linkHealth });
+    });
+
+    if (results.length > 0 && ((i + 1) % PAGES_PER_BATCH === 0 || i === queue.length - 1)) {
+      await storage.setLinkHealth(results);
+      results = [];
+    }
+  }
+
+  console.log('[ClipTrace] Link check done:', summary);
+  return summary;
+}
+
+/**
+ * Check whether source pages still contain the copied text
+ * Concurrent calls share the running check
+ * @returns {Promise<object>} Summary: pages checked and record counts per status
+ */
+export function checkLinkHealth() {
+  if (!currentRun) {
+    currentRun = runCheck().finally(() => {
+      currentRun = null;
+    });
+  }
+  return currentRun;
+}
+
+/**
+ * Create or clear the scheduled check for the linkCheckInterval setting
+ * @param {string} interval - 'off', 'daily' or 'weekly'
+ */
+export async function scheduleLinkHealth(interval) {
+  const period = INTERVAL_MINUTES[interval];
+  if (!period) {
+    await chrome.alarms.clear(LINK_HEALTH_ALARM);
+    return;
+  }
+
+  const existing = await chrome.alarms.get(LINK_HEALTH_ALARM);
+  if (existing?.periodInMinutes !== period) {
+    await chrome.alarms.create(LINK_HEALTH_ALARM, { delayInMinutes: period, periodInMinutes: period });
+  }
+}
@@ -1,25 +1,59 @@
 // background/service-worker.js
 // Background service script: receives messages from content scripts, manages storage, handles sidebar interactions
 
+import '../utils/text-match.js';
+import * as storage from '../utils/storage.js';
+import { isSamePage } from '../utils/url-normalize.js';
+import { setCustomDetectors } from '../utils/classifiers.js';
+import { checkLinkHealth, scheduleLinkHealth, LINK_HEALTH_ALARM } from './link-health.js';
+
+// Limits for images captured with rich selections
+const MAX_RICH_IMAGES = 10;
+const MAX_IMAGE_BYTES = 2 * 1024 * 1024;
+
+// Word overlap above which the 'similar' dedup policy treats two copies as one
+const NEAR_DUPLICATE_THRESHOLD = 0.85;
+
+// Newest records a copy is compared with under the 'similar' dedup policy (the check runs
+// inside the append transaction, so it must stay short)
+const NEAR_DUPLICATE_SCAN_LIMIT = 500;
+
+const { normalizeText, calculateWordSimilarity } = globalThis.ClipTraceTextMatch;
+
 // Listen for messages from content scripts
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'COPY_DETECTED') {
-    saveClipboardItem(message.data, sender.tab);
+    saveClipboardItem(message.data, sender.tab, sender.frameId);
     sendResponse({ success: true });
+    return;
+  }
+
+  if (message.type === 'ANCHOR_REPAIRED') {
+    repairAnchor(message, sender.tab);
+    return;
+  }
+
+  if (message.type === 'GET_SETTINGS') {
+    storage.getSettings()
+      .then(settings => sendResponse({ settings }))
+      .catch(() => sendResponse({ settings: storage.DEFAULT_SETTINGS }));
+    return true; // Keep message channel open
   }
-  return true; // Keep message channel open
 });
 
 // Save clipboard item
-async function saveClipboardItem(data, tab) {
+async function saveClipboardItem(data, tab, frameId) {
   try {
+    // Copies made inside iframes are filed under the top-level page (the frame URL stays in data.frame)
+    if (frameId && tab?.url) {
+      data = { ...data, url: tab.url, canonicalUrl: '', pageTitle: tab.title || data.pageTitle };
+    }
+
     // Check storage quota before saving
-    const bytesInUse = await chrome.storage.local.getBytesInUse(null);
-    const quota = chrome.storage.local.QUOTA_BYTES || 10485760; // 10MB
-    const usagePercent = (bytesInUse / quota) * 100;
+    const { percentage } = await storage.getStorageUsage();
 
     // If storage is nearly full (>95%), skip saving and notify
-    if (usagePercent > 95) {
+    if (percentage > 95) {
       console.warn('[ClipTrace] Storage limit reached. Cannot auto-save.');
       // Notify sidebar about storage full
       chrome.runtime.sendMessage({
@@ -29,47 +63,22 @@ async function saveClipboardItem(data, tab) {
       return;
     }
 
-    // Get existing data from storage
-    const result = await chrome.storage.local.get(['clipboardHistory']);
-    const history = result.clipboardHistory || [];
+    // Create new item (validated against the record schema), tagged with the user's detectors too
+    const settings = await storage.getSettings();
+    setCustomDetectors(settings.customDetectors);
+    const item = storage.createRecord(data, tab);
 
-    // Check for same-day duplicates (same URL and same text within the same day)
-    const todayStart = new Date().setHours(0, 0, 0, 0);
-    const isDuplicateToday = history.some(item =>
-      item.text === data.text &&
-      item.url === data.url &&
-      item.timestamp >= todayStart
-    );
+    // Duplicate check for the dedup setting; runs inside the append transaction so concurrent
+    // copies cannot both pass it, and a duplicate bumps the stored record's copy count
+    const duplicateCheck = getDuplicateCheck(settings.dedupPolicy, item);
 
-    if (isDuplicateToday) {
-      console.log('[ClipTrace] Skipping same-day duplicate from same page');
-      return;
-    }
-
-    // Create new item
-    const item = {
-      id: generateId(),
-      text: data.text,
-      url: data.url,
-      pageTitle: data.pageTitle,
-      favicon: tab?.favIconUrl || '',
-      timestamp: data.timestamp,
-      selectionInfo: data.selectionInfo,
-      tags: extractTags(data.text)
-    };
-
-    // Add to history (limit to 1000 items)
-    history.unshift(item);
-    if (history.length > 1000) {
-      history.pop();
-    }
-
-    // Save to storage with error handling
+    // Save to storage with error handling (sidebar is notified by the storage change event)
+    let saved;
     try {
-      await chrome.storage.local.set({ clipboardHistory: history });
+      saved = await storage.addItem(item, duplicateCheck);
     } catch (saveError) {
       // Handle quota exceeded error
-      if (saveError.message?.includes('QUOTA') || saveError.name === 'QuotaExceededError') {
+      if (saveError.name === 'QuotaExceededError') {
         console.error('[ClipTrace] Storage quota exceeded. Cannot save.');
         chrome.runtime.sendMessage({
           type: 'STORAGE_FULL',
@@ -80,51 +89,98 @@ async function saveClipboardItem(data, tab) {
       throw saveError;
     }
 
-    // Notify sidebar of update (ignore errors when sidebar is not open)
-    chrome.runtime.sendMessage({
-      type: 'HISTORY_UPDATED',
-      data: item
-    }).catch(() => {
-      // Silently ignore when sidebar is not open
-    });
+    if (saved.merged) {
+      console.log(`[ClipTrace] Duplicate copy, count now ${saved.item.copyCount}`);
+      return;
+    }
 
     console.log('[ClipTrace] Saved:', item.text.substring(0, 50) + '...');
 
+    // Fetch images of rich selections after the record is saved
+    if (item.richContent?.images.length) {
+      saveRichImages(item);
+    }
+
   } catch (error) {
     console.error('[ClipTrace] Failed to save:', error);
   }
 }
 
-// Generate unique ID
-function generateId() {
-  return Date.now().toString(36) + Math.random().toString(36).substring(2);
+// Build the addItem duplicate options for a dedup policy (see storage.DEDUP_POLICIES)
+function getDuplicateCheck(policy, item) {
+  switch (policy) {
+    case 'off':
+      return {};
+
+    case 'sameText':
+      // Text hash lookup; the text is compared too, in case two texts share a hash
+      return { scope: 'text', isDuplicate: (existing) => existing.text === item.text };
+
+    case 'similar': {
+      const text = normalizeText(item.text);
+      return {
+        scope: 'recent',
+        limit: NEAR_DUPLICATE_SCAN_LIMIT,
+        isDuplicate: (existing) => {
+          const other = normalizeText(existing.text);
+          // Texts of very different length cannot reach the threshold
+          if (Math.min(text.length, other.length) < Math.max(text.length, other.length) * NEAR_DUPLICATE_THRESHOLD) {
+            return false;
+          }
+          return calculateWordSimilarity(text, other) >= NEAR_DUPLICATE_THRESHOLD;
+        }
+      };
+    }
+
+    default: {
+      // 'samePageDay': same text from the same page within the same day
+      const todayStart = new Date().setHours(0, 0, 0, 0);
+      return {
+        scope: 'page',
+        isDuplicate: (existing) => existing.text === item.text && existing.timestamp >= todayStart
+      };
+    }
+  }
 }
 
-// Auto-extract tags
-function extractTags(text) {
-  const tags = [];
+// Fetch images referenced by a record's rich content and store them as blobs
+// Runs in the background (host permissions avoid page CORS limits); failed images keep only their alt text
+async function saveRichImages(item) {
+  const images = [];
 
-  // Detect code
-  if (/function\s|const\s|let\s|var\s|class\s|def\s|import\s|=>/.test(text)) {
-    tags.push('code');
-  }
+  for (const image of item.richContent.images.slice(0, MAX_RICH_IMAGES)) {
+    try {
+      const response = await fetch(image.src, { credentials: 'omit' });
+      if (!response.ok) continue;
 
-  // Detect URL
-  if (/https?:\/\/[^\s]+/.test(text)) {
-    tags.push('link');
-  }
+      const blob = await response.blob();
+      if (!blob.type.startsWith('image/') || blob.size > MAX_IMAGE_BYTES) continue;
 
-  // Detect email
-  if (/[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/.test(text)) {
-    tags.push('email');
+      images.push({ ...image, blob });
+    } catch (error) {
+      console.warn('[ClipTrace] Failed to fetch image:', image.src, error);
+    }
   }
 
-  // Detect numbers/data
-  if (/\d{4,}/.test(text)) {
-    tags.push('numbers');
+  if (images.length > 0) {
+    await storage.saveRecordImages(item.id, images).catch(error => {
+      console.error('[ClipTrace] Failed to save images:', error);
+    });
   }
+}
+
+// Store a fresh anchor computed by the content script after a fallback method found the text
+// Only accepted from a tab showing the record's page
+async function repairAnchor({ id, anchor, method }, tab) {
+  try {
+    const item = await storage.getItem(id);
+    if (!item || !tab?.url || !isSamePage(item.url, tab.url)) return;
 
-  return tags;
+    await storage.reviseAnchor(id, anchor, method);
+    console.log('[ClipTrace] Repaired anchor after locating via', method);
+  } catch (error) {
+    console.error('[ClipTrace] Failed to repair anchor:', error);
+  }
 }
 
 // Listen for extension icon click (open sidebar)
@@ -142,33 +198,51 @@ chrome.sidePanel.setPanelBehavior({ openPanelOnActionClick: true }).catch(() =>
 // Listen for requests from sidebar
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'GET_HISTORY') {
-    chrome.storage.local.get(['clipboardHistory']).then(result => {
-      sendResponse({ history: result.clipboardHistory || [] });
+    storage.getHistory().then(history => {
+      sendResponse({ history });
     });
     return true;
   }
 
   if (message.type === 'DELETE_ITEM') {
-    deleteItem(message.id).then(() => {
+    storage.deleteItem(message.id).then(() => {
       sendResponse({ success: true });
     });
     return true;
   }
 
   if (message.type === 'CLEAR_ALL') {
-    chrome.storage.local.set({ clipboardHistory: [] }).then(() => {
+    storage.clearAll().then(() => {
       sendResponse({ success: true });
     });
     return true;
   }
+
+  if (message.type === 'CHECK_LINK_HEALTH') {
+    checkLinkHealth()
+      .then(summary => sendResponse({ success: true, summary }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
 });
 
-// Delete single item
-async function deleteItem(id) {
-  const result = await chrome.storage.local.get(['clipboardHistory']);
-  const history = result.clipboardHistory || [];
-  const filtered = history.filter(item => item.id !== id);
-  await chrome.storage.local.set({ clipboardHistory: filtered });
-}
+// Scheduled source link check (interval from settings)
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === LINK_HEALTH_ALARM) {
+    checkLinkHealth().catch(error => {
+      console.error('[ClipTrace] Link check failed:', error);
+    });
+  }
+});
+
+storage.getSettings().then(settings => scheduleLinkHealth(settings.linkCheckInterval)).catch(() => { });
+storage.onSettingsChanged(settings => {
+  scheduleLinkHealth(settings.linkCheckInterval).catch(() => { });
+});
+
+// Open the database early so the legacy history migration runs on startup
+storage.openStorage().catch(error => {
+  console.error('[ClipTrace] Failed to open history database:', error);
+});
 
 console.log('[ClipTrace] Background service started');
@@ -0,0 +1,46 @@
+// content/clipboard-hook.js
+// Runs in the page's MAIN world: observes page-initiated clipboard writes
+// ("Copy" buttons use navigator.clipboard.writeText/write, which fire no copy event)
+// and forwards the written text to the isolated content script as a DOM event
+
+(() => {
+    const EVENT_NAME = 'cliptrace:clipboard-write';
+
+    if (typeof Clipboard === 'undefined' || window.__clipTraceClipboardHooked) return;
+    window.__clipTraceClipboardHooked = true;
+
+    // Forward successfully written text
+    // Page scripts can dispatch this event too, without a user gesture; the content script
+    // therefore only records it while the frame has user activation
+    const notify = (text) => {
+        if (typeof text !== 'string' || !text.trim()) return;
+        document.dispatchEvent(new CustomEvent(EVENT_NAME, { detail: { text } }));
+    };
+
+    const originalWriteText = Clipboard.prototype.writeText;
+    const originalWrite = Clipboard.prototype.write;
+
+    if (originalWriteText) {
+        Clipboard.prototype.writeText = function (data) {
+            const result = originalWriteText.apply(this, arguments);
+            result.then(() => notify(String(data))).catch(() => { });
+            return result;
+        };
+    }
+
+    if (originalWrite) {
+        Clipboard.prototype.write = function (items) {
+            const result = originalWrite.apply(this, arguments);
+            result.then(async () => {
+                for (const item of items || []) {
+                    if (item.types?.includes('text/plain')) {
+                        const blob = await item.getType('text/plain');
+                        notify(await blob.text());
+                        return;
+                    }
+                }
+            }).catch(() => { });
+            return result;
+        };
+    }
+})();
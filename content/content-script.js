@@ -1,5 +1,6 @@
 // content/content-script.js
-// Content script: listens for copy events on the page, extracts copied content and context information
+// Content script: listens for copy/cut events and page clipboard writes, extracts copied content and context information
+// normalizeText, calculateSimilarity and calculateWordSimilarity are defined in utils/text-match.js (loaded first, see manifest)
 
 // ============ Extension Context Check ============
 
@@ -88,11 +89,11 @@ function shouldSkipRecording(text, url) {
 
 // ============ Copy Event Listener ============
 
-// Get user settings
+// Get user settings (read through the background storage layer)
 async function getUserSettings() {
     try {
-        const result = await chrome.storage.local.get(['smartClipboardSettings']);
-        return result.smartClipboardSettings || { incognitoMode: false, blacklist: [] };
+        const response = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+        return response?.settings || { incognitoMode: false, blacklist: [] };
     } catch (e) {
         return { incognitoMode: false, blacklist: [] };
     }
@@ -112,17 +113,90 @@ function isInUserBlacklist(url, blacklist) {
     }
 }
 
-document.addEventListener('copy', async (event) => {
+// URLs a capture belongs to: this frame and, inside iframes, the origins of all ancestor frames
+// (so blacklisted and sensitive sites are also skipped in the frames they embed)
+function getContextUrls() {
+    return [window.location.href, ...Array.from(window.location.ancestorOrigins || [])];
+}
+
+// Record user copies and cuts (cut fires before the text is removed, so the selection is intact)
+document.addEventListener('copy', (event) => handleSelectionCapture('copy', event));
+document.addEventListener('cut', (event) => handleSelectionCapture('cut', event));
+
+// How long after a trusted click or key press a page clipboard write counts as user-initiated
+// (about the transient activation lifetime of browsers)
+const USER_ACTIVATION_WINDOW_MS = 5000;
+
+let lastTrustedInputAt = 0;
+['pointerdown', 'keydown'].forEach(type => {
+    document.addEventListener(type, (event) => {
+        if (event.isTrusted) lastTrustedInputAt = Date.now();
+    }, true);
+});
+
+// Whether the user just clicked or pressed a key in this frame
+// Page scripts cannot fake either: navigator.userActivation is set by the browser, and
+// synthetic events are not trusted
+function hasUserActivation() {
+    if (navigator.userActivation?.isActive) return true;
+    return document.hasFocus() && Date.now() - lastTrustedInputAt < USER_ACTIVATION_WINDOW_MS;
+}
+
+// Record page-initiated clipboard writes reported by the MAIN world hook (content/clipboard-hook.js)
+// The page can dispatch this event itself, so writes without a user gesture are ignored: otherwise
+// a page could fill the history silently and push real records out
+document.addEventListener('cliptrace:clipboard-write', (event) => {
+    if (!isExtensionContextValid()) return;
+    if (!hasUserActivation()) {
+        console.log('[ClipTrace] Clipboard write without user activation, skipping record');
+        return;
+    }
+
+    const text = typeof event.detail?.text === 'string' ? event.detail.text.trim() : '';
+    if (!text) return;
+
+    // No selection to anchor: jump-to-source falls back to searching the page text
+    recordCapture({ text, captureMethod: 'api-write', selectionInfo: null, field: null, codeLanguage: null, selectedFragment: null, snapshotNode: null });
+});
+
+// Capture the current selection for a copy or cut event
+function handleSelectionCapture(captureMethod, event) {
     // Check if extension context is still valid
     if (!isExtensionContextValid()) {
         return; // Extension was reloaded, silently exit
     }
 
-    const selection = window.getSelection();
-    const copiedText = selection.toString().trim();
+    const selection = getDeepSelection(event);
+
+    // Copies from <input>/<textarea> are not part of the document selection
+    const focusedField = getFocusedField();
+    if (focusedField && isSensitiveField(focusedField)) {
+        return; // Password and payment card fields are never recorded
+    }
+
+    // Read the selection now, before focus or selection can change while awaiting settings
+    const fieldCapture = focusedField ? captureFieldSelection(focusedField) : null;
+    const copiedText = (fieldCapture ? fieldCapture.text : selection.toString()).trim();
 
     if (!copiedText) return;
 
+    const editableCapture = fieldCapture ? null : captureEditableSelection(selection);
+
+    recordCapture({
+        text: copiedText,
+        captureMethod: captureMethod,
+        selectionInfo: fieldCapture ? fieldCapture.selectionInfo : getSelectionContext(selection),
+        field: (fieldCapture || editableCapture)?.field || null,
+        codeLanguage: !fieldCapture && selection.rangeCount ? getCodeLanguage(selection.getRangeAt(0)) : null,
+        // Clone the selected DOM for rich capture (not available for form fields)
+        selectedFragment: !fieldCapture && selection.rangeCount ? selection.getRangeAt(0).cloneContents() : null,
+        // Clone the enclosing paragraph or section now, before a cut removes the text
+        snapshotNode: !fieldCapture && selection.rangeCount ? cloneSnapshotContext(selection.getRangeAt(0)) : null
+    });
+}
+
+// Apply user settings and privacy checks, then send the capture to the background script
+async function recordCapture({ text: copiedText, captureMethod, selectionInfo, field, codeLanguage, selectedFragment, snapshotNode }) {
     // Get user settings
     const settings = await getUserSettings();
 
@@ -133,7 +207,7 @@ document.addEventListener('copy', async (event) => {
     }
 
     // Check user blacklist
-    if (isInUserBlacklist(window.location.href, settings.blacklist)) {
+    if (getContextUrls().some(url => isInUserBlacklist(url, settings.blacklist))) {
         console.log('[ClipTrace] Current site is blacklisted, skipping record');
         return;
     }
@@ -144,7 +218,7 @@ document.addEventListener('copy', async (event) => {
         : copiedText;
 
     // Security check (built-in sensitive site and content detection)
-    if (shouldSkipRecording(text, window.location.href)) {
+    if (getContextUrls().some(url => shouldSkipRecording(text, url))) {
         console.log('[ClipTrace] Sensitive content detected, skipping record');
         return;
     }
@@ -153,11 +227,29 @@ document.addEventListener('copy', async (event) => {
     const clipboardData = {
         text: text,
         url: window.location.href,
+        // Page key source for duplicate detection and tab matching (ignored for iframes)
+        canonicalUrl: getCanonicalUrl(),
         pageTitle: document.title,
         timestamp: Date.now(),
-        selectionInfo: getSelectionContext(selection)
+        captureMethod: captureMethod,
+        selectionInfo: selectionInfo,
+        field: field,
+        // Language declared by the code block the text was copied from (e.g. "python")
+        codeLanguage: codeLanguage,
+        // Set inside iframes; the background files the record under the top-level page
+        frame: getFrameContext()
     };
 
+    // Optional rich formats (HTML, Markdown, images)
+    if (settings.captureRichFormats && selectedFragment) {
+        clipboardData.richContent = await captureRichContent(selectedFragment);
+    }
+
+    // Optional snapshot of the source context, readable after the page changes
+    if (settings.captureSnapshots && snapshotNode) {
+        clipboardData.snapshot = await captureSnapshot(snapshotNode);
+    }
+
     // Send to background script
     chrome.runtime.sendMessage({
         type: 'COPY_DETECTED',
@@ -165,7 +257,264 @@ document.addEventListener('copy', async (event) => {
     }).catch(err => {
         console.warn('[ClipTrace] Failed to send message:', err);
     });
-});
+}
+
+// ============ Field Capture ============
+
+// Input types that expose selectionStart/selectionEnd (password is handled as sensitive)
+const SELECTABLE_INPUT_TYPES = ['text', 'search', 'url', 'tel', 'password'];
+
+// Get the focused text field, descending into open shadow roots
+function getFocusedField() {
+    let element = document.activeElement;
+    while (element?.shadowRoot?.activeElement) {
+        element = element.shadowRoot.activeElement;
+    }
+
+    if (element?.tagName === 'TEXTAREA') return element;
+    if (element?.tagName === 'INPUT' && SELECTABLE_INPUT_TYPES.includes(element.type)) return element;
+    return null;
+}
+
+// Password and payment card fields must never be recorded
+function isSensitiveField(element) {
+    if (element.type === 'password') return true;
+
+    const autocomplete = (element.getAttribute('autocomplete') || '').toLowerCase();
+    return /(^|\s)cc-/.test(autocomplete) ||
+        /(^|\s)(current-password|new-password|one-time-code)(\s|$)/.test(autocomplete);
+}
+
+// Find a human-readable label for a form field or editor
+function getFieldLabel(element) {
+    const labelledBy = element.getAttribute('aria-labelledby');
+    if (labelledBy) {
+        const root = element.getRootNode();
+        const text = labelledBy.split(/\s+/)
+            .map(id => root.getElementById?.(id)?.textContent || '')
+            .join(' ')
+            .trim();
+        if (text) return text;
+    }
+
+    return (
+        element.labels?.[0]?.textContent ||
+        element.getAttribute('aria-label') ||
+        element.getAttribute('placeholder') ||
+        element.getAttribute('title') ||
+        ''
+    ).trim().substring(0, 100);
+}
+
+// Describe a field so jump-to-source can find and focus it again
+function getFieldDescriptor(element, kind, selectionStart, selectionEnd) {
+    const form = element.form || element.closest('form');
+    return {
+        kind: kind,
+        tagName: element.tagName,
+        type: element.type || '',
+        id: element.id || '',
+        name: element.getAttribute('name') || '',
+        label: getFieldLabel(element),
+        formAction: form?.action || '',
+        xpath: getXPath(element),
+        shadowHosts: getShadowHostPath(element),
+        selectionStart: selectionStart,
+        selectionEnd: selectionEnd
+    };
+}
+
+// Capture the selected text of an <input>/<textarea> via selectionStart/selectionEnd
+function captureFieldSelection(field) {
+    const { selectionStart, selectionEnd, value } = field;
+    if (selectionStart === null || selectionStart === selectionEnd) return null;
+
+    const text = value.substring(selectionStart, selectionEnd);
+
+    return {
+        text: text,
+        field: getFieldDescriptor(field, field.tagName.toLowerCase(), selectionStart, selectionEnd),
+        // No XPath: field values are not DOM text, so only the field locator applies
+        selectionInfo: {
+            xpath: null,
+            // Quote within the field value (position selectors do not apply to values)
+            selectors: [{
+                type: 'TextQuoteSelector',
+                exact: text,
+                prefix: value.substring(Math.max(0, selectionStart - QUOTE_CONTEXT_LENGTH), selectionStart),
+                suffix: value.substring(selectionEnd, selectionEnd + QUOTE_CONTEXT_LENGTH)
+            }],
+            offset: selectionStart,
+            length: text.length,
+            surroundingText: '',
+            textBefore: value.substring(Math.max(0, selectionStart - 50), selectionStart),
+            textAfter: value.substring(selectionEnd, selectionEnd + 50),
+            parentTagName: field.tagName,
+            parentClassName: field.className?.split(' ')[0] || ''
+        }
+    };
+}
+
+// Get the outermost contenteditable host containing a node
+function getEditableRoot(node) {
+    let element = node?.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+    if (!element?.isContentEditable) return null;
+
+    while (element.parentElement?.isContentEditable) {
+        element = element.parentElement;
+    }
+    return element;
+}
+
+// Capture a selection inside a contenteditable editor as text offsets from the editor root
+// Editors re-render their lines, so a path to the editor plus offsets outlives a deep XPath
+function captureEditableSelection(selection) {
+    if (!selection.rangeCount) return null;
+
+    const range = selection.getRangeAt(0);
+    const root = getEditableRoot(range.commonAncestorContainer);
+    if (!root) return null;
+
+    try {
+        const before = document.createRange();
+        before.selectNodeContents(root);
+        before.setEnd(range.startContainer, range.startOffset);
+        const selectionStart = before.toString().length;
+
+        return {
+            field: getFieldDescriptor(root, 'contenteditable', selectionStart, selectionStart + range.toString().length)
+        };
+    } catch (e) {
+        return null;
+    }
+}
+
+// ============ Rich Format Capture ============
+
+// Maximum sanitized HTML length stored with a record
+const MAX_RICH_HTML_LENGTH = 100000;
+
+// Sanitize the selected fragment and convert it to Markdown
+// The shared module is loaded on demand (listed in web_accessible_resources)
+async function captureRichContent(fragment) {
+    try {
+        const { sanitizeHtml, htmlToMarkdown, extractImages } =
+            await import(chrome.runtime.getURL('utils/rich-text.js'));
+
+        const html = sanitizeHtml(fragment, window.location.href);
+
+        // Plain text only, or too large to keep
+        if (!/<[a-z]/i.test(html) || html.length > MAX_RICH_HTML_LENGTH) {
+            return null;
+        }
+
+        return {
+            html,
+            markdown: htmlToMarkdown(html),
+            images: extractImages(html)
+        };
+    } catch (e) {
+        console.warn('[ClipTrace] Failed to capture rich content:', e);
+        return null;
+    }
+}
+
+// ============ Source Snapshot ============
+
+// Blocks that make up a readable snapshot, nearest first
+const SNAPSHOT_BLOCK_SELECTOR = 'p, li, blockquote, pre, figure, td, dd, h1, h2, h3, h4, h5, h6';
+const SNAPSHOT_SECTION_SELECTOR = 'section, article';
+
+// Short blocks are expanded to their section; larger contexts (e.g. <body>) are not archived
+const MIN_SNAPSHOT_TEXT_LENGTH = 280;
+const MAX_SNAPSHOT_TEXT_LENGTH = 20000;
+
+// Maximum sanitized snapshot HTML length stored with a record
+const MAX_SNAPSHOT_HTML_LENGTH = 100000;
+
+// Clone the paragraph or section around a selection
+function cloneSnapshotContext(range) {
+    const container = range.commonAncestorContainer;
+    const element = container.nodeType === Node.TEXT_NODE ? container.parentElement : container;
+    if (!element) return null;
+
+    let block = element.closest(SNAPSHOT_BLOCK_SELECTOR) || element;
+    const section = block.closest(SNAPSHOT_SECTION_SELECTOR);
+    if (section && block.textContent.length < MIN_SNAPSHOT_TEXT_LENGTH &&
+        section.textContent.length <= MAX_SNAPSHOT_TEXT_LENGTH) {
+        block = section;
+    }
+
+    if (block.textContent.length > MAX_SNAPSHOT_TEXT_LENGTH) return null;
+    return block.cloneNode(true);
+}
+
+// Read page metadata from meta and link tags
+function getPageMetadata() {
+    const meta = (selector) => (document.querySelector(selector)?.getAttribute('content') || '').trim();
+
+    return {
+        canonicalUrl: getCanonicalUrl(),
+        author: meta('meta[name="author"]') ||
+            meta('meta[property="article:author"]') ||
+            meta('meta[name="twitter:creator"]'),
+        publishedDate: meta('meta[property="article:published_time"]') ||
+            meta('meta[name="date"]') ||
+            meta('meta[name="dc.date"]') ||
+            meta('meta[itemprop="datePublished"]'),
+        siteName: meta('meta[property="og:site_name"]')
+    };
+}
+
+// Highlighters and site generators mark code blocks with language-*/lang-* classes or data-lang
+const CODE_LANGUAGE_CLASS = /(?:^|\s)(?:language|lang)-([\w+#-]{1,20})(?:\s|$)/i;
+const MAX_CODE_BLOCK_DEPTH = 6;
+
+// Language of the code block around a selection (null outside marked code blocks)
+function getCodeLanguage(range) {
+    const container = range.commonAncestorContainer;
+    const element = container.nodeType === Node.TEXT_NODE ? container.parentElement : container;
+    if (!element) return null;
+
+    // A selection covering a whole block starts above its <code>; check the first code inside too
+    const candidates = [element.querySelector?.('pre, code')].filter(Boolean);
+    for (let node = element, depth = 0; node && node !== document.body && depth < MAX_CODE_BLOCK_DEPTH; node = node.parentElement, depth++) {
+        candidates.push(node);
+    }
+
+    for (const node of candidates) {
+        const className = typeof node.className === 'string' ? node.className : '';
+        const language = className.match(CODE_LANGUAGE_CLASS)?.[1] ||
+            node.getAttribute('data-lang') || node.getAttribute('data-language');
+        if (language) return language.toLowerCase().substring(0, 20);
+    }
+    return null;
+}
+
+// Absolute <link rel="canonical"> URL of the page ('' when absent or not http(s))
+function getCanonicalUrl() {
+    const href = document.querySelector('link[rel="canonical"]')?.href || '';
+    return /^https?:/i.test(href) ? href : '';
+}
+
+// Sanitize the cloned context and attach page metadata
+async function captureSnapshot(node) {
+    try {
+        const { sanitizeHtml } = await import(chrome.runtime.getURL('utils/rich-text.js'));
+
+        const html = sanitizeHtml(node, window.location.href);
+        if (!html || html.length > MAX_SNAPSHOT_HTML_LENGTH) return null;
+
+        return {
+            html,
+            capturedAt: Date.now(),
+            metadata: getPageMetadata()
+        };
+    } catch (e) {
+        console.warn('[ClipTrace] Failed to capture snapshot:', e);
+        return null;
+    }
+}
 
 // ============ Selection Context Extraction ============
 
@@ -188,6 +537,10 @@ function getSelectionContext(selection) {
 
         return {
             xpath: getXPath(container),
+            // XPaths of the shadow hosts enclosing the selection (xpath is then relative to the innermost root)
+            shadowHosts: getShadowHostPath(container),
+            // Web Annotation selectors (see getAnnotationSelectors)
+            selectors: getAnnotationSelectors(range),
             offset: range.startOffset,
             length: selectedText.length,
             surroundingText: getSurroundingText(container, 100),
@@ -211,6 +564,7 @@ function getSelectionContext(selection) {
 }
 
 // Generate XPath
+// Elements inside a shadow root get a path relative to that root (see getShadowHostPath)
 function getXPath(node) {
     // Handle text nodes
     let element = node;
@@ -222,25 +576,28 @@ function getXPath(node) {
         return null;
     }
 
+    const parent = element.parentNode;
+    const inShadowRoot = element.getRootNode() instanceof ShadowRoot;
+
     // Prefer ID
     if (element.id) {
-        return `//*[@id="${element.id}"]`;
+        return (inShadowRoot ? '.' : '') + `//*[@id="${element.id}"]`;
     }
 
-    if (element === document.body) {
+    if (element === element.ownerDocument.body) {
         return '/html/body';
     }
 
-    if (!element.parentNode) {
+    if (!parent) {
         return null;
     }
 
-    const siblings = element.parentNode.children;
+    const siblings = parent.children;
     let index = 1;
 
     for (let sibling of siblings) {
         if (sibling === element) {
-            const parentPath = getXPath(element.parentNode);
+            const parentPath = parent instanceof ShadowRoot ? '.' : getXPath(parent);
             if (!parentPath) return null;
             return parentPath + '/' + element.tagName.toLowerCase() + '[' + index + ']';
         }
@@ -252,6 +609,107 @@ function getXPath(node) {
     return null;
 }
 
+// ============ Frames and Shadow DOM ============
+
+// Get the selection, following it into an open shadow root
+// The document selection is retargeted to the shadow host, but the copy event's
+// composed path still contains the shadow root the selection lives in
+function getDeepSelection(event) {
+    const path = event?.composedPath?.() || [];
+    const shadowRoot = path.find(node => node instanceof ShadowRoot);
+
+    if (shadowRoot && typeof shadowRoot.getSelection === 'function') {
+        const selection = shadowRoot.getSelection();
+        if (selection?.rangeCount && selection.toString()) return selection;
+    }
+    return window.getSelection();
+}
+
+// XPaths of the shadow hosts enclosing a node, outermost first (empty in the light DOM)
+// Each path is relative to the shadow root of the previous host
+function getShadowHostPath(node) {
+    const hosts = [];
+    let root = node.getRootNode();
+
+    while (root instanceof ShadowRoot) {
+        hosts.unshift(getXPath(root.host));
+        root = root.host.getRootNode();
+    }
+    return hosts;
+}
+
+// Resolve the node anchor XPaths are evaluated against: the document,
+// or the open shadow root reached through the recorded shadow hosts
+function resolveAnchorRoot(shadowHosts) {
+    let root = document;
+    for (const hostPath of shadowHosts || []) {
+        const host = hostPath ? getElementByXPath(hostPath, root) : null;
+        if (!host?.shadowRoot) return null;
+        root = host.shadowRoot;
+    }
+    return root;
+}
+
+// XPaths of the <iframe> elements leading from the top document to this frame
+// null in the top frame, or when an ancestor is cross-origin and its document cannot be read
+function getFramePath() {
+    if (window === window.top) return null;
+
+    const path = [];
+    let win = window;
+    try {
+        while (win !== win.top) {
+            const xpath = win.frameElement ? getXPath(win.frameElement) : null;
+            if (!xpath) return null;
+            path.unshift(xpath);
+            win = win.parent;
+        }
+    } catch (e) {
+        return null;
+    }
+    return path;
+}
+
+// Describe the frame a capture comes from (null in the top frame)
+function getFrameContext() {
+    if (window === window.top) return null;
+    return { url: window.location.href, path: getFramePath() };
+}
+
+// Highlight requests reach every frame of the tab; only the frame the text was copied from handles them
+// Frames are matched by their iframe path, then by URL when the embedding page changed
+function isHighlightTarget(frame) {
+    if (!frame) return window === window.top;
+    if (window === window.top) return false;
+
+    const path = getFramePath();
+    if (frame.path && path && frame.path.join('\n') === path.join('\n')) return true;
+    return window.location.href === frame.url;
+}
+
+// TreeWalker-like iterator over text nodes that also descends into open shadow roots
+function createDeepTextWalker(root) {
+    const filter = NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT;
+    const walkers = [document.createTreeWalker(root, filter, null, false)];
+
+    return {
+        nextNode() {
+            while (walkers.length > 0) {
+                const node = walkers[walkers.length - 1].nextNode();
+                if (!node) {
+                    walkers.pop();
+                    continue;
+                }
+                if (node.nodeType === Node.TEXT_NODE) return node;
+                if (node.shadowRoot) {
+                    walkers.push(document.createTreeWalker(node.shadowRoot, filter, null, false));
+                }
+            }
+            return null;
+        }
+    };
+}
+
 // Get surrounding text for precise positioning
 function getSurroundingText(element, length) {
     try {
@@ -262,6 +720,357 @@ function getSurroundingText(element, length) {
     }
 }
 
+// ============ Text Anchors (W3C Web Annotation Selectors) ============
+// Records store TextQuoteSelector, TextPositionSelector and CssSelector objects
+// (https://www.w3.org/TR/annotation-model/#selectors), so anchors are portable to other annotation tools
+// Text positions count characters of the text nodes in document order (see createDeepTextWalker)
+
+// Context length stored around the quote (same as common annotation clients)
+const QUOTE_CONTEXT_LENGTH = 32;
+
+// Minimum confidence for a quote match of short text (short quotes occur many times on a page)
+const MIN_SHORT_QUOTE_CONFIDENCE = 0.7;
+
+// Collect the text nodes under a root with the start position of each
+function buildTextIndex(root) {
+    const walker = createDeepTextWalker(root);
+    const nodes = [];
+    const starts = [];
+    let text = '';
+    let node;
+
+    while (node = walker.nextNode()) {
+        nodes.push(node);
+        starts.push(text.length);
+        text += node.data;
+    }
+    return { nodes, starts, text };
+}
+
+// Text position of a range boundary within an index
+function getTextPosition(index, container, offset) {
+    if (container.nodeType === Node.TEXT_NODE) {
+        const i = index.nodes.indexOf(container);
+        return i === -1 ? -1 : index.starts[i] + offset;
+    }
+
+    // Element boundary: position of the first text node after it
+    const next = container.childNodes[offset] || null;
+    for (let i = 0; i < index.nodes.length; i++) {
+        const node = index.nodes[i];
+        const after = next
+            ? next === node || next.contains(node) || (next.compareDocumentPosition(node) & Node.DOCUMENT_POSITION_FOLLOWING)
+            : !container.contains(node) && (container.compareDocumentPosition(node) & Node.DOCUMENT_POSITION_FOLLOWING);
+        if (after) return index.starts[i];
+    }
+    return index.text.length;
+}
+
+// Build a range covering [start, end) text positions within an index
+function createRangeFromIndex(index, start, end) {
+    if (start < 0 || end <= start || end > index.text.length) return null;
+
+    let startNode = -1;
+    let endNode = -1;
+    for (let i = 0; i < index.nodes.length; i++) {
+        const nodeEnd = index.starts[i] + index.nodes[i].length;
+        if (startNode === -1 && start < nodeEnd) startNode = i;
+        if (end <= nodeEnd) {
+            endNode = i;
+            break;
+        }
+    }
+    if (startNode === -1 || endNode === -1) return null;
+
+    const range = document.createRange();
+    range.setStart(index.nodes[startNode], start - index.starts[startNode]);
+    range.setEnd(index.nodes[endNode], end - index.starts[endNode]);
+    return range;
+}
+
+// Build a CSS selector for an element: nth-of-type steps up to an id, <body> or the shadow root
+function getCssSelector(element) {
+    const steps = [];
+    let current = element;
+
+    while (current) {
+        if (current.id) {
+            steps.unshift('#' + CSS.escape(current.id));
+            break;
+        }
+        if (current === current.ownerDocument.body) {
+            steps.unshift('body');
+            break;
+        }
+
+        let index = 1;
+        let sibling = current;
+        while ((sibling = sibling.previousElementSibling)) {
+            if (sibling.tagName === current.tagName) index++;
+        }
+        steps.unshift(`${current.tagName.toLowerCase()}:nth-of-type(${index})`);
+        current = current.parentElement;
+    }
+    return steps.join(' > ');
+}
+
+// Describe a selection range with Web Annotation selectors
+// @returns {Array<object>} TextQuoteSelector, TextPositionSelector and CssSelector (refined by a position inside the element)
+function getAnnotationSelectors(range) {
+    const pageIndex = buildTextIndex(document.body);
+    const start = getTextPosition(pageIndex, range.startContainer, range.startOffset);
+    const end = getTextPosition(pageIndex, range.endContainer, range.endOffset);
+    if (start === -1 || end === -1 || end <= start) return [];
+
+    const selectors = [
+        {
+            type: 'TextQuoteSelector',
+            exact: pageIndex.text.substring(start, end),
+            prefix: pageIndex.text.substring(Math.max(0, start - QUOTE_CONTEXT_LENGTH), start),
+            suffix: pageIndex.text.substring(end, end + QUOTE_CONTEXT_LENGTH)
+        },
+        { type: 'TextPositionSelector', start, end }
+    ];
+
+    const container = range.commonAncestorContainer;
+    let element = container.nodeType === Node.TEXT_NODE ? container.parentElement : container;
+    // Never anchor to a temporary highlight mark (anchors are also computed while one is shown)
+    while (element?.classList.contains('smart-clipboard-highlight')) {
+        element = element.parentElement;
+    }
+    if (element) {
+        const elementIndex = buildTextIndex(element);
+        const elementStart = getTextPosition(elementIndex, range.startContainer, range.startOffset);
+        const elementEnd = getTextPosition(elementIndex, range.endContainer, range.endOffset);
+        if (elementStart !== -1 && elementEnd > elementStart) {
+            selectors.push({
+                type: 'CssSelector',
+                value: getCssSelector(element),
+                refinedBy: { type: 'TextPositionSelector', start: elementStart, end: elementEnd }
+            });
+        }
+    }
+
+    return selectors;
+}
+
+// Length of the common suffix of two strings, as a ratio of the expected string
+function suffixMatchRatio(actual, expected) {
+    if (!expected) return 1;
+    let length = 0;
+    while (length < expected.length && length < actual.length &&
+        actual[actual.length - 1 - length] === expected[expected.length - 1 - length]) {
+        length++;
+    }
+    return length / expected.length;
+}
+
+// Length of the common prefix of two strings, as a ratio of the expected string
+function prefixMatchRatio(actual, expected) {
+    if (!expected) return 1;
+    let length = 0;
+    while (length < expected.length && length < actual.length && actual[length] === expected[length]) {
+        length++;
+    }
+    return length / expected.length;
+}
+
+/**
+ * Resolve stored selectors to a range, in order:
+ * 1. TextPositionSelector whose text still equals the quote (confidence 1)
+ * 2. CssSelector refined by a position, or the quote found once inside the element (0.95 / 0.85)
+ * 3. TextQuoteSelector anywhere on the page, scored by prefix/suffix context and distance to the old position
+ * @param {object} selectionInfo - Stored selection info with selectors
+ * @returns {{range: Range, selector: string, confidence: number}|null} Best match
+ */
+function resolveSelectors(selectionInfo) {
+    const selectors = Array.isArray(selectionInfo?.selectors) ? selectionInfo.selectors : [];
+    const quote = selectors.find(s => s.type === 'TextQuoteSelector');
+    const position = selectors.find(s => s.type === 'TextPositionSelector');
+    const css = selectors.find(s => s.type === 'CssSelector');
+    if (!quote?.exact) return null;
+
+    const pageIndex = buildTextIndex(document.body);
+
+    // 1. Unchanged page: the quote is still at its global position
+    if (position && pageIndex.text.substring(position.start, position.end) === quote.exact) {
+        const range = createRangeFromIndex(pageIndex, position.start, position.end);
+        if (range) return { range, selector: 'TextPositionSelector', confidence: 1 };
+    }
+
+    // 2. Content elsewhere on the page changed, but the element is still found
+    if (css) {
+        let element = null;
+        try {
+            element = resolveAnchorRoot(selectionInfo.shadowHosts)?.querySelector(css.value) || null;
+        } catch (e) {
+            element = null; // Invalid selector
+        }
+
+        if (element) {
+            const elementIndex = buildTextIndex(element);
+            const refined = css.refinedBy;
+            if (refined && elementIndex.text.substring(refined.start, refined.end) === quote.exact) {
+                const range = createRangeFromIndex(elementIndex, refined.start, refined.end);
+                if (range) return { range, selector: 'CssSelector', confidence: 0.95 };
+            }
+
+            const first = elementIndex.text.indexOf(quote.exact);
+            if (first !== -1 && elementIndex.text.indexOf(quote.exact, first + 1) === -1) {
+                const range = createRangeFromIndex(elementIndex, first, first + quote.exact.length);
+                if (range) return { range, selector: 'CssSelector', confidence: 0.85 };
+            }
+        }
+    }
+
+    // 3. Quote search: every occurrence scored by its context (0.5 base, up to 0.95)
+    let best = null;
+    let index = pageIndex.text.indexOf(quote.exact);
+    while (index !== -1) {
+        const end = index + quote.exact.length;
+        const before = pageIndex.text.substring(Math.max(0, index - (quote.prefix || '').length), index);
+        const after = pageIndex.text.substring(end, end + (quote.suffix || '').length);
+
+        let confidence = 0.5 +
+            0.2 * suffixMatchRatio(before, quote.prefix) +
+            0.2 * prefixMatchRatio(after, quote.suffix);
+        if (position) {
+            const distance = Math.abs(index - position.start) / Math.max(pageIndex.text.length, 1);
+            confidence += 0.05 * (1 - Math.min(distance, 1));
+        }
+
+        if (!best || confidence > best.confidence) {
+            best = { start: index, end, confidence };
+        }
+        index = pageIndex.text.indexOf(quote.exact, index + 1);
+    }
+
+    if (!best) return null;
+    if (quote.exact.trim().length < 15 && best.confidence < MIN_SHORT_QUOTE_CONFIDENCE) {
+        console.warn(`[ClipTrace] Quote match confidence ${best.confidence.toFixed(2)} too low for short text`);
+        return null;
+    }
+
+    const range = createRangeFromIndex(pageIndex, best.start, best.end);
+    return range ? { range, selector: 'TextQuoteSelector', confidence: Math.round(best.confidence * 100) / 100 } : null;
+}
+
+// ============ Anchor Repair ============
+// After a fallback method finds the text, a fresh anchor is computed and sent to the
+// background script, so the next jump resolves directly (see storage.reviseAnchor)
+
+// Marks of the most recent highlight (set by scrollToAndRemove)
+let lastHighlightMarks = [];
+
+// Methods whose match means the stored anchor is still valid
+const ANCHOR_INTACT_METHODS = ['field', 'TextPositionSelector'];
+
+// Minimum word similarity between the copied text and a fallback match for the match to become the anchor
+// (word trigram overlap: a sentence with one word edited scores above it, the first line of three does not)
+const MIN_REPAIR_CONFIDENCE = 0.5;
+
+// Escape a string for use in a regular expression
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Text between two positions of an index, with a space between text nodes (block elements
+// are not separated in the index text)
+function getSpanText(index, start, end) {
+    const parts = [];
+    index.nodes.forEach((node, i) => {
+        const from = Math.max(start, index.starts[i]);
+        const to = Math.min(end, index.starts[i] + node.length);
+        if (from < to) parts.push(index.text.substring(from, to));
+    });
+    return parts.join(' ');
+}
+
+// End position of a span starting at start with as many non-space characters as a text
+function getSpanEnd(indexText, start, text) {
+    let remaining = text.replace(/\s+/g, '').length;
+    let end = start;
+    while (end < indexText.length && remaining > 0) {
+        if (!/\s/.test(indexText[end])) remaining--;
+        end++;
+    }
+    return end;
+}
+
+// Anchor the text found by the last highlight, built from the highlighted range
+// The complete copied text (whitespace-insensitive) is anchored when it overlaps the highlight.
+// Otherwise the highlight, or the copied text's length from its start when the method marked
+// only the start (a first line, the first node of a match), scored by word similarity to the copied text
+// @returns {{anchor: object, confidence: number}|null}
+function computeRepairedAnchor(originalText) {
+    const marks = lastHighlightMarks.filter(mark => mark.isConnected);
+    const text = (originalText || '').replace(/\.\.\. \(truncated\)$/, '').trim();
+    const words = text.split(/\s+/).filter(Boolean);
+    if (marks.length === 0 || words.length === 0) return null;
+
+    const pageIndex = buildTextIndex(document.body);
+    const lastMark = marks[marks.length - 1];
+    const highlightStart = getTextPosition(pageIndex, marks[0], 0);
+    const highlightEnd = getTextPosition(pageIndex, lastMark, lastMark.childNodes.length);
+    if (highlightStart === -1 || highlightEnd <= highlightStart) return null;
+
+    const pattern = new RegExp(words.map(escapeRegExp).join('\\s*'), 'g');
+    let match = null;
+    for (const candidate of pageIndex.text.matchAll(pattern)) {
+        if (candidate.index < highlightEnd && candidate.index + candidate[0].length > highlightStart) {
+            match = { start: candidate.index, end: candidate.index + candidate[0].length, confidence: 1 };
+            break;
+        }
+    }
+    if (!match) {
+        const normalizedText = normalizeText(text);
+        match = [highlightEnd, getSpanEnd(pageIndex.text, highlightStart, text)]
+            .map(end => ({
+                start: highlightStart,
+                end,
+                confidence: calculateWordSimilarity(normalizeText(getSpanText(pageIndex, highlightStart, end)), normalizedText)
+            }))
+            .reduce((best, candidate) => (candidate.confidence > best.confidence ? candidate : best));
+    }
+
+    const range = createRangeFromIndex(pageIndex, match.start, match.end);
+    const selectors = range ? getAnnotationSelectors(range) : [];
+    if (selectors.length === 0) return null;
+
+    return {
+        anchor: {
+            selectors,
+            shadowHosts: getShadowHostPath(range.commonAncestorContainer),
+            // The old XPath no longer resolves; selectors take over
+            xpath: null
+        },
+        confidence: match.confidence
+    };
+}
+
+// Send a repaired anchor for a record to the background script
+function reportRepairedAnchor(selectionInfo, method) {
+    try {
+        const repaired = computeRepairedAnchor(selectionInfo.originalText);
+        if (!repaired) return;
+        if (repaired.confidence < MIN_REPAIR_CONFIDENCE) {
+            console.log(`[ClipTrace] Anchor not repaired: match confidence ${repaired.confidence.toFixed(2)}`);
+            return;
+        }
+
+        chrome.runtime.sendMessage({
+            type: 'ANCHOR_REPAIRED',
+            id: selectionInfo.recordId,
+            anchor: repaired.anchor,
+            method
+        }).catch(err => {
+            console.warn('[ClipTrace] Failed to send repaired anchor:', err);
+        });
+    } catch (e) {
+        console.warn('[ClipTrace] Failed to compute repaired anchor:', e);
+    }
+}
+
 // ============ Highlight Feature ============
 
 // Listen for highlight requests from sidebar (only if context is valid)
@@ -271,67 +1080,111 @@ if (isExtensionContextValid()) {
             return; // Extension was reloaded
         }
         if (message.type === 'HIGHLIGHT_TEXT') {
-            highlightText(message.data);
-            sendResponse({ success: true });
+            if (!isHighlightTarget(message.data?.frame)) return;
+            // Reply after the search with the outcome (method, confidence, partial),
+            // so the sidebar can report it or fall back to a text fragment URL
+            highlightText(message.data).then(result => sendResponse({ success: result.found, ...result }));
+            return true;
         }
-        return true;
     });
 }
 
+// Confidence reported for each locating strategy (selector matches report their own)
+const METHOD_CONFIDENCE = {
+    field: 1,
+    xpath: 0.9,
+    exactMatch: 0.8,
+    firstLine: 0.6,
+    windowedSearch: 0.5,
+    fuzzyMatch: 0.5,
+    surroundingText: 0.4,
+    partialMatch: 0.4
+};
+
+// Strategies that highlight only part of the copied text (an anchor line, a node or a chunk)
+const PARTIAL_METHODS = ['firstLine', 'windowedSearch', 'fuzzyMatch', 'surroundingText', 'partialMatch'];
+
+// Build a highlight result for the HIGHLIGHT_TEXT reply
+function locatedBy(method, confidence = METHOD_CONFIDENCE[method]) {
+    return { found: true, method, confidence, partial: PARTIAL_METHODS.includes(method) };
+}
+
 // Highlight specified text (with optimizations)
+// @returns {Promise<{found: boolean, method: string|null, confidence: number, partial: boolean}>}
 async function highlightText(selectionInfo) {
+    const notFound = { found: false, method: null, confidence: 0, partial: false };
+
     try {
         // Wait for lazy-loaded content to fully render (faster timeout for better UX)
         await waitForPageStable();
 
-        let highlighted = false;
+        let result = null;
+        lastHighlightMarks = [];
 
         // Get original text for multiple search strategies
         const originalText = selectionInfo?.originalText || '';
         const surroundingText = selectionInfo?.surroundingText || '';
 
-        // Method 1: XPath + offset precise positioning (most reliable)
-        if (!highlighted && selectionInfo?.xpath) {
-            highlighted = tryXPathHighlight(selectionInfo);
+        // Method 0: Copied from a form field or editor - focus it and select the text
+        if (!result && selectionInfo?.field && tryFieldHighlight(selectionInfo.field, originalText)) {
+            result = locatedBy('field');
+        }
+
+        // Method 1: Web Annotation selectors (position, CSS, quote)
+        if (!result && selectionInfo?.selectors && !selectionInfo.field) {
+            const match = highlightBySelectors(selectionInfo);
+            if (match) result = locatedBy(match.selector, match.confidence);
+        }
+
+        // Method 1b: XPath + offset positioning (records captured before selectors existed)
+        if (!result && selectionInfo?.xpath && tryXPathHighlight(selectionInfo)) {
+            result = locatedBy('xpath');
         }
 
         // Method 2: Exact text match with scoring (handles multi-match)
-        if (!highlighted && originalText.length >= 5) {
-            highlighted = highlightByExactMatchWithScoring(originalText, selectionInfo);
+        if (!result && originalText.length >= 5 && highlightByExactMatchWithScoring(originalText, selectionInfo)) {
+            result = locatedBy('exactMatch');
         }
 
         // Method 3: First-line anchor (handles cross-element selections)
-        if (!highlighted && originalText.length >= 10) {
-            highlighted = highlightByFirstLine(originalText);
+        if (!result && originalText.length >= 10 && highlightByFirstLine(originalText)) {
+            result = locatedBy('firstLine');
         }
 
         // Method 4: Windowed aggregated search (cross-element fallback)
-        if (!highlighted && originalText.length >= 15) {
-            highlighted = highlightByWindowedSearch(originalText);
+        if (!result && originalText.length >= 15 && highlightByWindowedSearch(originalText)) {
+            result = locatedBy('windowedSearch');
         }
 
         // Method 5: Fuzzy text match (handles minor differences)
-        if (!highlighted && originalText.length >= 20) {
-            highlighted = highlightByFuzzyMatch(originalText);
+        if (!result && originalText.length >= 20 && highlightByFuzzyMatch(originalText)) {
+            result = locatedBy('fuzzyMatch');
         }
 
         // Method 6: Surrounding text search
-        if (!highlighted && surroundingText) {
-            highlighted = highlightByTextSearch(surroundingText);
+        if (!result && surroundingText && highlightByTextSearch(surroundingText)) {
+            result = locatedBy('surroundingText');
         }
 
         // Method 7: Partial match (first/last chunks)
-        if (!highlighted && originalText.length >= 10) {
-            highlighted = highlightByPartialMatch(originalText);
+        if (!result && originalText.length >= 10 && highlightByPartialMatch(originalText)) {
+            result = locatedBy('partialMatch');
         }
 
-        if (!highlighted) {
+        if (!result) {
             console.warn('[ClipTrace] Cannot locate text, scrolling to top');
             window.scrollTo({ top: 0, behavior: 'smooth' });
         }
+
+        // The page changed since the copy: store a fresh anchor for next time
+        if (result && selectionInfo.recordId && !ANCHOR_INTACT_METHODS.includes(result.method)) {
+            reportRepairedAnchor(selectionInfo, result.method);
+        }
+        return result || notFound;
     } catch (error) {
         console.error('[ClipTrace] Highlight failed:', error);
         window.scrollTo({ top: 0, behavior: 'smooth' });
+        return notFound;
     }
 }
 
@@ -365,28 +1218,56 @@ function waitForPageStable() {
     });
 }
 
-// Method 1: XPath positioning with strict text verification
+// Method 1: Resolve Web Annotation selectors and highlight the match
+// @returns {object|null} Match from resolveSelectors (selector and confidence)
+function highlightBySelectors(selectionInfo) {
+    try {
+        const match = resolveSelectors(selectionInfo);
+        if (!match) return null;
+
+        highlightRange(match.range);
+        console.log(`[ClipTrace] Highlighted via ${match.selector} (confidence: ${match.confidence})`);
+        return match;
+    } catch (e) {
+        console.log('[ClipTrace] Selectors: Exception occurred, trying other methods:', e.message);
+        return null;
+    }
+}
+
+// Highlight a resolved range, which may span several elements
+function highlightRange(range) {
+    const marks = wrapRangeInMarks(range);
+    if (marks.length === 0) {
+        throw new Error('Range has no visible text');
+    }
+    scrollToAndRemove(marks);
+}
+
+// Method 1b: XPath positioning with strict text verification
 function tryXPathHighlight(selectionInfo) {
     try {
-        const element = getElementByXPath(selectionInfo.xpath);
+        const root = resolveAnchorRoot(selectionInfo.shadowHosts);
+        const element = root ? getElementByXPath(selectionInfo.xpath, root) : null;
         if (!element || selectionInfo.offset === undefined) return false;
 
         const textNode = findTextNode(element, selectionInfo.offset);
         if (!textNode) return false;
 
-        const range = document.createRange();
-        const actualOffset = Math.min(selectionInfo.offset, textNode.length);
-        const endOffset = Math.min(actualOffset + selectionInfo.length, textNode.length);
+        // Continue past the start node, so selections across links, list items or cells are covered in full
+        const elementIndex = buildTextIndex(element);
+        const nodeIndex = elementIndex.nodes.indexOf(textNode);
+        if (nodeIndex === -1) return false;
+
+        const start = elementIndex.starts[nodeIndex] + Math.min(selectionInfo.offset, textNode.length);
+        const end = Math.min(start + selectionInfo.length, elementIndex.text.length);
 
         // Validate offset range is meaningful
-        if (actualOffset >= endOffset || endOffset > textNode.length) {
+        const range = createRangeFromIndex(elementIndex, start, end);
+        if (!range) {
             console.log('[ClipTrace] XPath: Invalid offset range, trying other methods');
             return false;
         }
 
-        range.setStart(textNode, actualOffset);
-        range.setEnd(textNode, endOffset);
-
         // Get the text that would be highlighted
         const foundText = range.toString();
 
@@ -417,27 +1298,17 @@ function tryXPathHighlight(selectionInfo) {
             }
         }
 
-        const mark = createHighlightMark();
-        range.surroundContents(mark);
+        const marks = wrapRangeInMarks(range);
 
-        // Final validation: ensure the mark was actually added and is visible
-        if (!mark.parentNode || !document.body.contains(mark)) {
-            console.log('[ClipTrace] XPath: Mark element not in DOM, trying other methods');
+        // Final validation: ensure marks were actually added and have visible content
+        if (marks.length === 0 || !marks.every(mark => mark.isConnected)) {
+            removeHighlightMarks(marks);
+            console.log('[ClipTrace] XPath: No visible marks added, trying other methods');
             return false;
         }
 
-        // Check if mark has actual visible content
-        if (!mark.textContent || mark.textContent.trim().length === 0) {
-            // Remove failed mark and try other methods
-            if (mark.parentNode) {
-                mark.parentNode.removeChild(mark);
-            }
-            console.log('[ClipTrace] XPath: Mark has no visible content, trying other methods');
-            return false;
-        }
-
-        scrollToAndRemove(mark);
-        console.log('[ClipTrace] Highlighted via XPath');
+        scrollToAndRemove(marks);
+        console.log(`[ClipTrace] Highlighted via XPath (${marks.length} segments)`);
         return true;
     } catch (e) {
         console.log('[ClipTrace] XPath: Exception occurred, trying other methods:', e.message);
@@ -445,6 +1316,100 @@ function tryXPathHighlight(selectionInfo) {
     }
 }
 
+// ============ Field Highlight ============
+
+// Find a recorded field again: id, then name within the same form, then XPath
+// Searches inside the recorded shadow root when the field lives in a web component
+function findRecordedField(field) {
+    const root = resolveAnchorRoot(field.shadowHosts);
+    if (!root) return null;
+
+    if (field.id) {
+        const byId = root.getElementById(field.id);
+        if (byId) return byId;
+    }
+
+    if (field.name) {
+        const candidates = Array.from(root.querySelectorAll(`[name="${CSS.escape(field.name)}"]`))
+            .filter(el => el.tagName === field.tagName);
+        const sameForm = candidates.find(el => (el.form?.action || '') === field.formAction);
+        if (sameForm || candidates[0]) return sameForm || candidates[0];
+    }
+
+    return field.xpath ? getElementByXPath(field.xpath, root) : null;
+}
+
+// Build a range covering [start, end) text offsets within an element
+function createRangeFromTextOffsets(root, start, end) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, null, false);
+    const range = document.createRange();
+    let position = 0;
+    let startSet = false;
+    let node;
+
+    while (node = walker.nextNode()) {
+        const nodeEnd = position + node.length;
+        if (!startSet && start <= nodeEnd) {
+            range.setStart(node, start - position);
+            startSet = true;
+        }
+        if (startSet && end <= nodeEnd) {
+            range.setEnd(node, end - position);
+            return range;
+        }
+        position = nodeEnd;
+    }
+    return null;
+}
+
+// Method 0: Focus the recorded field and select the copied text
+// Uses the native selection instead of a <mark>, since wrapping nodes would corrupt inputs and editors
+function tryFieldHighlight(field, originalText) {
+    try {
+        const element = findRecordedField(field);
+        if (!element || !originalText) return false;
+
+        if (field.kind === 'input' || field.kind === 'textarea') {
+            if (typeof element.value !== 'string') return false;
+
+            let start = field.selectionStart;
+            if (element.value.substring(start, start + originalText.length) !== originalText) {
+                start = element.value.indexOf(originalText);
+            }
+            if (start === -1) return false;
+
+            element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            element.focus({ preventScroll: true });
+            element.setSelectionRange(start, start + originalText.length);
+            console.log('[ClipTrace] Highlighted via form field');
+            return true;
+        }
+
+        if (field.kind === 'contenteditable') {
+            let range = createRangeFromTextOffsets(element, field.selectionStart, field.selectionEnd);
+            if (!range || normalizeText(range.toString()) !== normalizeText(originalText)) {
+                const start = element.textContent.indexOf(originalText);
+                if (start === -1) return false;
+                range = createRangeFromTextOffsets(element, start, start + originalText.length);
+            }
+            if (!range) return false;
+
+            element.focus({ preventScroll: true });
+            const selection = window.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(range);
+
+            const anchor = range.startContainer.parentElement || element;
+            anchor.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            console.log('[ClipTrace] Highlighted via editor selection');
+            return true;
+        }
+    } catch (e) {
+        console.log('[ClipTrace] Field highlight failed, trying other methods:', e.message);
+    }
+    return false;
+}
+
 // ============ Multi-Match Scoring System ============
 
 /**
@@ -520,7 +1485,7 @@ function findAllMatchesWithScoring(searchText, selectionInfo) {
     if (normalizedSearch.length < 3) return [];
 
     const matches = [];
-    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, null, false);
+    const walker = createDeepTextWalker(document.body);
     let node;
 
     while (node = walker.nextNode()) {
@@ -610,41 +1575,6 @@ function highlightByExactMatchWithScoring(originalText, selectionInfo) {
     }
 }
 
-// Method 2 (legacy): Exact text match with normalization
-function highlightByExactMatch(originalText) {
-    const normalizedSearch = normalizeText(originalText);
-    if (normalizedSearch.length < 10) return false;
-
-    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, null, false);
-    let node;
-
-    while (node = walker.nextNode()) {
-        const normalizedNode = normalizeText(node.textContent);
-        const index = normalizedNode.indexOf(normalizedSearch);
-
-        if (index !== -1) {
-            // Find actual position in original text
-            const actualIndex = findActualIndex(node.textContent, normalizedSearch, index);
-            if (actualIndex !== -1) {
-                try {
-                    const range = document.createRange();
-                    range.setStart(node, actualIndex);
-                    range.setEnd(node, Math.min(actualIndex + originalText.length, node.length));
-
-                    const mark = createHighlightMark();
-                    range.surroundContents(mark);
-                    scrollToAndRemove(mark);
-                    console.log('[ClipTrace] Highlighted via exact match');
-                    return true;
-                } catch (e) {
-                    continue;
-                }
-            }
-        }
-    }
-    return false;
-}
-
 // Method 3: Fuzzy text match (allows minor differences)
 function highlightByFuzzyMatch(originalText) {
     // Use middle portion of text (more unique than start/end)
@@ -655,7 +1585,7 @@ function highlightByFuzzyMatch(originalText) {
 
     if (searchSnippet.length < 15) return false;
 
-    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, null, false);
+    const walker = createDeepTextWalker(document.body);
     let node;
     let bestMatch = null;
     let bestScore = 0;
@@ -692,7 +1622,7 @@ function highlightByTextSearch(searchText) {
     if (!searchText || searchText.length < 10) return false;
 
     const searchSnippet = normalizeText(searchText.substring(0, 60));
-    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, null, false);
+    const walker = createDeepTextWalker(document.body);
     let node;
 
     while (node = walker.nextNode()) {
@@ -726,7 +1656,7 @@ function highlightByPartialMatch(originalText) {
         const normalizedPortion = normalizeText(portion);
         if (normalizedPortion.length < 8) continue;
 
-        const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, null, false);
+        const walker = createDeepTextWalker(document.body);
         let node;
 
         while (node = walker.nextNode()) {
@@ -785,7 +1715,7 @@ function highlightByFirstLine(originalText) {
  * Helper: Try to find and highlight text by prefix
  */
 function tryPrefixMatch(searchText, highlightLength) {
-    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, null, false);
+    const walker = createDeepTextWalker(document.body);
     let node;
 
     while (node = walker.nextNode()) {
@@ -837,7 +1767,7 @@ function highlightByWindowedSearch(originalText) {
 
     // Collect all text nodes
     const allNodes = [];
-    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, null, false);
+    const walker = createDeepTextWalker(document.body);
     let node;
 
     while (node = walker.nextNode()) {
@@ -862,16 +1792,23 @@ function highlightByWindowedSearch(originalText) {
         const normalizedWindow = normalizeText(windowText);
 
         if (normalizedWindow.includes(searchText)) {
-            // Match found! Highlight the first node in the window
+            // Match found: highlight the node it starts in (the last one whose text onward still contains it)
+            let start = windowEnd - 1;
+            let tailText = allNodes[start].textContent + ' ';
+            while (start > i && !normalizeText(tailText).includes(searchText)) {
+                start--;
+                tailText = allNodes[start].textContent + ' ' + tailText;
+            }
+
             try {
-                const targetNode = allNodes[i];
+                const targetNode = allNodes[start];
                 const range = document.createRange();
                 range.selectNodeContents(targetNode);
 
                 const mark = createHighlightMark();
                 range.surroundContents(mark);
                 scrollToAndRemove(mark);
-                console.log('[ClipTrace] Highlighted via windowed search (window start: ' + i + ')');
+                console.log('[ClipTrace] Highlighted via windowed search (node: ' + start + ')');
                 return true;
             } catch (e) {
                 // Try next window position
@@ -883,16 +1820,6 @@ function highlightByWindowedSearch(originalText) {
     return false;
 }
 
-// Normalize text for comparison (remove extra whitespace, normalize characters)
-function normalizeText(text) {
-    if (!text) return '';
-    return text
-        .toLowerCase()
-        .replace(/[\s\u3000]+/g, ' ')  // Normalize whitespace (including full-width)
-        .replace(/[\u200B-\u200D\uFEFF]/g, '')  // Remove zero-width chars
-        .trim();
-}
-
 // Find actual index after normalization
 function findActualIndex(original, normalizedSearch, normalizedIndex) {
     let count = 0;
@@ -906,29 +1833,6 @@ function findActualIndex(original, normalizedSearch, normalizedIndex) {
     return i < original.length ? i : -1;
 }
 
-// Calculate similarity score between two strings
-function calculateSimilarity(str1, str2) {
-    const shorter = str1.length < str2.length ? str1 : str2;
-    const longer = str1.length >= str2.length ? str1 : str2;
-
-    if (longer.includes(shorter)) return 1.0;
-
-    // Check for substring match with sliding window
-    const windowSize = Math.min(shorter.length, 30);
-    let maxMatch = 0;
-
-    for (let i = 0; i <= longer.length - windowSize; i++) {
-        const window = longer.substring(i, i + windowSize);
-        let matches = 0;
-        for (let j = 0; j < windowSize && j < shorter.length; j++) {
-            if (window[j] === shorter[j]) matches++;
-        }
-        maxMatch = Math.max(maxMatch, matches / windowSize);
-    }
-
-    return maxMatch;
-}
-
 // Find text node at offset
 function findTextNode(element, offset) {
     const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, null, false);
@@ -946,12 +1850,13 @@ function findTextNode(element, offset) {
 }
 
 // Create highlight mark
+// No horizontal padding: a multi-segment highlight must not shift the text it covers
 function createHighlightMark() {
     const mark = document.createElement('mark');
     mark.className = 'smart-clipboard-highlight';
     mark.style.cssText = `
         background-color: #89b4d8;
-        padding: 2px 4px;
+        padding: 2px 0;
         border-radius: 4px;
         box-shadow: 0 0 0 3px rgba(137, 180, 216, 0.3);
         transition: background-color 0.5s, box-shadow 0.5s;
@@ -959,29 +1864,82 @@ function createHighlightMark() {
     return mark;
 }
 
+// Elements whose text nodes are never wrapped (not rendered, or not valid mark parents)
+const UNWRAPPABLE_PARENTS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEXTAREA', 'OPTION', 'TITLE'];
+
+// Wrap every text-node segment of a range in its own mark (one <mark> cannot span elements)
+// Whitespace-only segments are skipped, so table and list structure is left intact
+// @returns {Array<HTMLElement>} Marks in document order
+function wrapRangeInMarks(range) {
+    const root = range.commonAncestorContainer;
+    const textNodes = [];
+
+    if (root.nodeType === Node.TEXT_NODE) {
+        textNodes.push(root);
+    } else {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, null, false);
+        let node;
+        while (node = walker.nextNode()) {
+            if (range.intersectsNode(node)) textNodes.push(node);
+        }
+    }
+
+    // Compute all segments before mutating, since wrapping splits the boundary nodes
+    const segments = textNodes
+        .map(node => ({
+            node,
+            start: node === range.startContainer ? range.startOffset : 0,
+            end: node === range.endContainer ? range.endOffset : node.length
+        }))
+        .filter(({ node, start, end }) =>
+            start < end &&
+            node.data.substring(start, end).trim().length > 0 &&
+            !UNWRAPPABLE_PARENTS.includes(node.parentElement?.tagName));
+
+    return segments.map(({ node, start, end }) => {
+        const segmentRange = document.createRange();
+        segmentRange.setStart(node, start);
+        segmentRange.setEnd(node, end);
+
+        const mark = createHighlightMark();
+        segmentRange.surroundContents(mark);
+        return mark;
+    });
+}
+
+// Replace marks with their text and merge the split text nodes back together
+function removeHighlightMarks(marks) {
+    marks.forEach(mark => {
+        const parent = mark.parentNode;
+        if (parent) {
+            parent.replaceChild(document.createTextNode(mark.textContent), mark);
+            parent.normalize();
+        }
+    });
+}
+
 // Scroll to highlight and remove after delay
-function scrollToAndRemove(mark) {
-    mark.scrollIntoView({ behavior: 'smooth', block: 'center' });
+// Accepts one mark or all marks of a multi-segment highlight
+function scrollToAndRemove(markOrMarks) {
+    const marks = Array.isArray(markOrMarks) ? markOrMarks : [markOrMarks];
+    lastHighlightMarks = marks;
+    marks[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
 
     setTimeout(() => {
-        mark.style.backgroundColor = 'transparent';
-        mark.style.boxShadow = 'none';
-        setTimeout(() => {
-            const parent = mark.parentNode;
-            if (parent) {
-                parent.replaceChild(document.createTextNode(mark.textContent), mark);
-                parent.normalize();
-            }
-        }, 500);
+        marks.forEach(mark => {
+            mark.style.backgroundColor = 'transparent';
+            mark.style.boxShadow = 'none';
+        });
+        setTimeout(() => removeHighlightMarks(marks), 500);
     }, 3000);
 }
 
-// Get element by XPath
-function getElementByXPath(xpath) {
+// Get element by XPath (relative paths are evaluated against contextNode, e.g. a shadow root)
+function getElementByXPath(xpath, contextNode = document) {
     try {
         return document.evaluate(
             xpath,
-            document,
+            contextNode,
             null,
             XPathResult.FIRST_ORDERED_NODE_TYPE,
             null
@@ -0,0 +1,34 @@
+// sidebar/semantic-worker.js
+// Module worker that fits the semantic model and embeds records off the sidebar's main thread
+//
+// Messages (each reply echoes the request id):
+//   { id, type: 'fit', documents: [{ id, text }] }          -> { id, model, vectors }
+//   { id, type: 'embed', model, documents: [{ id, text }] } -> { id, vectors }
+// vectors: [{ recordId, vector, hash }], vector null for records without vocabulary words;
+// model is null when the records share too few words
+
+import { fitModel, loadModel, embedText } from '../utils/semantic.js';
+import { hashText } from '../utils/common.js';
+
+// Embed every document with a model
+// Documents without vocabulary words get a null vector, so their hash is stored and they are
+// not embedded again until edited
+function embedDocuments(model, documents) {
+    return documents.map(({ id, text }) => ({ recordId: id, vector: embedText(model, text), hash: hashText(text) }));
+}
+
+self.addEventListener('message', (event) => {
+    const { id, type, documents } = event.data;
+
+    try {
+        if (type === 'fit') {
+            const model = fitModel(documents.map(document => document.text));
+            const vectors = model ? embedDocuments(loadModel(model), documents) : [];
+            self.postMessage({ id, model, vectors });
+        } else if (type === 'embed') {
+            self.postMessage({ id, vectors: embedDocuments(loadModel(event.data.model), documents) });
+        }
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+});
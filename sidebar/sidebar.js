@@ -1,10 +1,40 @@
 // sidebar/sidebar.js
 // Sidebar main logic
 
+import * as storage from '../utils/storage.js';
+import { escapeHtml, formatTime, formatDateHeader, normalizeTag, hashText, DEFAULT_FAVICON } from '../utils/common.js';
+import { getTagLabel, normalizeCustomDetector, setCustomDetectors } from '../utils/classifiers.js';
+import { LANGUAGE_LABELS, detectLanguage, isCodeRecord, highlightCode, stripPrompts } from '../utils/highlight.js';
+import { sanitizeHtml, markdownToHtml } from '../utils/rich-text.js';
+import { buildTextFragmentUrl } from '../utils/text-fragment.js';
+import { isSamePage, normalizeUrl } from '../utils/url-normalize.js';
+import { createSearchIndex, parseQuery, hasTextQuery, getHighlightPattern } from '../utils/search.js';
+import { MODEL_VERSION, getRecordText, loadModel, embedText, cosineSimilarity } from '../utils/semantic.js';
+import { normalizeCollection, createCollectionMatcher, isInDateRange } from '../utils/collections.js';
+
 let clipboardHistory = [];
+// Folder definitions (see storage.createFolder), loaded with the history
+let folders = [];
 let currentFilter = 'all';
+let currentMethodFilter = 'all';
+let currentHealthFilter = 'all';
+// Tag facet picked in the filter panel (null for any tag)
+let currentTagFilter = null;
+let favoritesOnly = false;
 let searchQuery = '';
 
+// Inverted index over clipboardHistory (synced on every load)
+const searchIndex = createSearchIndex();
+// Pattern for the current query's words, marked in rendered item content
+let highlightPattern = null;
+// 'keyword' (search index) or 'meaning' (semantic vectors)
+let searchMode = 'keyword';
+// Similarity per record id for the current query in meaning mode (null until computed)
+let semanticScores = null;
+
+// Object URLs created for rich preview images (revoked on each render)
+let previewObjectUrls = [];
+
 // ============ Initialization ============
 
 // Note: The DOMContentLoaded listener here is overridden by the unified initialization
@@ -13,8 +43,10 @@ let searchQuery = '';
 // Load history
 async function loadHistory() {
     try {
-        const result = await chrome.storage.local.get(['clipboardHistory']);
-        clipboardHistory = result.clipboardHistory || [];
+        [clipboardHistory, folders] = await Promise.all([storage.getHistory(), storage.getFolders()]);
+        if (!folders.some(folder => folder.id === activeFolderId)) activeFolderId = null;
+        searchIndex.sync(clipboardHistory);
+        semanticIndex = null;
         renderList();
     } catch (error) {
         console.error('[ClipTrace] Failed to load history:', error);
@@ -31,11 +63,22 @@ function setupEventListeners() {
     searchInput.addEventListener('input', (e) => {
         clearTimeout(searchTimeout);
         searchTimeout = setTimeout(() => {
-            searchQuery = e.target.value.toLowerCase().trim();
-            renderList();
+            searchQuery = e.target.value.trim();
+            runSearch();
         }, 200);
     });
 
+    // Search mode: keywords or meaning
+    document.querySelectorAll('.filter-btn[data-search-mode]').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            document.querySelectorAll('.filter-btn[data-search-mode]').forEach(b => b.classList.remove('active'));
+            e.target.classList.add('active');
+            searchMode = e.target.dataset.searchMode;
+            searchInput.placeholder = searchMode === 'meaning' ? 'Describe what you copied...' : 'Search clipboard...';
+            runSearch();
+        });
+    });
+
     // Panel toggle handlers
     const searchPanel = document.getElementById('searchPanel');
     const filterPanel = document.getElementById('filterPanel');
@@ -59,6 +102,7 @@ function setupEventListeners() {
         searchToggleBtn.classList.remove('active');
         searchInput.value = '';
         searchQuery = '';
+        semanticScores = null;
         renderList();
     });
 
@@ -70,15 +114,50 @@ function setupEventListeners() {
     });
 
     // Filter
-    document.querySelectorAll('.filter-btn').forEach(btn => {
+    document.querySelectorAll('.filter-btn[data-filter]').forEach(btn => {
         btn.addEventListener('click', (e) => {
-            document.querySelectorAll('.filter-btn').forEach(b => b.classList.remove('active'));
+            document.querySelectorAll('.filter-btn[data-filter]').forEach(b => b.classList.remove('active'));
             e.target.classList.add('active');
             currentFilter = e.target.dataset.filter;
             renderList();
         });
     });
 
+    // Filter by capture method
+    document.querySelectorAll('.filter-btn[data-method]').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            document.querySelectorAll('.filter-btn[data-method]').forEach(b => b.classList.remove('active'));
+            e.target.classList.add('active');
+            currentMethodFilter = e.target.dataset.method;
+            renderList();
+        });
+    });
+
+    // Filter by source link status
+    document.querySelectorAll('.filter-btn[data-health]').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            document.querySelectorAll('.filter-btn[data-health]').forEach(b => b.classList.remove('active'));
+            e.target.classList.add('active');
+            currentHealthFilter = e.target.dataset.health;
+            renderList();
+        });
+    });
+
+    // Starred records only
+    document.getElementById('favoritesFilterBtn').addEventListener('click', (e) => {
+        favoritesOnly = !favoritesOnly;
+        e.currentTarget.classList.toggle('active', favoritesOnly);
+        renderList();
+    });
+
+    // Tag facets (rebuilt on every render): pick a tag, click it again for any tag
+    document.getElementById('tagFacets').addEventListener('click', (e) => {
+        const btn = e.target.closest('.filter-btn[data-tag]');
+        if (!btn) return;
+        currentTagFilter = currentTagFilter === btn.dataset.tag ? null : btn.dataset.tag;
+        renderList();
+    });
+
     // Clear all
     document.getElementById('clearAllBtn').addEventListener('click', async () => {
         if (clipboardHistory.length === 0) {
@@ -88,9 +167,7 @@ function setupEventListeners() {
 
         if (confirm('Are you sure you want to clear all clipboard records? This action cannot be undone.')) {
             try {
-                await chrome.storage.local.set({ clipboardHistory: [] });
-                clipboardHistory = [];
-                renderList();
+                await storage.clearAll();
                 showToast('All records cleared', 'success');
             } catch (error) {
                 showToast('Failed to clear', 'error');
@@ -98,17 +175,15 @@ function setupEventListeners() {
         }
     });
 
-    // Listen for storage changes (single source of truth for updates)
-    chrome.storage.onChanged.addListener((changes, namespace) => {
-        if (namespace === 'local' && changes.clipboardHistory) {
-            const oldLength = clipboardHistory.length;
-            clipboardHistory = changes.clipboardHistory.newValue || [];
-            renderList();
+    // Listen for history changes from any context (single source of truth for updates)
+    storage.subscribe((change) => {
+        loadHistory();
 
-            // Show toast only when new items are added
-            if (clipboardHistory.length > oldLength) {
-                showToast('New copy saved', 'success');
-            }
+        // Show toast only when new items are added or copied again
+        if (change.action === 'added') {
+            showToast('New copy saved', 'success');
+        } else if (change.action === 'merged') {
+            showToast(`Copied again (${change.item.copyCount} times)`, 'success');
         }
     });
 
@@ -117,7 +192,7 @@ function setupEventListeners() {
     themeToggleBtn.addEventListener('click', () => {
         const isDark = document.body.classList.toggle('dark-mode');
         // Save preference
-        chrome.storage.local.set({ darkMode: isDark });
+        storage.setDarkMode(isDark);
         showToast(isDark ? 'Dark mode enabled' : 'Light mode enabled', 'success');
     });
 }
@@ -125,8 +200,31 @@ function setupEventListeners() {
 // ============ Render List ============
 
 function renderList() {
-    const filtered = filterHistory();
-    const grouped = groupByDate(filtered);
+    previewObjectUrls.forEach(url => URL.revokeObjectURL(url));
+    previewObjectUrls = [];
+
+    // Folder and collection counts and tag suggestions follow every history change
+    renderFolders();
+    renderCollections();
+    renderTagSuggestions();
+
+    const parsedQuery = searchQuery ? parseQuery(searchQuery) : null;
+    const ranked = !!parsedQuery && hasTextQuery(parsedQuery);
+    const byMeaning = ranked && isMeaningSearch();
+    const matching = filterHistory(parsedQuery);
+    // Facet counts cover all other filters, so picking a tag keeps the other facets visible
+    renderTagFacets(matching);
+    const filtered = currentTagFilter ? matching.filter(item => item.tags.includes(currentTagFilter)) : matching;
+    // Matches by meaning need not contain the query words
+    highlightPattern = parsedQuery && !byMeaning ? getHighlightPattern(parsedQuery) : null;
+
+    // Records in display order: ranked results as they are, otherwise pinned records first
+    const pinned = ranked ? [] : filtered.filter(item => item.pinned);
+    visibleIds = (ranked ? filtered : [...pinned, ...filtered.filter(item => !item.pinned)]).map(item => item.id);
+    // Records hidden by the filters leave the selection, so batch actions only touch listed records
+    const visible = new Set(visibleIds);
+    Array.from(selectedIds).filter(id => !visible.has(id)).forEach(id => selectedIds.delete(id));
+    updateBatchBar();
 
     const listContainer = document.getElementById('clipboardList');
     listContainer.innerHTML = '';
@@ -135,17 +233,37 @@ function renderList() {
     document.getElementById('statsCount').textContent = `${filtered.length} records`;
 
     if (filtered.length === 0) {
+        const emptyFolder = !searchQuery && activeFolderId;
         listContainer.innerHTML = `
       <div class="empty-state">
         <div class="empty-icon">📭</div>
-        <p>${searchQuery ? 'No matching records found' : 'No clipboard records'}</p>
-        <p class="empty-hint">${searchQuery ? 'Try different keywords' : 'Copy text on any webpage to auto-save'}</p>
+        <p>${searchQuery ? 'No matching records found' : emptyFolder ? 'No records in this folder' : 'No clipboard records'}</p>
+        <p class="empty-hint">${searchQuery ? 'Try different keywords' : emptyFolder ? 'Drag a record onto the folder or right-click it to move it here' : 'Copy text on any webpage to auto-save'}</p>
       </div>
     `;
         return;
     }
 
-    Object.entries(grouped).forEach(([date, items]) => {
+    // Ranked search results are listed by relevance instead of by date
+    if (ranked) {
+        const header = document.createElement('div');
+        header.className = 'date-header';
+        header.textContent = byMeaning ? 'Closest in meaning' : 'Best matches';
+        listContainer.appendChild(header);
+        filtered.forEach(item => listContainer.appendChild(createClipboardItem(item)));
+        return;
+    }
+
+    // Pinned records stay above the date groups
+    if (pinned.length > 0) {
+        const pinnedHeader = document.createElement('div');
+        pinnedHeader.className = 'date-header';
+        pinnedHeader.textContent = 'Pinned';
+        listContainer.appendChild(pinnedHeader);
+        pinned.forEach(item => listContainer.appendChild(createClipboardItem(item)));
+    }
+
+    Object.entries(groupByDate(filtered.filter(item => !item.pinned))).forEach(([date, items]) => {
         // Date group header
         const dateHeader = document.createElement('div');
         dateHeader.className = 'date-header';
@@ -161,31 +279,56 @@ function renderList() {
 }
 
 // Filter history
-function filterHistory() {
+// parsedQuery: parsed search query (see utils/search.js) or null
+function filterHistory(parsedQuery) {
     let filtered = clipboardHistory;
 
+    // Filter by folder
+    if (activeFolderId) {
+        filtered = filtered.filter(item => item.folderId === activeFolderId);
+    }
+
+    // Filter by smart collection
+    const activeCollection = getCollections().find(collection => collection.id === activeCollectionId);
+    if (activeCollection) {
+        filtered = filtered.filter(createCollectionMatcher(activeCollection, searchIndex));
+    }
+
     // Filter by time
-    const now = Date.now();
-    switch (currentFilter) {
-        case 'today':
-            const todayStart = new Date().setHours(0, 0, 0, 0);
-            filtered = filtered.filter(item => item.timestamp >= todayStart);
-            break;
-        case 'week':
-            filtered = filtered.filter(item => now - item.timestamp < 7 * 24 * 60 * 60 * 1000);
-            break;
-        case 'month':
-            filtered = filtered.filter(item => now - item.timestamp < 30 * 24 * 60 * 60 * 1000);
-            break;
+    if (currentFilter !== 'all') {
+        filtered = filtered.filter(item => isInDateRange(item.timestamp, currentFilter));
     }
 
-    // Filter by search term
-    if (searchQuery) {
-        filtered = filtered.filter(item =>
-            item.text.toLowerCase().includes(searchQuery) ||
-            (item.pageTitle && item.pageTitle.toLowerCase().includes(searchQuery)) ||
-            (item.url && item.url.toLowerCase().includes(searchQuery))
-        );
+    // Filter by capture method
+    if (currentMethodFilter !== 'all') {
+        filtered = filtered.filter(item => item.captureMethod === currentMethodFilter);
+    }
+
+    // Filter by source link status
+    if (currentHealthFilter !== 'all') {
+        filtered = filtered.filter(item => item.linkHealth?.status === currentHealthFilter);
+    }
+
+    // Starred records only
+    if (favoritesOnly) {
+        filtered = filtered.filter(item => item.favorite);
+    }
+
+    // Filter by search query; queries with words or phrases are sorted by relevance
+    // (by meaning, the words are matched by vector similarity and only the operators by the index)
+    if (parsedQuery) {
+        const byMeaning = isMeaningSearch();
+        const scores = byMeaning
+            ? semanticScores
+            : searchIndex.search(parsedQuery);
+        if (byMeaning) {
+            const operatorMatches = searchIndex.search({ ...parsedQuery, terms: [], phrases: [] });
+            filtered = filtered.filter(item => operatorMatches.has(item.id));
+        }
+        filtered = filtered.filter(item => scores.has(item.id));
+        if (hasTextQuery(parsedQuery)) {
+            filtered = filtered.slice().sort((a, b) => scores.get(b.id) - scores.get(a.id) || b.timestamp - a.timestamp);
+        }
     }
 
     return filtered;
@@ -206,31 +349,782 @@ function groupByDate(items) {
     return grouped;
 }
 
+// ============ Semantic Search ============
+
+// Refit the model once the history has grown by this factor since the last fit
+const SEMANTIC_REFIT_GROWTH = 1.5;
+// Minimum similarity for a record to match a query by meaning
+const SEMANTIC_MIN_SIMILARITY = 0.25;
+
+let semanticWorker = null;
+let semanticRequestId = 0;
+const semanticRequests = new Map();
+// Promise of { model, vectors } for the loaded history (reset on every history load)
+let semanticIndex = null;
+
+// Whether results currently come from semantic vectors
+function isMeaningSearch() {
+    return searchMode === 'meaning' && semanticScores !== null;
+}
+
+// Send a request to the semantic worker (started on first use)
+function callSemanticWorker(message) {
+    if (!semanticWorker) {
+        semanticWorker = new Worker(new URL('./semantic-worker.js', import.meta.url), { type: 'module' });
+        semanticWorker.addEventListener('message', (event) => {
+            const { id, error } = event.data;
+            const request = semanticRequests.get(id);
+            if (!request) return;
+            semanticRequests.delete(id);
+            if (error) {
+                request.reject(new Error(error));
+            } else {
+                request.resolve(event.data);
+            }
+        });
+    }
+
+    const id = ++semanticRequestId;
+    return new Promise((resolve, reject) => {
+        semanticRequests.set(id, { resolve, reject });
+        semanticWorker.postMessage({ ...message, id });
+    });
+}
+
+// Bring the stored vectors in line with the history: refit the model when there is none or
+// the history has grown a lot, otherwise embed only new and edited records
+async function updateSemanticIndex() {
+    const { model, vectors } = await storage.getSemanticIndex();
+    const documents = clipboardHistory.map(record => ({ id: record.id, text: getRecordText(record) }));
+
+    if (!model || model.version !== MODEL_VERSION || documents.length > model.documentCount * SEMANTIC_REFIT_GROWTH) {
+        showToast('Indexing records for search by meaning...', 'info');
+        const result = await callSemanticWorker({ type: 'fit', documents });
+        if (!result.model) return null;
+        await storage.saveSemanticVectors(result.vectors, result.model);
+        return { model: loadModel(result.model), vectors: result.vectors };
+    }
+
+    const current = new Map(vectors.map(entry => [entry.recordId, entry]));
+    const stale = documents.filter(document => current.get(document.id)?.hash !== hashText(document.text));
+    if (stale.length > 0) {
+        const result = await callSemanticWorker({ type: 'embed', model, documents: stale });
+        await storage.saveSemanticVectors(result.vectors);
+        result.vectors.forEach(entry => current.set(entry.recordId, entry));
+    }
+
+    return { model: loadModel(model), vectors: Array.from(current.values()) };
+}
+
+// Cached semantic index for the loaded history
+function getSemanticIndex() {
+    if (!semanticIndex) {
+        semanticIndex = updateSemanticIndex().catch(error => {
+            semanticIndex = null;
+            throw error;
+        });
+    }
+    return semanticIndex;
+}
+
+// Run the current query in the selected mode and re-render
+async function runSearch() {
+    const query = searchQuery;
+    const parsedQuery = query ? parseQuery(query) : null;
+
+    if (searchMode !== 'meaning' || !parsedQuery || !hasTextQuery(parsedQuery)) {
+        semanticScores = null;
+        renderList();
+        return;
+    }
+
+    // The query words, without operators, are embedded like a record text
+    const text = [...parsedQuery.raw.terms, ...parsedQuery.raw.phrases].join(' ');
+
+    try {
+        const index = await getSemanticIndex();
+        if (query !== searchQuery || searchMode !== 'meaning') return; // Superseded by a newer query
+
+        const scores = new Map();
+        const queryVector = index && embedText(index.model, text);
+        if (queryVector) {
+            index.vectors.forEach(({ recordId, vector }) => {
+                if (!vector) return; // No vocabulary words
+                const similarity = cosineSimilarity(queryVector, vector);
+                if (similarity >= SEMANTIC_MIN_SIMILARITY) scores.set(recordId, similarity);
+            });
+        } else if (!index) {
+            showToast('Not enough records to search by meaning yet', 'info');
+        }
+
+        semanticScores = scores;
+        renderList();
+    } catch (error) {
+        console.error('[ClipTrace] Semantic search failed:', error);
+        showToast('Search by meaning failed', 'error');
+    }
+}
+
+// ============ Smart Collections ============
+
+// Collection chip currently filtering the list (null for none)
+let activeCollectionId = null;
+
+// Collection definitions kept in settings
+function getCollections() {
+    return currentSettings.smartCollections || [];
+}
+
+// One-line summary of a collection definition (chip tooltip)
+function describeCollection(collection) {
+    const rangeLabels = { today: 'today', week: 'last 7 days', month: 'last 30 days' };
+    return [
+        collection.query && `"${collection.query}"`,
+        collection.tags.length && `tags: ${collection.tags.map(getTagLabel).join(', ')}`,
+        collection.domains.length && `domains: ${collection.domains.join(', ')}`,
+        collection.dateRange === 'custom'
+            ? `${collection.from || '…'} to ${collection.to || '…'}`
+            : rangeLabels[collection.dateRange]
+    ].filter(Boolean).join(' · ') || 'All records';
+}
+
+// Render the pinned collection chips with live counts over the whole history
+function renderCollections() {
+    const bar = document.getElementById('collectionsBar');
+    const collections = getCollections();
+    bar.style.display = collections.length > 0 ? 'flex' : 'none';
+
+    bar.innerHTML = collections.map(collection => {
+        const count = clipboardHistory.filter(createCollectionMatcher(collection, searchIndex)).length;
+        return `<button class="collection-chip${collection.id === activeCollectionId ? ' active' : ''}" data-id="${escapeHtml(collection.id)}" title="${escapeHtml(describeCollection(collection))}">
+        ${escapeHtml(collection.name)}<span class="collection-count">${count}</span><span class="collection-remove" title="Delete collection">×</span>
+      </button>`;
+    }).join('');
+}
+
+// Open the editor prefilled with the current search and date filter
+function openCollectionEditor() {
+    document.getElementById('collectionName').value = '';
+    document.getElementById('collectionQuery').value = searchQuery;
+    document.getElementById('collectionDomains').value = '';
+    document.getElementById('collectionDateRange').value = currentFilter;
+    document.getElementById('collectionFrom').value = '';
+    document.getElementById('collectionTo').value = '';
+    document.getElementById('collectionCustomRange').style.display = 'none';
+
+    document.getElementById('collectionTags').innerHTML = getKnownTags().map(tag => `
+      <label class="collection-tag"><input type="checkbox" value="${escapeHtml(tag)}"> ${escapeHtml(getTagLabel(tag))}</label>`).join('');
+
+    document.getElementById('collectionModal').style.display = 'flex';
+    document.getElementById('collectionName').focus();
+}
+
+// Save the editor contents as a new collection and show it
+async function saveCollectionFromEditor() {
+    const collection = normalizeCollection({
+        name: document.getElementById('collectionName').value,
+        query: document.getElementById('collectionQuery').value,
+        tags: Array.from(document.querySelectorAll('#collectionTags input:checked'), input => input.value),
+        domains: document.getElementById('collectionDomains').value.split(','),
+        dateRange: document.getElementById('collectionDateRange').value,
+        from: document.getElementById('collectionFrom').value,
+        to: document.getElementById('collectionTo').value
+    });
+
+    if (!collection) {
+        showToast('Please enter a name', 'error');
+        return;
+    }
+
+    currentSettings.smartCollections = [...getCollections(), collection];
+    await saveSettings();
+
+    document.getElementById('collectionModal').style.display = 'none';
+    activeCollectionId = collection.id;
+    renderList();
+    showToast(`Collection "${collection.name}" saved`, 'success');
+}
+
+// Delete a collection definition
+async function deleteCollection(id) {
+    const collection = getCollections().find(item => item.id === id);
+    if (!collection || !confirm(`Delete the collection "${collection.name}"? Records are not affected.`)) return;
+
+    currentSettings.smartCollections = getCollections().filter(item => item.id !== id);
+    await saveSettings();
+    if (activeCollectionId === id) activeCollectionId = null;
+    renderList();
+    showToast('Collection deleted', 'success');
+}
+
+function setupCollectionListeners() {
+    const modal = document.getElementById('collectionModal');
+
+    document.getElementById('saveCollectionBtn').addEventListener('click', openCollectionEditor);
+    document.getElementById('saveCollectionConfirmBtn').addEventListener('click', saveCollectionFromEditor);
+    document.getElementById('closeCollectionBtn').addEventListener('click', () => {
+        modal.style.display = 'none';
+    });
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) modal.style.display = 'none';
+    });
+
+    document.getElementById('collectionDateRange').addEventListener('change', (e) => {
+        document.getElementById('collectionCustomRange').style.display = e.target.value === 'custom' ? 'flex' : 'none';
+    });
+
+    // Chip clicks: toggle the collection filter, or delete via the × mark
+    document.getElementById('collectionsBar').addEventListener('click', (e) => {
+        const chip = e.target.closest('.collection-chip');
+        if (!chip) return;
+
+        if (e.target.closest('.collection-remove')) {
+            deleteCollection(chip.dataset.id);
+            return;
+        }
+
+        activeCollectionId = activeCollectionId === chip.dataset.id ? null : chip.dataset.id;
+        renderList();
+    });
+
+    renderCollections();
+}
+
+// ============ Folders ============
+
+// Folder shown in the list (null for all records)
+let activeFolderId = null;
+
+// Drag data type carrying comma-separated record ids from an item header to a folder tab
+const RECORD_DRAG_TYPE = 'application/x-cliptrace-record';
+
+// Name of a record's folder (empty when it is not filed)
+function getFolderName(folderId) {
+    return folders.find(folder => folder.id === folderId)?.name || '';
+}
+
+// Folder switcher: All, one tab per folder with its record count, and a new folder button
+// The active folder's tab also offers export and delete; every tab accepts dropped records
+function renderFolders() {
+    const counts = new Map();
+    clipboardHistory.forEach(item => {
+        if (item.folderId) counts.set(item.folderId, (counts.get(item.folderId) || 0) + 1);
+    });
+
+    document.getElementById('folderBar').innerHTML = `<button class="folder-tab${activeFolderId ? '' : ' active'}" data-folder-id="" title="All records (drop a record here to take it out of its folder)">All<span class="folder-count">${clipboardHistory.length}</span></button>${folders.map(folder => {
+        const active = folder.id === activeFolderId;
+        return `<button class="folder-tab${active ? ' active' : ''}" data-folder-id="${escapeHtml(folder.id)}" title="Double-click to rename">${escapeHtml(folder.name)}<span class="folder-count">${counts.get(folder.id) || 0}</span>${active ? '<span class="folder-action" data-folder-action="export" title="Export this folder">⤓</span><span class="folder-action" data-folder-action="delete" title="Delete folder">×</span>' : ''}</button>`;
+    }).join('')}<button class="folder-tab folder-new" data-folder-action="new" title="New folder (drop a record here to file it in a new folder)">+ Folder</button>`;
+}
+
+// Ask for a name and create a folder, optionally filing records in it
+async function createFolder(recordIds = []) {
+    const name = prompt('Folder name');
+    if (name === null) return;
+
+    try {
+        const folder = await storage.createFolder(name);
+        if (recordIds.length > 0) {
+            await storage.moveToFolder(recordIds, folder.id);
+        }
+        showToast(`Folder "${folder.name}" created`, 'success');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+// Ask for a new folder name
+async function renameFolder(id) {
+    const name = prompt('Rename folder', getFolderName(id));
+    if (name === null) return;
+
+    try {
+        await storage.renameFolder(id, name);
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+// Delete a folder; its records stay in the history
+async function deleteFolder(id) {
+    if (!confirm(`Delete the folder "${getFolderName(id)}"? Its records are kept.`)) return;
+
+    try {
+        await storage.deleteFolder(id);
+        showToast('Folder deleted', 'success');
+    } catch (error) {
+        console.error('[ClipTrace] Failed to delete folder:', error);
+        showToast('Failed to delete folder', 'error');
+    }
+}
+
+// File records in a folder, or take them out of any folder (folderId null)
+async function moveRecords(recordIds, folderId) {
+    try {
+        const moved = await storage.moveToFolder(recordIds, folderId);
+        if (moved > 0) {
+            const what = moved > 1 ? `${moved} records` : '';
+            showToast(folderId ? `Moved ${what}${what && ' '}to "${getFolderName(folderId)}"` : `Removed ${what}${what && ' '}from folder`, 'success');
+        }
+    } catch (error) {
+        console.error('[ClipTrace] Failed to move records:', error);
+        showToast('Failed to move', 'error');
+    }
+}
+
+// Move menu for records (right-click, or the selection's Move button): move them to a folder,
+// out of their folders, or into a new one
+function openFolderMenu(items, x, y) {
+    const menu = document.getElementById('folderMenu');
+    menu.dataset.recordIds = items.map(item => item.id).join(',');
+    const isCurrent = (folder) => items.every(item => item.folderId === folder.id);
+    menu.innerHTML = `<div class="context-menu-title">${items.length > 1 ? `Move ${items.length} records to folder` : 'Move to folder'}</div>${folders.map(folder => `<button class="context-menu-item${isCurrent(folder) ? ' active' : ''}" data-folder-id="${escapeHtml(folder.id)}">${escapeHtml(folder.name)}</button>`).join('')}${items.some(item => item.folderId) ? '<button class="context-menu-item" data-folder-id="">Remove from folder</button>' : ''}<button class="context-menu-item" data-folder-action="new">New folder…</button>`;
+
+    // Keep the menu inside the sidebar
+    menu.style.display = 'block';
+    menu.style.left = `${Math.max(0, Math.min(x, window.innerWidth - menu.offsetWidth - 4))}px`;
+    menu.style.top = `${Math.max(0, Math.min(y, window.innerHeight - menu.offsetHeight - 4))}px`;
+}
+
+function closeFolderMenu() {
+    document.getElementById('folderMenu').style.display = 'none';
+}
+
+// Let a record be dragged onto a folder tab by its header (a selected record brings the selection)
+function makeRecordDraggable(item, handle) {
+    handle.draggable = true;
+    handle.addEventListener('dragstart', (e) => {
+        e.dataTransfer.setData(RECORD_DRAG_TYPE, getActionTargets(item).map(target => target.id).join(','));
+        e.dataTransfer.effectAllowed = 'move';
+        document.body.classList.add('dragging-record');
+    });
+    handle.addEventListener('dragend', () => document.body.classList.remove('dragging-record'));
+}
+
+function setupFolderListeners() {
+    const bar = document.getElementById('folderBar');
+    const menu = document.getElementById('folderMenu');
+
+    // Tab clicks: switch folders, or run the export, delete and new folder buttons
+    bar.addEventListener('click', (e) => {
+        const tab = e.target.closest('.folder-tab');
+        if (!tab) return;
+
+        const action = e.target.closest('[data-folder-action]')?.dataset.folderAction;
+        if (action === 'new') {
+            createFolder();
+        } else if (action === 'export') {
+            exportData({ folderId: activeFolderId });
+        } else if (action === 'delete') {
+            deleteFolder(activeFolderId);
+        } else {
+            activeFolderId = tab.dataset.folderId || null;
+            renderList();
+        }
+    });
+
+    bar.addEventListener('dblclick', (e) => {
+        const tab = e.target.closest('.folder-tab[data-folder-id]');
+        if (tab?.dataset.folderId && !e.target.closest('[data-folder-action]')) {
+            renameFolder(tab.dataset.folderId);
+        }
+    });
+
+    // Dropping a record on a tab files it there ("All" takes it out, "+ Folder" asks for a new one)
+    bar.addEventListener('dragover', (e) => {
+        const tab = e.target.closest('.folder-tab');
+        if (!tab || !e.dataTransfer.types.includes(RECORD_DRAG_TYPE)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        tab.classList.add('drop-target');
+    });
+    bar.addEventListener('dragleave', (e) => {
+        const tab = e.target.closest('.folder-tab');
+        if (tab && !tab.contains(e.relatedTarget)) tab.classList.remove('drop-target');
+    });
+    bar.addEventListener('drop', (e) => {
+        const tab = e.target.closest('.folder-tab');
+        const recordIds = e.dataTransfer.getData(RECORD_DRAG_TYPE).split(',').filter(Boolean);
+        if (!tab || recordIds.length === 0) return;
+        e.preventDefault();
+        tab.classList.remove('drop-target');
+
+        if (tab.dataset.folderAction === 'new') {
+            createFolder(recordIds);
+        } else {
+            moveRecords(recordIds, tab.dataset.folderId || null);
+        }
+    });
+
+    menu.addEventListener('click', (e) => {
+        const option = e.target.closest('.context-menu-item');
+        if (!option) return;
+        closeFolderMenu();
+
+        const recordIds = menu.dataset.recordIds.split(',');
+        if (option.dataset.folderAction === 'new') {
+            createFolder(recordIds);
+        } else {
+            moveRecords(recordIds, option.dataset.folderId || null);
+        }
+    });
+
+    // Any other click, Escape, scrolling or leaving the sidebar closes the menu
+    document.addEventListener('click', (e) => {
+        if (!menu.contains(e.target)) closeFolderMenu();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeFolderMenu();
+    });
+    document.getElementById('clipboardList').addEventListener('scroll', closeFolderMenu);
+    window.addEventListener('blur', closeFolderMenu);
+}
+
+// ============ Batch Selection ============
+
+// In selection mode, clicking a record selects it instead of using its buttons
+let selectionMode = false;
+const selectedIds = new Set();
+// Last record clicked without Shift (start of a Shift-click range)
+let selectionAnchorId = null;
+// Ids of the listed records in display order (ranges and select all follow it)
+let visibleIds = [];
+
+// Enter or leave selection mode (the selection starts empty)
+function setSelectionMode(enabled) {
+    selectionMode = enabled;
+    selectedIds.clear();
+    selectionAnchorId = null;
+    document.body.classList.toggle('selecting', enabled);
+    document.getElementById('selectModeBtn').classList.toggle('active', enabled);
+    document.getElementById('batchBar').style.display = enabled ? 'flex' : 'none';
+    renderList();
+}
+
+// Selected records in display order
+function getSelectedItems() {
+    const byId = new Map(clipboardHistory.map(item => [item.id, item]));
+    return visibleIds.filter(id => selectedIds.has(id)).map(id => byId.get(id));
+}
+
+// Records an action on a record applies to: the whole selection when the record is selected
+function getActionTargets(item) {
+    return selectionMode && selectedIds.has(item.id) ? getSelectedItems() : [item];
+}
+
+// Selection count and the batch buttons that need a selection (merge needs two records)
+function updateBatchBar() {
+    document.getElementById('selectionCount').textContent = `${selectedIds.size} selected`;
+    document.querySelectorAll('#batchBar [data-batch]').forEach(button => {
+        button.disabled = selectedIds.size < (button.dataset.batch === 'merge' ? 2 : 1);
+    });
+}
+
+// Sync the cards and the batch bar with the selection
+function updateSelectionUI() {
+    document.querySelectorAll('#clipboardList .clipboard-item').forEach(element => {
+        const selected = selectedIds.has(element.dataset.id);
+        element.classList.toggle('selected', selected);
+        const checkbox = element.querySelector('.item-select');
+        if (checkbox) checkbox.checked = selected;
+    });
+    updateBatchBar();
+}
+
+// Toggle a clicked record, or with Shift add every record between it and the last clicked one
+function handleSelectionClick(id, shiftKey) {
+    const anchorIndex = visibleIds.indexOf(selectionAnchorId);
+    if (shiftKey && anchorIndex !== -1) {
+        const index = visibleIds.indexOf(id);
+        visibleIds
+            .slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1)
+            .forEach(rangeId => selectedIds.add(rangeId));
+    } else {
+        if (selectedIds.has(id)) {
+            selectedIds.delete(id);
+        } else {
+            selectedIds.add(id);
+        }
+        selectionAnchorId = id;
+    }
+    updateSelectionUI();
+}
+
+// Delete the selected records; the toast offers an undo
+async function batchDelete(items) {
+    try {
+        const removed = await storage.deleteItems(items.map(item => item.id));
+        const count = removed.records.length;
+        showToast(`Deleted ${count} records`, 'success', {
+            label: 'Undo',
+            onClick: async () => {
+                try {
+                    await storage.restoreItems(removed);
+                    showToast(`Restored ${count} records`, 'success');
+                } catch (error) {
+                    console.error('[ClipTrace] Failed to restore records:', error);
+                    showToast('Failed to undo', 'error');
+                }
+            }
+        });
+    } catch (error) {
+        console.error('[ClipTrace] Failed to delete records:', error);
+        showToast('Failed to delete', 'error');
+    }
+}
+
+// Show a tag input with autocomplete in place of the batch Tag button; Enter adds the tag
+function openBatchTagInput(button) {
+    const input = document.createElement('input');
+    input.className = 'tag-input';
+    input.setAttribute('list', 'tagSuggestions');
+    input.placeholder = 'Tag';
+    input.maxLength = 30;
+    button.replaceWith(input);
+    input.focus();
+
+    let done = false;
+    const finish = async (save) => {
+        if (done) return;
+        done = true;
+        input.replaceWith(button);
+
+        const tag = normalizeTag(input.value);
+        if (!save || !tag) return;
+        try {
+            const tagged = await storage.tagItems(getSelectedItems().map(item => item.id), tag);
+            showToast(`Tagged ${tagged} records with "${tag}"`, 'success');
+        } catch (error) {
+            console.error('[ClipTrace] Failed to tag records:', error);
+            showToast('Failed to add tag', 'error');
+        }
+    };
+
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') finish(true);
+        if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(false));
+}
+
+// Combine the selected records into the oldest one
+async function batchMerge(items) {
+    if (!confirm(`Merge ${items.length} records into one? Their texts are joined oldest first and the other records are deleted.`)) return;
+
+    try {
+        await storage.mergeItems(items.map(item => item.id));
+        showToast(`Merged ${items.length} records`, 'success');
+    } catch (error) {
+        console.error('[ClipTrace] Failed to merge records:', error);
+        showToast('Failed to merge', 'error');
+    }
+}
+
+// Run a batch bar action on the selection
+function runBatchAction(action, button) {
+    const items = getSelectedItems();
+    if (items.length === 0) return;
+
+    switch (action) {
+        case 'copy':
+            copyToClipboard(items.map(item => item.text).join('\n\n'));
+            break;
+        case 'tag':
+            openBatchTagInput(button);
+            break;
+        case 'move': {
+            const rect = button.getBoundingClientRect();
+            openFolderMenu(items, rect.left, rect.bottom + 4);
+            break;
+        }
+        case 'merge':
+            batchMerge(items);
+            break;
+        case 'export':
+            exportData({ ids: items.map(item => item.id) });
+            break;
+        case 'delete':
+            batchDelete(items);
+            break;
+    }
+}
+
+function setupSelectionListeners() {
+    document.getElementById('selectModeBtn').addEventListener('click', () => setSelectionMode(!selectionMode));
+    document.getElementById('exitSelectBtn').addEventListener('click', () => setSelectionMode(false));
+    document.getElementById('selectAllBtn').addEventListener('click', () => {
+        visibleIds.forEach(id => selectedIds.add(id));
+        updateSelectionUI();
+    });
+    document.getElementById('selectNoneBtn').addEventListener('click', () => {
+        selectedIds.clear();
+        updateSelectionUI();
+    });
+
+    document.getElementById('batchBar').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-batch]');
+        if (!button || button.disabled) return;
+        // Keep the document click handler from closing the move menu right away
+        e.stopPropagation();
+        runBatchAction(button.dataset.batch, button);
+    });
+
+    // In selection mode a click anywhere on a card selects it (capture phase, before the card's
+    // own buttons); the checkbox keeps its native toggle so its state is not reverted
+    document.getElementById('clipboardList').addEventListener('click', (e) => {
+        if (!selectionMode) return;
+        const element = e.target.closest('.clipboard-item');
+        if (!element) return;
+        if (!e.target.matches('.item-select')) e.preventDefault();
+        e.stopPropagation();
+        handleSelectionClick(element.dataset.id, e.shiftKey);
+    }, true);
+
+    // Ctrl/Cmd+A selects every listed record, Escape leaves selection mode
+    document.addEventListener('keydown', (e) => {
+        if (!selectionMode || e.target.closest?.('input, textarea, select')) return;
+        if (e.key === 'a' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            document.getElementById('selectAllBtn').click();
+        } else if (e.key === 'Escape' && document.getElementById('folderMenu').style.display === 'none') {
+            setSelectionMode(false);
+        }
+    });
+}
+
+// ============ Tags, Favorites and Pinning ============
+
+// Every tag in the history, by label
+function getKnownTags() {
+    const tags = new Set();
+    clipboardHistory.forEach(item => item.tags.forEach(tag => tags.add(tag)));
+    return Array.from(tags).sort((a, b) => getTagLabel(a).localeCompare(getTagLabel(b)));
+}
+
+// Autocomplete options for the item tag inputs
+function renderTagSuggestions() {
+    document.getElementById('tagSuggestions').innerHTML = getKnownTags()
+        .map(tag => `<option value="${escapeHtml(tag)}"></option>`)
+        .join('');
+}
+
+// Tag facet buttons with counts over the records matching the other filters
+function renderTagFacets(items) {
+    const counts = new Map();
+    items.forEach(item => item.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+    if (currentTagFilter && !counts.has(currentTagFilter)) counts.set(currentTagFilter, 0);
+
+    document.getElementById('tagFacets').innerHTML = Array.from(counts)
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .map(([tag, count]) => `<button class="filter-btn${tag === currentTagFilter ? ' active' : ''}" data-tag="${escapeHtml(tag)}">${escapeHtml(getTagLabel(tag))}<span class="facet-count">${count}</span></button>`)
+        .join('');
+}
+
+// Toggle the favorite or pinned flag of a record (the list re-renders on the change event)
+async function toggleFlag(item, flag) {
+    try {
+        await storage.updateItem(item.id, { [flag]: !item[flag] });
+        if (flag === 'pinned') {
+            showToast(item.pinned ? 'Unpinned' : 'Pinned to the top and kept by cleanup', 'success');
+        }
+    } catch (error) {
+        console.error('[ClipTrace] Failed to update record:', error);
+        showToast('Failed to update', 'error');
+    }
+}
+
+// Replace the manual tags of a record
+async function setUserTags(item, userTags) {
+    try {
+        await storage.updateItem(item.id, { userTags });
+    } catch (error) {
+        console.error('[ClipTrace] Failed to update tags:', error);
+        showToast('Failed to update tags', 'error');
+    }
+}
+
+// Show a tag input with autocomplete in place of the add button; Enter or leaving it saves
+function openTagInput(item, button) {
+    const input = document.createElement('input');
+    input.className = 'tag-input';
+    input.setAttribute('list', 'tagSuggestions');
+    input.placeholder = 'Tag';
+    input.maxLength = 30;
+    button.replaceWith(input);
+    input.focus();
+
+    let done = false;
+    const finish = (save) => {
+        if (done) return;
+        done = true;
+        const tag = normalizeTag(input.value);
+        if (save && tag && !item.userTags.includes(tag)) {
+            setUserTags(item, [...item.userTags, tag]);
+        } else {
+            input.replaceWith(button);
+        }
+    };
+
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') finish(true);
+        if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+}
+
 // ============ Create Item Element ============
 
 function createClipboardItem(item) {
     const div = document.createElement('div');
-    div.className = 'clipboard-item';
+    div.className = `clipboard-item${item.pinned ? ' pinned' : ''}${selectedIds.has(item.id) ? ' selected' : ''}`;
     div.dataset.id = item.id;
 
-    // Build tags HTML
-    const tagsHtml = item.tags && item.tags.length > 0
-        ? `<div class="item-tags">${item.tags.map(tag => `<span class="tag ${tag}">${getTagLabel(tag)}</span>`).join('')}</div>`
-        : '';
+    // Build tags HTML: detected tags, then removable manual tags and the add button
+    const detectedTags = item.tags.filter(tag => !item.userTags.includes(tag));
+    const tagsHtml = `<div class="item-tags">${detectedTags.map(tag => `<span class="tag ${escapeHtml(tag)}">${escapeHtml(getTagLabel(tag))}</span>`).join('')}${item.userTags.map(tag => `<span class="tag user-tag">${escapeHtml(tag)}<button class="tag-remove" data-tag="${escapeHtml(tag)}" title="Remove tag">×</button></span>`).join('')}<button class="tag-add-btn" title="Add a tag">+ Tag</button></div>`;
 
     // Build content - collapse if more than 5 lines
     const lines = item.text.split('\n');
     const lineCount = lines.length;
-    const isLongContent = lineCount > 8;
-    const displayText = escapeHtml(isLongContent ? lines.slice(0, 5).join('\n') + '...' : item.text);
+    const hasRichContent = !!item.richContent?.html;
+    const isLongContent = hasRichContent || lineCount > 8;
+
+    // Code is previewed with syntax highlighting; indentation is kept by the pre-wrap content
+    const codeLanguage = !hasRichContent && isCodeRecord(item) ? detectLanguage(item.text, item.codeLanguage) : null;
+    const renderText = (text) => (codeLanguage ? highlightCode(text, codeLanguage) : escapeHtml(text));
+    const displayText = renderText(isLongContent ? lines.slice(0, 5).join('\n') + '...' : item.text);
+
+    // Commands copied with prompts or line numbers can be copied runnable
+    const cleanText = codeLanguage ? stripPrompts(item.text) : item.text;
+
+    // Re-copy in captured formats
+    const copyFormatsHtml = hasRichContent
+        ? `<div class="copy-formats">
+        <span>Copy as</span>
+        <button class="format-btn" data-format="html">HTML</button>
+        <button class="format-btn" data-format="markdown">Markdown</button>
+      </div>`
+        : '';
 
     div.innerHTML = `
     <div class="item-header">
-      <img src="${item.favicon || getDefaultFavicon()}" class="favicon">
+      ${selectionMode ? `<input type="checkbox" class="item-select" aria-label="Select record"${selectedIds.has(item.id) ? ' checked' : ''}>` : ''}
+      <img src="${item.favicon || DEFAULT_FAVICON}" class="favicon">
       <div class="item-meta">
         <div class="page-title" title="${escapeHtml(item.pageTitle || 'Unknown page')}">${escapeHtml(item.pageTitle || 'Unknown page')}</div>
-        <div class="timestamp">${formatTime(item.timestamp)}</div>
+        <div class="timestamp">${formatTime(item.timestamp)}${item.textRevisions.length > 0 ? ' · <button class="edited-badge" title="Show the edit history">edited</button>' : ''}${item.folderId && !activeFolderId ? ` · <span class="folder-label">${escapeHtml(getFolderName(item.folderId))}</span>` : ''}${item.copyCount > 1 ? ` · ${renderCopyCount(item)}` : ''}${item.captureMethod !== 'copy' ? ` · <span class="capture-method">${CAPTURE_METHOD_LABELS[item.captureMethod] || item.captureMethod}</span>` : ''}${item.field ? ` · <span class="field-source">from ${escapeHtml(describeField(item.field))}</span>` : ''}${item.locateResult ? ` · ${renderLocateStatus(item.locateResult)}` : ''}${item.linkHealth && item.linkHealth.status !== 'intact' ? ` · ${renderLinkHealth(item.linkHealth)}` : ''}</div>
       </div>
+      <button class="flag-btn${item.favorite ? ' active' : ''}" data-flag="favorite" title="${item.favorite ? 'Remove from favorites' : 'Add to favorites'}">
+        <svg class="icon icon-sm" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+          <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"></polygon>
+        </svg>
+      </button>
+      <button class="flag-btn${item.pinned ? ' active' : ''}" data-flag="pinned" title="${item.pinned ? 'Unpin' : 'Pin to the top (never cleaned up)'}">
+        <svg class="icon icon-sm" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+          <path d="M12 17v5"></path>
+          <path d="M9 10.76a2 2 0 0 1-1.11 1.79l-1.78.9A2 2 0 0 0 5 15.24V16a1 1 0 0 0 1 1h12a1 1 0 0 0 1-1v-.76a2 2 0 0 0-1.11-1.79l-1.78-.9A2 2 0 0 1 15 10.76V7a1 1 0 0 1 1-1 2 2 0 0 0 0-4H8a2 2 0 0 0 0 4 1 1 0 0 1 1 1z"></path>
+        </svg>
+      </button>
       <button class="delete-btn" title="Delete">
         <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
           <path d="M18 6 6 18"></path>
@@ -239,7 +1133,9 @@ function createClipboardItem(item) {
       </button>
     </div>
     ${tagsHtml}
-    <div class="item-content ${isLongContent ? '' : 'expanded'}">${displayText}</div>
+    <div class="item-content ${isLongContent ? '' : 'expanded'}${hasRichContent ? ' rich-preview' : ''}${codeLanguage ? ' code-preview' : ''}"${codeLanguage ? ` data-language="${LANGUAGE_LABELS[codeLanguage]}"` : ''}>${hasRichContent ? '' : displayText}</div>
+    ${item.note ? '<div class="item-note"></div>' : ''}
+    ${copyFormatsHtml}
     <div class="item-actions">
       <button class="action-btn" data-action="open">
         <svg class="icon icon-sm" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
@@ -255,6 +1151,13 @@ function createClipboardItem(item) {
         </svg>
         Edit
       </button>
+      <button class="action-btn" data-action="note" title="${item.note ? 'Edit the note' : 'Add a note'}">
+        <svg class="icon icon-sm" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+          <path d="M15.5 3H5a2 2 0 0 0-2 2v14c0 1.1.9 2 2 2h14a2 2 0 0 0 2-2V8.5L15.5 3Z"></path>
+          <path d="M15 3v6h6"></path>
+        </svg>
+        Note
+      </button>
       <button class="action-btn" data-action="copy">
         <svg class="icon icon-sm" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
           <rect width="14" height="14" x="8" y="8" rx="2" ry="2"></rect>
@@ -262,13 +1165,28 @@ function createClipboardItem(item) {
         </svg>
         Copy
       </button>
+      ${cleanText !== item.text ? `<button class="action-btn" data-action="copy-clean" title="Copy without line numbers or prompts">
+        <svg class="icon icon-sm" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+          <polyline points="4 17 10 11 4 5"></polyline>
+          <line x1="12" x2="20" y1="19" y2="19"></line>
+        </svg>
+        Copy clean
+      </button>` : ''}
+      ${item.snapshot && hasLostSource(item) ? `<button class="action-btn" data-action="snapshot" title="The page no longer contains this text">
+        <svg class="icon icon-sm" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+          <rect width="20" height="5" x="2" y="3" rx="1"></rect>
+          <path d="M4 8v11a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8"></path>
+          <path d="M10 12h4"></path>
+        </svg>
+        View snapshot
+      </button>` : ''}
     </div>
   `;
 
     // Handle favicon error - use addEventListener instead of inline onerror (CSP compliance)
     const faviconImg = div.querySelector('.favicon');
     faviconImg.addEventListener('error', () => {
-        faviconImg.src = getDefaultFavicon();
+        faviconImg.src = DEFAULT_FAVICON;
     });
 
     // Bind events
@@ -277,30 +1195,319 @@ function createClipboardItem(item) {
         deleteItem(item.id, div);
     });
 
+    div.querySelectorAll('.flag-btn').forEach(btn => {
+        btn.addEventListener('click', () => toggleFlag(item, btn.dataset.flag));
+    });
+    div.querySelector('.tag-add-btn').addEventListener('click', (e) => openTagInput(item, e.currentTarget));
+    div.querySelectorAll('.tag-remove').forEach(btn => {
+        btn.addEventListener('click', () => setUserTags(item, item.userTags.filter(tag => tag !== btn.dataset.tag)));
+    });
+
     div.querySelector('[data-action="open"]').addEventListener('click', () => openAndHighlight(item));
     div.querySelector('[data-action="edit"]').addEventListener('click', () => editItem(item, div));
+    div.querySelector('[data-action="note"]').addEventListener('click', () => editNote(item, div));
+    div.querySelector('.edited-badge')?.addEventListener('click', () => toggleTextHistory(item, div));
     div.querySelector('[data-action="copy"]').addEventListener('click', () => copyToClipboard(item.text));
+    div.querySelector('[data-action="copy-clean"]')?.addEventListener('click', () => copyToClipboard(cleanText));
+    div.querySelector('[data-action="snapshot"]')?.addEventListener('click', () => openSnapshot(item));
+
+    // Folders: drag the header onto a folder tab, or right-click for the move menu
+    // (the native menu is kept while text is selected, so the selection can be copied)
+    makeRecordDraggable(item, div.querySelector('.item-header'));
+    div.addEventListener('contextmenu', (e) => {
+        if (window.getSelection().toString()) return;
+        e.preventDefault();
+        const rect = div.getBoundingClientRect();
+        openFolderMenu(getActionTargets(item), e.clientX || rect.left, e.clientY || rect.top);
+    });
 
     // Click page title to open link
     div.querySelector('.page-title').addEventListener('click', () => {
         chrome.tabs.create({ url: item.url });
     });
 
+    // Rich preview and format copy buttons
+    if (hasRichContent) {
+        renderRichPreview(div.querySelector('.item-content'), item);
+
+        div.querySelector('[data-format="html"]').addEventListener('click', () => {
+            copyRichToClipboard(item.richContent.html, item.text);
+        });
+        div.querySelector('[data-format="markdown"]').addEventListener('click', () => {
+            copyToClipboard(item.richContent.markdown);
+        });
+    }
+
+    // Note rendered from its Markdown
+    const noteEl = div.querySelector('.item-note');
+    if (noteEl) {
+        renderNote(noteEl, item.note);
+        markSearchMatches(noteEl);
+    }
+
+    // Mark search matches
+    markSearchMatches(div.querySelector('.item-content'));
+
     // Click content to expand/collapse
     if (isLongContent) {
         const contentEl = div.querySelector('.item-content');
         contentEl.style.cursor = 'pointer';
         contentEl.addEventListener('click', () => {
             contentEl.classList.toggle('expanded');
+            if (hasRichContent) return;
             contentEl.innerHTML = contentEl.classList.contains('expanded')
-                ? escapeHtml(item.text)
+                ? renderText(item.text)
                 : displayText;
+            markSearchMatches(contentEl);
         });
     }
 
     return div;
 }
 
+// Labels for the outcome of the last jump to the source page
+const LOCATE_STATUS_LABELS = {
+    exact: 'Found exactly',
+    approximate: 'Approximate',
+    notFound: 'Not found'
+};
+
+// Classify a HIGHLIGHT_TEXT reply: exact only for complete, high-confidence matches
+function getLocateStatus(response) {
+    if (!response?.found) return 'notFound';
+    return !response.partial && response.confidence >= 0.8 ? 'exact' : 'approximate';
+}
+
+// Badge for the last locate outcome (method and confidence in the tooltip)
+function renderLocateStatus(locateResult) {
+    const details = locateResult.method
+        ? `${locateResult.method}, confidence ${Math.round(locateResult.confidence * 100)}%`
+        : 'Text not found on the page';
+    return `<span class="locate-status ${locateResult.status}" title="${escapeHtml(details)}">${LOCATE_STATUS_LABELS[locateResult.status] || ''}</span>`;
+}
+
+// Badge for records copied more than once (recent copy times in the tooltip)
+function renderCopyCount(item) {
+    const times = (item.lastCopiedAt || []).slice().reverse().map(formatTime).join('\n');
+    return `<span class="copy-count" title="${escapeHtml(times)}">Copied ${item.copyCount}×</span>`;
+}
+
+// Labels for source pages that no longer match the record
+const LINK_HEALTH_LABELS = {
+    changed: 'Page changed',
+    moved: 'Page moved',
+    gone: 'Page gone'
+};
+
+// Badge for the last source link check (details in the tooltip)
+function renderLinkHealth(linkHealth) {
+    let details = `Checked ${formatTime(linkHealth.checkedAt)}`;
+    if (linkHealth.status === 'changed') {
+        details += `, ${Math.round(linkHealth.similarity * 100)}% similar`;
+    } else if (linkHealth.status === 'moved' && linkHealth.finalUrl) {
+        details += `, now at ${linkHealth.finalUrl}`;
+    } else if (linkHealth.httpStatus) {
+        details += `, HTTP ${linkHealth.httpStatus}`;
+    }
+    return `<span class="link-health ${linkHealth.status}" title="${escapeHtml(details)}">${LINK_HEALTH_LABELS[linkHealth.status] || ''}</span>`;
+}
+
+// Whether the last jump or link check found the text missing from the source page
+function hasLostSource(item) {
+    return item.locateResult?.status === 'notFound' ||
+        item.linkHealth?.status === 'changed' ||
+        item.linkHealth?.status === 'gone';
+}
+
+// Labels for non-default capture methods
+const CAPTURE_METHOD_LABELS = {
+    cut: 'Cut',
+    'api-write': 'Copy button'
+};
+
+// Short description of the form field or editor a record was copied from
+function describeField(field) {
+    const name = field.label || field.name || field.id;
+    if (field.kind === 'contenteditable') {
+        return name ? `editor "${name}"` : 'editor';
+    }
+    return name ? `field "${name}"` : 'form field';
+}
+
+// Render a note's Markdown as sanitized HTML; links open in a new tab
+function renderNote(container, note) {
+    container.innerHTML = sanitizeHtml(markdownToHtml(note));
+    container.addEventListener('click', (e) => {
+        const link = e.target.closest('a[href]');
+        if (!link) return;
+        e.preventDefault();
+        chrome.tabs.create({ url: link.href });
+    });
+}
+
+// Render a record's captured HTML as a safe preview
+// HTML is sanitized again here (imported records are untrusted), remote images are never
+// loaded - only blobs stored at capture time are shown, others fall back to their alt text
+function renderRichPreview(container, item) {
+    const inertDoc = document.implementation.createHTMLDocument('');
+    const wrapper = inertDoc.createElement('div');
+    wrapper.innerHTML = sanitizeHtml(item.richContent.html, item.url);
+
+    const images = wrapper.querySelectorAll('img');
+    images.forEach(img => {
+        img.dataset.src = img.getAttribute('src') || '';
+        img.removeAttribute('src');
+    });
+
+    const preview = document.importNode(wrapper, true);
+    container.replaceChildren(...preview.childNodes);
+
+    // Open links in a new tab instead of navigating the side panel
+    container.addEventListener('click', (e) => {
+        const link = e.target.closest('a[href]');
+        if (!link) return;
+        e.preventDefault();
+        e.stopPropagation();
+        chrome.tabs.create({ url: link.href });
+    });
+
+    if (images.length === 0) return;
+
+    storage.getRecordImages(item.id).then(storedImages => {
+        const blobsBySrc = new Map(storedImages.map(image => [image.src, image.blob]));
+
+        container.querySelectorAll('img').forEach(img => {
+            const blob = blobsBySrc.get(img.dataset.src);
+            if (blob) {
+                const url = URL.createObjectURL(blob);
+                previewObjectUrls.push(url);
+                img.src = url;
+            } else {
+                const placeholder = document.createElement('span');
+                placeholder.className = 'rich-image-placeholder';
+                placeholder.textContent = img.alt ? `[Image: ${img.alt}]` : '[Image]';
+                img.replaceWith(placeholder);
+            }
+        });
+    }).catch(error => {
+        console.warn('[ClipTrace] Failed to load preview images:', error);
+    });
+}
+
+// ============ Snapshot Reader ============
+
+// Format a published date from page metadata (kept as-is when not parseable)
+function formatPublishedDate(value) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? value : date.toLocaleDateString();
+}
+
+// Wrap every match of the current search query in a <mark class="search-match">
+function markSearchMatches(container) {
+    if (!highlightPattern) return;
+
+    const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    let node;
+    while (node = walker.nextNode()) textNodes.push(node);
+
+    textNodes.forEach(textNode => {
+        const matches = Array.from(textNode.data.matchAll(highlightPattern)).filter(match => match[0]);
+        if (matches.length === 0) return;
+
+        const fragment = document.createDocumentFragment();
+        let offset = 0;
+        matches.forEach(match => {
+            fragment.append(textNode.data.substring(offset, match.index));
+            const mark = document.createElement('mark');
+            mark.className = 'search-match';
+            mark.textContent = match[0];
+            fragment.append(mark);
+            offset = match.index + match[0].length;
+        });
+        fragment.append(textNode.data.substring(offset));
+        textNode.replaceWith(fragment);
+    });
+}
+
+// Wrap the first occurrence of the copied text's first line in a <mark>
+function markSnapshotText(container, text) {
+    const needle = (text.split('\n').find(line => line.trim()) || '').trim().substring(0, 80);
+    if (!needle) return;
+
+    const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+    let node;
+    while (node = walker.nextNode()) {
+        const index = node.data.indexOf(needle);
+        if (index === -1) continue;
+
+        const range = document.createRange();
+        range.setStart(node, index);
+        range.setEnd(node, index + needle.length);
+        const mark = document.createElement('mark');
+        range.surroundContents(mark);
+        mark.scrollIntoView({ block: 'center' });
+        return;
+    }
+}
+
+// Show the archived source context of a record in the reader view
+function openSnapshot(item) {
+    const { html, capturedAt, metadata } = item.snapshot;
+
+    document.getElementById('snapshotTitle').textContent = item.pageTitle || 'Unknown page';
+
+    const details = [
+        metadata.siteName,
+        metadata.author ? `by ${metadata.author}` : '',
+        metadata.publishedDate ? `published ${formatPublishedDate(metadata.publishedDate)}` : '',
+        `archived ${formatTime(capturedAt)}`
+    ].filter(Boolean).map(escapeHtml).join(' · ');
+    const sourceUrl = /^https?:/i.test(metadata.canonicalUrl) ? metadata.canonicalUrl : item.url;
+    document.getElementById('snapshotMeta').innerHTML =
+        `${details}<br><a href="${escapeHtml(sourceUrl)}">${escapeHtml(sourceUrl)}</a>`;
+
+    // Re-sanitize, and show images as placeholders so viewing loads nothing remote
+    const inertDoc = document.implementation.createHTMLDocument('');
+    const wrapper = inertDoc.createElement('div');
+    wrapper.innerHTML = sanitizeHtml(html, item.url);
+    wrapper.querySelectorAll('img').forEach(img => {
+        const placeholder = inertDoc.createElement('span');
+        placeholder.className = 'rich-image-placeholder';
+        placeholder.textContent = img.alt ? `[Image: ${img.alt}]` : '[Image]';
+        img.replaceWith(placeholder);
+    });
+
+    const content = document.getElementById('snapshotContent');
+    content.replaceChildren(...document.importNode(wrapper, true).childNodes);
+
+    document.getElementById('snapshotModal').style.display = 'flex';
+    markSnapshotText(content, item.text);
+}
+
+// Snapshot reader event listeners
+function setupSnapshotListeners() {
+    const modal = document.getElementById('snapshotModal');
+
+    document.getElementById('closeSnapshotBtn').addEventListener('click', () => {
+        modal.style.display = 'none';
+    });
+
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            modal.style.display = 'none';
+            return;
+        }
+
+        // Open links in a new tab instead of navigating the side panel
+        const link = e.target.closest('a[href]');
+        if (link) {
+            e.preventDefault();
+            chrome.tabs.create({ url: link.href });
+        }
+    });
+}
+
 // ============ Action Functions ============
 
 // Delete item
@@ -312,9 +1519,7 @@ async function deleteItem(id, element) {
         element.style.transition = 'all 0.3s ease';
 
         setTimeout(async () => {
-            clipboardHistory = clipboardHistory.filter(item => item.id !== id);
-            await chrome.storage.local.set({ clipboardHistory });
-            renderList();
+            await storage.deleteItem(id);
             showToast('Deleted', 'success');
         }, 300);
     } catch (error) {
@@ -369,16 +1574,9 @@ function editItem(item, element) {
         }
 
         try {
-            // Update item in history
-            const index = clipboardHistory.findIndex(i => i.id === item.id);
-            if (index !== -1) {
-                clipboardHistory[index].text = newText;
-                // Re-extract tags for edited content
-                clipboardHistory[index].tags = extractTags(newText);
-                await chrome.storage.local.set({ clipboardHistory });
-                renderList();
-                showToast('Saved', 'success');
-            }
+            // Update item in history (tags are re-extracted by the storage layer)
+            await storage.updateItem(item.id, { text: newText });
+            showToast('Saved', 'success');
         } catch (error) {
             showToast('Failed to save', 'error');
         }
@@ -390,39 +1588,96 @@ function editItem(item, element) {
     });
 }
 
-// Extract tags from text (for edited content)
-function extractTags(text) {
-    const tags = [];
+// Edit the note of a record below its content; Ctrl+Enter saves, Escape cancels
+function editNote(item, element) {
+    if (element.querySelector('.note-editor')) return;
+
+    const editor = document.createElement('div');
+    editor.className = 'note-editor';
+    editor.innerHTML = `
+        <textarea class="edit-textarea" rows="3" maxlength="5000" placeholder="Add a note..."></textarea>
+        <div class="note-editor-footer">
+            <span class="note-hint">**bold** *italic* \`code\` [link](url) - list &gt; quote</span>
+            <button class="action-btn" data-action="cancel-note">Cancel</button>
+            <button class="action-btn primary" data-action="save-note">Save</button>
+        </div>
+    `;
 
-    // Code detection
-    if (/\b(function|const|let|var|class|def|import|export|return|=>)\b/.test(text)) {
-        tags.push('code');
-    }
+    // The editor replaces the rendered note until saved or cancelled
+    const noteEl = element.querySelector('.item-note');
+    if (noteEl) noteEl.style.display = 'none';
+    element.querySelector('.item-content').after(editor);
 
-    // Link detection
-    if (/https?:\/\//.test(text)) {
-        tags.push('link');
-    }
+    const textarea = editor.querySelector('textarea');
+    textarea.value = item.note;
+    textarea.focus();
 
-    // Email detection
-    if (/[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/.test(text)) {
-        tags.push('email');
-    }
+    const cancel = () => {
+        editor.remove();
+        if (noteEl) noteEl.style.display = '';
+    };
+    const save = async () => {
+        try {
+            // The list re-renders with the new note on the change event
+            await storage.updateItem(item.id, { note: textarea.value });
+            showToast(textarea.value.trim() ? 'Note saved' : 'Note removed', 'success');
+        } catch (error) {
+            console.error('[ClipTrace] Failed to save note:', error);
+            showToast('Failed to save note', 'error');
+        }
+    };
 
-    // Numbers detection
-    if (/\b\d{4,}\b/.test(text)) {
-        tags.push('numbers');
+    editor.querySelector('[data-action="save-note"]').addEventListener('click', save);
+    editor.querySelector('[data-action="cancel-note"]').addEventListener('click', cancel);
+    textarea.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) save();
+        if (e.key === 'Escape') cancel();
+    });
+}
+
+// Show or hide the earlier texts of a record, newest first, each with a revert button
+function toggleTextHistory(item, element) {
+    const existing = element.querySelector('.text-history');
+    if (existing) {
+        existing.remove();
+        return;
     }
 
-    return tags;
+    const history = document.createElement('div');
+    history.className = 'text-history';
+    history.innerHTML = item.textRevisions.map((revision, index) => `
+        <div class="text-revision">
+            <div class="text-revision-meta">
+                <span>${index === 0 ? 'Original' : 'Earlier version'} · replaced ${formatTime(revision.replacedAt)}</span>
+                <button class="revert-btn" data-revision="${index}" title="Restore this text (the current text is kept in the history)">Revert</button>
+            </div>
+            <div class="text-revision-text">${escapeHtml(revision.text)}</div>
+        </div>
+    `).reverse().join('');
+    element.querySelector('.item-content').after(history);
+
+    history.addEventListener('click', async (e) => {
+        const button = e.target.closest('.revert-btn');
+        if (!button) return;
+
+        try {
+            await storage.revertText(item.id, Number(button.dataset.revision));
+            showToast('Text restored', 'success');
+        } catch (error) {
+            console.error('[ClipTrace] Failed to revert text:', error);
+            showToast('Failed to revert', 'error');
+        }
+    });
 }
 
 // Open and highlight
 async function openAndHighlight(item) {
     try {
-        // Find already open tabs
+        // Find an open tab showing the same page (tracking parameters and fragments ignored)
         const tabs = await chrome.tabs.query({});
-        let existingTab = tabs.find(tab => tab.url === item.url);
+        let existingTab = tabs.find(tab =>
+            isSamePage(tab.url, item.url) || (tab.url && normalizeUrl(tab.url) === item.pageKey)
+        );
 
         let tab;
         if (existingTab) {
@@ -452,19 +1707,53 @@ async function openAndHighlight(item) {
         }
 
         // Send highlight message (include original text as fallback search)
+        // Resolves with the content script's result once it has searched the page
+        let response = null;
         try {
-            await chrome.tabs.sendMessage(tab.id, {
+            response = await chrome.tabs.sendMessage(tab.id, {
                 type: 'HIGHLIGHT_TEXT',
                 data: {
                     ...item.selectionInfo,
+                    field: item.field || null,  // Focus the source field when copied from one
+                    frame: item.frame || null,  // Route to the iframe the text was copied from
+                    recordId: item.id,  // Lets the page report a repaired anchor for this record
                     originalText: item.text  // Add original text for fallback search
                 }
             });
         } catch (e) {
+            // No content script in the page (restricted page, or not injected yet)
             console.warn('[ClipTrace] Failed to send highlight message:', e);
         }
 
-        showToast('Navigated to original page', 'success');
+        // Remember the outcome on the record (re-rendered through the storage change event)
+        const status = getLocateStatus(response);
+        storage.updateItem(item.id, {
+            locateResult: {
+                status,
+                method: response?.method || null,
+                confidence: response?.confidence || 0,
+                partial: !!response?.partial,
+                checkedAt: Date.now()
+            }
+        }).catch(error => console.warn('[ClipTrace] Failed to save locate result:', error));
+
+        if (status === 'exact') {
+            showToast('Found exactly', 'success');
+            return;
+        }
+        if (status === 'approximate') {
+            showToast(`Found approximately (${Math.round(response.confidence * 100)}% confidence)`, 'info');
+            return;
+        }
+
+        // Let the browser's native text fragment matching try instead
+        const fragmentUrl = buildTextFragmentUrl(item);
+        if (fragmentUrl) {
+            await chrome.tabs.update(tab.id, { url: fragmentUrl });
+            showToast('Not found by ClipTrace, trying browser text search', 'info');
+        } else {
+            showToast('Not found on the page', 'error');
+        }
     } catch (error) {
         console.error('[ClipTrace] Failed to open:', error);
         showToast('Failed to open: ' + error.message, 'error');
@@ -488,108 +1777,71 @@ async function copyToClipboard(text) {
     }
 }
 
-// ============ Utility Functions ============
-
-function escapeHtml(text) {
-    if (!text) return '';
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
-}
-
-function truncateText(text, maxLength) {
-    if (!text) return '';
-    return text.length > maxLength ? text.substring(0, maxLength) + '...' : text;
-}
-
-function formatTime(timestamp) {
-    const date = new Date(timestamp);
-    const now = new Date();
-    const diff = now - date;
-
-    if (diff < 60000) return 'Just now';
-    if (diff < 3600000) return `${Math.floor(diff / 60000)} min ago`;
-    if (diff < 86400000) return `${Math.floor(diff / 3600000)} hr ago`;
-
-    return date.toLocaleString('en-US', {
-        month: 'short',
-        day: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit'
-    });
-}
-
-function formatDateHeader(dateString) {
-    const date = new Date(dateString);
-    const today = new Date();
-    const yesterday = new Date(Date.now() - 86400000);
-
-    if (dateString === today.toDateString()) return 'Today';
-    if (dateString === yesterday.toDateString()) return 'Yesterday';
-
-    return date.toLocaleDateString('en-US', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-    });
-}
-
-function getTagLabel(tag) {
-    const labels = {
-        code: 'Code',
-        link: 'Link',
-        email: 'Email',
-        numbers: 'Numbers'
-    };
-    return labels[tag] || tag;
+// Copy HTML with a plain text alternative
+async function copyRichToClipboard(html, text) {
+    try {
+        await navigator.clipboard.write([
+            new ClipboardItem({
+                'text/html': new Blob([html], { type: 'text/html' }),
+                'text/plain': new Blob([text], { type: 'text/plain' })
+            })
+        ]);
+        showToast('Copied as HTML', 'success');
+    } catch (error) {
+        console.warn('[ClipTrace] Rich copy failed, copying plain text:', error);
+        copyToClipboard(text);
+    }
 }
 
-function getDefaultFavicon() {
-    // Return a simple data URI as default icon
-    return 'data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHdpZHRoPSIxNiIgaGVpZ2h0PSIxNiIgdmlld0JveD0iMCAwIDI0IDI0IiBmaWxsPSJub25lIiBzdHJva2U9IiM5OTkiIHN0cm9rZS13aWR0aD0iMiI+PHBhdGggZD0iTTEyIDJhMTAgMTAgMCAxIDAgMTAgMTBBMTAgMTAgMCAwIDAgMTIgMnoiLz48L3N2Zz4=';
-}
+// ============ Utility Functions ============
 
 // Toast notification
-function showToast(message, type = 'info') {
+// action: optional { label, onClick } shown as a button (the toast then stays longer)
+function showToast(message, type = 'info', action = null) {
     const container = document.getElementById('toastContainer');
     const toast = document.createElement('div');
     toast.className = `toast ${type}`;
     toast.textContent = message;
     container.appendChild(toast);
 
+    let dismissed = false;
+    const dismiss = () => {
+        if (dismissed) return;
+        dismissed = true;
+        toast.classList.remove('show');
+        setTimeout(() => toast.remove(), 300);
+    };
+
+    if (action) {
+        const button = document.createElement('button');
+        button.className = 'toast-action';
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+            dismiss();
+            action.onClick();
+        });
+        toast.appendChild(button);
+    }
+
     // Show animation
     requestAnimationFrame(() => {
         toast.classList.add('show');
     });
 
     // Auto remove
-    setTimeout(() => {
-        toast.classList.remove('show');
-        setTimeout(() => toast.remove(), 300);
-    }, 2500);
+    setTimeout(dismiss, action ? 6000 : 2500);
 }
 
 // ============ Settings Panel Functions ============
 
-// Settings storage key
-const SETTINGS_KEY = 'smartClipboardSettings';
-
-// Default settings
-const DEFAULT_SETTINGS = {
-    incognitoMode: false,
-    blacklist: [],
-    autoCleanup: false,
-    cleanupDays: 30
-};
-
 // Current settings
-let currentSettings = { ...DEFAULT_SETTINGS };
+let currentSettings = { ...storage.DEFAULT_SETTINGS };
 
 // Initialize settings
 async function initSettings() {
     try {
-        const result = await chrome.storage.local.get([SETTINGS_KEY]);
-        currentSettings = { ...DEFAULT_SETTINGS, ...result[SETTINGS_KEY] };
+        currentSettings = await storage.getSettings();
+        setCustomDetectors(currentSettings.customDetectors);
         updateSettingsUI();
     } catch (error) {
         console.error('[ClipTrace] Failed to load settings:', error);
@@ -599,7 +1851,7 @@ async function initSettings() {
 // Save settings
 async function saveSettings() {
     try {
-        await chrome.storage.local.set({ [SETTINGS_KEY]: currentSettings });
+        await storage.saveSettings(currentSettings);
     } catch (error) {
         console.error('[ClipTrace] Failed to save settings:', error);
     }
@@ -613,6 +1865,24 @@ function updateSettingsUI() {
         incognitoToggle.checked = currentSettings.incognitoMode;
     }
 
+    // Update rich formats toggle
+    const richFormatsToggle = document.getElementById('richFormatsToggle');
+    if (richFormatsToggle) {
+        richFormatsToggle.checked = currentSettings.captureRichFormats;
+    }
+
+    // Update snapshots toggle
+    const snapshotsToggle = document.getElementById('snapshotsToggle');
+    if (snapshotsToggle) {
+        snapshotsToggle.checked = currentSettings.captureSnapshots;
+    }
+
+    // Update dedup policy
+    const dedupPolicySelect = document.getElementById('dedupPolicy');
+    if (dedupPolicySelect) {
+        dedupPolicySelect.value = currentSettings.dedupPolicy || 'samePageDay';
+    }
+
     // Update auto cleanup toggle
     const autoCleanupToggle = document.getElementById('autoCleanupToggle');
     const cleanupDaysWrapper = document.getElementById('cleanupDaysWrapper');
@@ -627,9 +1897,18 @@ function updateSettingsUI() {
         cleanupDaysSelect.value = currentSettings.cleanupDays || 30;
     }
 
+    // Update source link check interval
+    const linkCheckSelect = document.getElementById('linkCheckInterval');
+    if (linkCheckSelect) {
+        linkCheckSelect.value = currentSettings.linkCheckInterval || 'off';
+    }
+
     // Update blacklist
     renderBlacklist();
 
+    // Update custom tag detectors
+    renderDetectors();
+
     // Update storage info
     updateStorageInfo();
 }
@@ -693,18 +1972,82 @@ function removeFromBlacklist(domain) {
     showToast('Removed from blacklist', 'success');
 }
 
+// Render custom tag detectors
+function renderDetectors() {
+    const list = document.getElementById('detectorList');
+    if (!list) return;
+
+    if (currentSettings.customDetectors.length === 0) {
+        list.innerHTML = '<li class="blacklist-empty">No custom detectors</li>';
+        return;
+    }
+
+    list.innerHTML = currentSettings.customDetectors.map((detector, index) => `
+        <li>
+            <span><strong>${escapeHtml(detector.label)}</strong> <code>/${escapeHtml(detector.pattern)}/${escapeHtml(detector.flags)}</code></span>
+            <button class="remove-btn" data-index="${index}" title="Remove">×</button>
+        </li>
+    `).join('');
+
+    list.querySelectorAll('.remove-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => removeDetector(Number(e.target.dataset.index)));
+    });
+}
+
+// Add a custom tag detector; the pattern may be written as /source/flags (default: case-insensitive)
+function addDetector(label, pattern) {
+    const literal = pattern.trim().match(/^\/(.+)\/([a-z]*)$/);
+    const detector = normalizeCustomDetector({
+        label,
+        pattern: literal ? literal[1] : pattern.trim(),
+        flags: literal ? literal[2] : 'i'
+    });
+
+    if (!detector) {
+        showToast('Enter a new tag name and a valid regular expression', 'error');
+        return false;
+    }
+    if (currentSettings.customDetectors.some(existing => normalizeTag(existing.label) === detector.id)) {
+        showToast('A detector for this tag already exists', 'info');
+        return false;
+    }
+
+    currentSettings.customDetectors.push({ label: detector.label, pattern: detector.pattern, flags: detector.flags });
+    setCustomDetectors(currentSettings.customDetectors);
+    saveSettings();
+    renderDetectors();
+    retagHistory('Detector added');
+    return true;
+}
+
+// Remove a custom tag detector
+function removeDetector(index) {
+    currentSettings.customDetectors = currentSettings.customDetectors.filter((_, i) => i !== index);
+    setCustomDetectors(currentSettings.customDetectors);
+    saveSettings();
+    renderDetectors();
+    retagHistory('Detector removed');
+}
+
+// Tag the saved records again after the detector set changed
+async function retagHistory(message) {
+    try {
+        const retagged = await storage.retagItems();
+        showToast(retagged > 0 ? `${message}; ${retagged} records retagged` : message, 'success');
+    } catch (error) {
+        console.error('[ClipTrace] Failed to retag history:', error);
+        showToast(`${message}, but existing records could not be retagged`, 'error');
+    }
+}
+
 // Update storage usage info
-// Uses actual browser quota (QUOTA_BYTES) without artificial limits
+// Uses the origin quota reported by the StorageManager (IndexedDB + extension storage)
 async function updateStorageInfo() {
     const storageInfoEl = document.getElementById('storageInfo');
     if (!storageInfoEl) return;
 
     try {
-        const bytesInUse = await chrome.storage.local.getBytesInUse(null);
-        // Use actual browser quota (typically 10MB for chrome.storage.local)
-        const quota = chrome.storage.local.QUOTA_BYTES || 10485760; // Fallback to 10MB
-        const available = quota - bytesInUse;
-        const percentage = (bytesInUse / quota * 100);
+        const { used: bytesInUse, available, percentage } = await storage.getStorageUsage();
 
         // Format bytes to human readable
         const formatBytes = (bytes) => {
@@ -744,31 +2087,27 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     }
 });
 
-// Export data
-async function exportData() {
+// Export data: the whole history, one folder and its records, or selected records
+// options: { folderId } or { ids } (see storage.exportData)
+async function exportData(options = {}) {
     try {
-        const result = await chrome.storage.local.get(['clipboardHistory']);
-        const history = result.clipboardHistory || [];
-
-        const exportData = {
-            version: '1.0.0',
-            exportDate: new Date().toISOString(),
-            itemCount: history.length,
-            data: history
-        };
+        const exportData = await storage.exportData(options);
+        const folderSlug = options.folderId
+            ? `-${getFolderName(options.folderId).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '') || 'folder'}`
+            : options.ids ? '-selection' : '';
 
         const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
 
         const a = document.createElement('a');
         a.href = url;
-        a.download = `smart-clipboard-export-${new Date().toISOString().split('T')[0]}.json`;
+        a.download = `smart-clipboard-export${folderSlug}-${new Date().toISOString().split('T')[0]}.json`;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
 
-        showToast(`Exported ${history.length} records`, 'success');
+        showToast(`Exported ${exportData.itemCount} records`, 'success');
     } catch (error) {
         showToast('Export failed: ' + error.message, 'error');
     }
@@ -780,41 +2119,13 @@ async function importData(file) {
         const text = await file.text();
         const importedData = JSON.parse(text);
 
-        let dataToImport = [];
-
-        // Support two formats: direct array or object with data field
-        if (Array.isArray(importedData)) {
-            dataToImport = importedData;
-        } else if (importedData.data && Array.isArray(importedData.data)) {
-            dataToImport = importedData.data;
-        } else {
-            throw new Error('Invalid data format');
-        }
-
-        // Validate data format
-        if (!dataToImport.every(item => item.id && item.text && item.timestamp)) {
-            throw new Error('Incorrect data format');
-        }
-
-        // Merge with existing data
-        const result = await chrome.storage.local.get(['clipboardHistory']);
-        const existingHistory = result.clipboardHistory || [];
-
-        // Merge by timestamp and deduplicate
-        const existingIds = new Set(existingHistory.map(item => item.id));
-        const newItems = dataToImport.filter(item => !existingIds.has(item.id));
-
-        const mergedHistory = [...newItems, ...existingHistory]
-            .sort((a, b) => b.timestamp - a.timestamp)
-            .slice(0, 1000);
-
-        await chrome.storage.local.set({ clipboardHistory: mergedHistory });
-
-        clipboardHistory = mergedHistory;
-        renderList();
+        // Validates, upgrades and merges records by id (smart collections are added to settings)
+        const importedCount = await storage.importData(importedData);
+        currentSettings = await storage.getSettings();
+        renderCollections();
         updateStorageInfo();
 
-        showToast(`Imported ${newItems.length} new records`, 'success');
+        showToast(`Imported ${importedCount} new records`, 'success');
     } catch (error) {
         showToast('Import failed: ' + error.message, 'error');
     }
@@ -847,6 +2158,26 @@ function setupSettingsListeners() {
         showToast(e.target.checked ? 'Incognito mode enabled' : 'Incognito mode disabled', 'success');
     });
 
+    // Rich formats toggle
+    document.getElementById('richFormatsToggle').addEventListener('change', (e) => {
+        currentSettings.captureRichFormats = e.target.checked;
+        saveSettings();
+        showToast(e.target.checked ? 'Rich format capture enabled' : 'Rich format capture disabled', 'success');
+    });
+
+    // Snapshots toggle
+    document.getElementById('snapshotsToggle').addEventListener('change', (e) => {
+        currentSettings.captureSnapshots = e.target.checked;
+        saveSettings();
+        showToast(e.target.checked ? 'Source snapshots enabled' : 'Source snapshots disabled', 'success');
+    });
+
+    // Dedup policy change
+    document.getElementById('dedupPolicy').addEventListener('change', (e) => {
+        currentSettings.dedupPolicy = e.target.value;
+        saveSettings();
+    });
+
     // Add to blacklist
     document.getElementById('addBlacklistBtn').addEventListener('click', () => {
         const input = document.getElementById('blacklistInput');
@@ -863,8 +2194,24 @@ function setupSettingsListeners() {
         }
     });
 
+    // Add custom tag detector (button or Enter in either field)
+    const submitDetector = () => {
+        const labelInput = document.getElementById('detectorLabelInput');
+        const patternInput = document.getElementById('detectorPatternInput');
+        if (addDetector(labelInput.value, patternInput.value)) {
+            labelInput.value = '';
+            patternInput.value = '';
+        }
+    };
+    document.getElementById('addDetectorBtn').addEventListener('click', submitDetector);
+    ['detectorLabelInput', 'detectorPatternInput'].forEach(id => {
+        document.getElementById(id).addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') submitDetector();
+        });
+    });
+
     // Export data
-    document.getElementById('exportDataBtn').addEventListener('click', exportData);
+    document.getElementById('exportDataBtn').addEventListener('click', () => exportData());
 
     // Import data
     document.getElementById('importDataBtn').addEventListener('click', () => {
@@ -901,6 +2248,43 @@ function setupSettingsListeners() {
     document.getElementById('cleanupNowBtn').addEventListener('click', () => {
         cleanupExpiredData();
     });
+
+    // Source link check interval (the background worker reschedules on change)
+    document.getElementById('linkCheckInterval').addEventListener('change', (e) => {
+        currentSettings.linkCheckInterval = e.target.value;
+        saveSettings();
+    });
+
+    // Check source links now
+    document.getElementById('checkLinksNowBtn').addEventListener('click', () => {
+        checkSourceLinks();
+    });
+}
+
+// Ask the background worker to re-check source pages and report the outcome
+async function checkSourceLinks() {
+    const button = document.getElementById('checkLinksNowBtn');
+    button.disabled = true;
+    showToast('Checking source pages...', 'info');
+
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'CHECK_LINK_HEALTH' });
+        if (!response?.success) throw new Error(response?.error || 'No response');
+
+        const { pages, changed, moved, gone } = response.summary;
+        if (pages === 0) {
+            showToast('No source pages to check', 'info');
+        } else if (changed + moved + gone === 0) {
+            showToast(`Checked ${pages} pages, all intact`, 'success');
+        } else {
+            showToast(`Checked ${pages} pages: ${changed} changed, ${moved} moved, ${gone} gone`, 'info');
+        }
+    } catch (error) {
+        console.error('[ClipTrace] Failed to check source links:', error);
+        showToast('Link check failed', 'error');
+    } finally {
+        button.disabled = false;
+    }
 }
 
 // Cleanup expired data
@@ -909,16 +2293,9 @@ async function cleanupExpiredData() {
         const days = currentSettings.cleanupDays || 30;
         const cutoffTime = Date.now() - (days * 24 * 60 * 60 * 1000);
 
-        const result = await chrome.storage.local.get(['clipboardHistory']);
-        const history = result.clipboardHistory || [];
-
-        const filtered = history.filter(item => item.timestamp >= cutoffTime);
-        const removedCount = history.length - filtered.length;
+        const removedCount = await storage.deleteOlderThan(cutoffTime);
 
         if (removedCount > 0) {
-            await chrome.storage.local.set({ clipboardHistory: filtered });
-            clipboardHistory = filtered;
-            renderList();
             updateStorageInfo();
             showToast(`Cleaned ${removedCount} expired records`, 'success');
         } else {
@@ -933,8 +2310,7 @@ async function cleanupExpiredData() {
 // ============ Initialization Entry ============
 document.addEventListener('DOMContentLoaded', async () => {
     // Load saved theme preference (default: light mode)
-    const { darkMode } = await chrome.storage.local.get(['darkMode']);
-    if (darkMode) {
+    if (await storage.getDarkMode()) {
         document.body.classList.add('dark-mode');
     }
 
@@ -942,6 +2318,11 @@ document.addEventListener('DOMContentLoaded', async () => {
     setupEventListeners();
     await initSettings();
     setupSettingsListeners();
+    setupSnapshotListeners();
+    setupCollectionListeners();
+    // Selection before folders: Escape first checks whether it only closes the move menu
+    setupSelectionListeners();
+    setupFolderListeners();
 
     // If auto cleanup is enabled, run when sidebar opens
     if (currentSettings.autoCleanup) {
@@ -0,0 +1,68 @@
+// test/batch-actions.test.js
+// Batch tag and merge of selected records
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChromeMock, copyData } from './helpers/chrome-mock.js';
+
+installChromeMock();
+
+const storage = await import('../utils/storage.js');
+const db = await import('../utils/db.js');
+
+beforeEach(async () => {
+    await storage.clearAll();
+});
+
+// Save a record copied at a given time
+async function addRecord(text, timestamp) {
+    const { item } = await storage.addItem(storage.createRecord(copyData(text, { timestamp })));
+    return item;
+}
+
+test('merging deletes the images of every merged record, the kept one included', async () => {
+    const first = await addRecord('First part of the notes', 1000);
+    const second = await addRecord('Second part of the notes', 2000);
+    const image = (id) => ({ id, src: `https://example.com/${id}.png`, alt: '', blob: new Blob(['png']) });
+    await storage.saveRecordImages(first.id, [image('a'), image('b')]);
+    await storage.saveRecordImages(second.id, [image('c')]);
+
+    const merged = await storage.mergeItems([second.id, first.id]);
+    assert.equal(merged.id, first.id);
+    assert.equal(merged.text, 'First part of the notes\n\nSecond part of the notes');
+    assert.deepEqual(await storage.getRecordImages(first.id), []);
+    assert.deepEqual(await storage.getRecordImages(second.id), []);
+    assert.equal((await storage.getHistory()).length, 1);
+});
+
+test('merging adds up copy counts and combines copy times', async () => {
+    const first = await addRecord('Repeated first text', 1000);
+    const second = await addRecord('Repeated second text', 2000);
+    const third = await addRecord('Copied once', 2500);
+    const copyAgain = (text, timestamp) => {
+        const item = storage.createRecord(copyData(text, { timestamp }));
+        return storage.addItem(item, { isDuplicate: (existing) => existing.text === text });
+    };
+    await copyAgain('Repeated first text', 3000);
+    await copyAgain('Repeated second text', 4000);
+    await copyAgain('Repeated second text', 5000);
+
+    const merged = await storage.mergeItems([first.id, second.id, third.id]);
+    assert.equal(merged.copyCount, 6);
+    assert.deepEqual(merged.lastCopiedAt, [1000, 2000, 2500, 3000, 4000, 5000]);
+    assert.deepEqual(await storage.getItem(merged.id), merged);
+});
+
+test('batch tagging validates each record and skips records that have the tag', async () => {
+    const first = await addRecord('First record text', 1000);
+    const second = await addRecord('Second record text', 2000);
+
+    assert.equal(await storage.tagItems([first.id, second.id, 'missing'], 'Work'), 2);
+    assert.equal(await storage.tagItems([first.id, second.id], 'work'), 0);
+    assert.deepEqual((await storage.getItem(first.id)).userTags, ['work']);
+
+    // A stored record that does not pass validation aborts the whole batch
+    await db.insertMissingItems([{ ...second, id: 'corrupt', pageTitle: 42 }]);
+    await assert.rejects(storage.tagItems([first.id, 'corrupt'], 'later'), /pageTitle/);
+    assert.deepEqual((await storage.getItem(first.id)).userTags, ['work']);
+});
@@ -0,0 +1,238 @@
+// test/classifiers.test.js
+// Built-in detectors (a match and a non-match each) and custom detector validation
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    MIN_CONFIDENCE, classifyText, extractTags, getTagLabel, normalizeCustomDetector, setCustomDetectors
+} from '../utils/classifiers.js';
+
+// Confidence of one detector for a text
+function confidence(tag, text) {
+    return classifyText(text).find(detection => detection.tag === tag)?.confidence || 0;
+}
+
+// Detector id -> [texts it tags, texts it must not tag]
+const CASES = {
+    'code': [
+        ['const total = items.reduce((sum, item) => sum + item.price, 0);', 'if (ready) {\n    start();\n    render();\n}'],
+        ['Meet me at the station at noon.', 'Functions are covered in the next chapter.']
+    ],
+    'code-javascript': [
+        ["import React from 'react';\nconst App = () => <div />;", 'console.log(value === other);'],
+        ['Call the function when ready.', 'def add(a, b):\n    return a + b']
+    ],
+    'code-typescript': [
+        ['interface User {\n  name: string;\n}', 'const count: number = 0;\ntype Id = string;'],
+        ['The interface is easy to use.', 'let count = 0;']
+    ],
+    'code-python': [
+        ['def add(a, b):\n    return a + b', 'class Point(object):\n    def __init__(self):\n        self.x = 0'],
+        ['Define the problem first.', 'const add = (a, b) => a + b;']
+    ],
+    'code-java': [
+        ['public static void main(String[] args) {\n    System.out.println("hi");\n}', '@Override\npublic String toString() {'],
+        ['Public transport is free today.', 'fn main() {}']
+    ],
+    'code-c': [
+        ['#include <stdio.h>\nint main(void) { printf("hi"); }', 'std::vector<int> v;\nint main() {}'],
+        ['Include the receipt in the envelope.', 'print("hi")']
+    ],
+    'code-go': [
+        ['package main\n\nfunc main() {\n\tfmt.Println("hi")\n}', 'if err != nil {\n\treturn err\n}'],
+        ['The package arrived on Monday.', 'function main() {}']
+    ],
+    'code-rust': [
+        ['fn main() {\n    let mut x = 5;\n    println!("{}", x);\n}', 'impl Point {\n    fn len(&self) -> f64 { 0.0 }\n}'],
+        ['Let me know if it works.', 'let x = 5;']
+    ],
+    'code-php': [
+        ['<?php echo "hi"; ?>', 'function greet($name) {\n    return $this->prefix . $name;\n}'],
+        ['It costs $5 now.', 'var x = 1;']
+    ],
+    'code-ruby': [
+        ["require 'json'\n\nitems.each do |item|\n  puts item\nend", 'def greet\n  puts "hi"\nend'],
+        ['The end is near.', 'def greet():\n    pass']
+    ],
+    'code-html': [
+        ['<!DOCTYPE html>\n<html><body></body></html>', '<div class="card"><p>Hello</p></div>'],
+        ['Use a < b and b > c.', 'The div was misaligned.']
+    ],
+    'code-css': [
+        ['.card {\n  margin: 0;\n  padding: 4px;\n}', '@media screen {\n  body { color: red; }\n}'],
+        ['Margins are wide in this book.', 'color me surprised']
+    ],
+    'json': [
+        ['{"name": "ClipTrace", "version": 1}', '[1, 2, 3]'],
+        ['{ not json }', 'name: ClipTrace']
+    ],
+    'sql': [
+        ['SELECT id, name FROM users WHERE active = 1;', 'INSERT INTO logs (msg) VALUES (\'hi\');'],
+        ['Select the file from the list.', 'Please update your settings.']
+    ],
+    'shell': [
+        ['$ npm install --save-dev jest', 'sudo apt-get install -y curl'],
+        ['Go to the store and buy milk.', 'Docker images are large.']
+    ],
+    'link': [
+        ['See https://example.com/docs for details', 'www.example.org'],
+        ['No links here.', 'example dot com']
+    ],
+    'email': [
+        ['Write to support@example.com', 'first.last+tag@mail.example.co.uk'],
+        ['user at example dot com', '@mention someone']
+    ],
+    'phone': [
+        ['Call +1 415 555 0132', '(020) 7946 0958', '415-555-0132'],
+        ['Version 1.2.3.4', 'Released 2024-03-15', 'Order 12345']
+    ],
+    'ip': [
+        ['Server at 192.168.1.20', 'Bind to 2001:db8::8a2e:370:7334'],
+        ['Version 1.2.3.4', '999.1.1.1', 'Meet at 10:30:45']
+    ],
+    'color': [
+        ['Use #ff8800 for accents', 'rgba(0, 0, 0, 0.5)', '#abc'],
+        ['See issue #123', 'Tag #hashtag']
+    ],
+    'date': [
+        ['Due 2024-03-15', 'March 5, 2024', '5th March 2024', '15/03/2024'],
+        ['Due 2024-02-30', 'Ratio 45/67/2024', 'March madness']
+    ],
+    'currency': [
+        ['It costs $19.99', '€5', '120 USD', '30 dollars'],
+        ['Replace $1 with the group', 'It costs a lot']
+    ],
+    'iso-code': [
+        ['EUR', 'en-US', 'P3Y6M4DT12H30M5S', 'ISBN 978-3-16-148410-0', 'ISBN: 0-306-40615-2'],
+        ['OK', 'USA', 'API', 'Euro', 'The price in EUR went up a lot this year.']
+    ],
+    'markdown': [
+        ['# Title\n\n- one\n- two', 'See [docs](https://example.com) and **bold**'],
+        ['Just a sentence.', 'Price: 5 * 3 = 15']
+    ],
+    'address': [
+        ['1600 Pennsylvania Avenue NW, Washington, DC 20500', 'PO Box 1234'],
+        ['Walk down the street.', 'Room 12 on the left']
+    ],
+    'numbers': [
+        ['Order 12345', 'Year 2024'],
+        ['Only 12 items', 'No digits']
+    ],
+    'lang-ja': [
+        ['これは日本語の文章です。', 'カタカナとひらがな'],
+        ['这是中文句子。', 'English text']
+    ],
+    'lang-zh': [
+        ['这是一个中文句子。', '我们今天去公园。'],
+        ['これは日本語の文章です。', 'English text']
+    ],
+    'lang-ru': [
+        ['Это предложение на русском языке.', 'Привет, как дела?'],
+        ['Це речення українською мовою, і воно гарне.', 'English text']
+    ],
+    'lang-uk': [
+        ['Це речення українською мовою, і воно гарне.', 'Їжак і їжачиха'],
+        ['Это предложение на русском языке.', 'English text']
+    ],
+    'lang-ko': [['안녕하세요, 반갑습니다.'], ['こんにちは', 'Hello there']],
+    'lang-ar': [['مرحبا بكم في الموقع'], ['שלום לכולם', 'Hello there']],
+    'lang-he': [['שלום לכולם'], ['مرحبا بكم', 'Hello there']],
+    'lang-el': [['Καλημέρα σε όλους'], ['Привет всем', 'Hello there']],
+    'lang-hi': [['नमस्ते दुनिया'], ['สวัสดีครับ', 'Hello there']],
+    'lang-th': [['สวัสดีครับ ยินดีต้อนรับ'], ['नमस्ते दुनिया', 'Hello there']],
+    'lang-es': [
+        ['El perro de los vecinos es muy grande y no come con la familia.'],
+        ['The dog of the neighbors is very big and it does not eat with the family.', 'Le chien des voisins est très grand et il ne mange pas avec la famille.']
+    ],
+    'lang-fr': [
+        ['Le chien des voisins est très grand et il ne mange pas avec la famille.'],
+        ['El perro de los vecinos es muy grande y no come con la familia.', 'The dog is big and it is in the house.']
+    ],
+    'lang-de': [
+        ['Der Hund der Nachbarn ist sehr groß und er isst nicht mit der Familie.'],
+        ['De hond van de buren is erg groot en het eet niet met de familie.', 'The dog is big and it is in the house.']
+    ],
+    'lang-it': [
+        ['Il cane dei vicini è molto grande e non mangia con la famiglia della casa.'],
+        ['The dog is big and it is in the house.', 'Der Hund ist groß und nicht mit der Familie.']
+    ],
+    'lang-pt': [
+        ['O cachorro dos vizinhos é muito grande e não come com a família da casa.'],
+        ['The dog is big and it is in the house.', 'El perro es muy grande y no come con la familia.']
+    ],
+    'lang-nl': [
+        ['De hond van de buren is erg groot en het eet niet met de familie.'],
+        ['The dog is big and it is in the house.', 'Der Hund der Nachbarn ist sehr groß und nicht mit der Familie.']
+    ]
+};
+
+for (const [tag, [matches, nonMatches]] of Object.entries(CASES)) {
+    test(`${tag} detector`, () => {
+        for (const text of matches) {
+            assert.ok(confidence(tag, text) >= MIN_CONFIDENCE, `expected ${tag} for ${JSON.stringify(text)}`);
+        }
+        for (const text of nonMatches) {
+            assert.ok(confidence(tag, text) < MIN_CONFIDENCE, `unexpected ${tag} for ${JSON.stringify(text)}`);
+        }
+    });
+}
+
+test('detectors are labelled, user tags are shown as typed', () => {
+    for (const tag of Object.keys(CASES)) {
+        assert.notEqual(getTagLabel(tag), tag, `${tag} is not a registered detector`);
+    }
+    assert.equal(getTagLabel('code-python'), 'Python');
+    assert.equal(getTagLabel('my-tag'), 'my-tag');
+});
+
+test('short capitals are reported below MIN_CONFIDENCE, not tagged', () => {
+    const detection = classifyText('USA').find(({ tag }) => tag === 'iso-code');
+    assert.ok(detection && detection.confidence > 0 && detection.confidence < MIN_CONFIDENCE);
+    assert.ok(!extractTags('USA').includes('iso-code'));
+    assert.ok(extractTags('USD').includes('iso-code'));
+});
+
+test('normalizeCustomDetector accepts valid definitions', () => {
+    assert.deepEqual(
+        normalizeCustomDetector({ label: '  Ticket Id ', pattern: '\\bJIRA-\\d+\\b', flags: 'i' }),
+        { id: 'ticket-id', label: 'Ticket Id', pattern: '\\bJIRA-\\d+\\b', flags: 'i' }
+    );
+    // Unknown, stateful and repeated flags are dropped
+    assert.equal(normalizeCustomDetector({ label: 'Ticket', pattern: 'x', flags: 'gyiix' }).flags, 'i');
+    assert.equal(normalizeCustomDetector({ label: 'Ticket', pattern: 'x' }).flags, '');
+});
+
+test('normalizeCustomDetector rejects invalid definitions', () => {
+    assert.equal(normalizeCustomDetector(null), null);
+    assert.equal(normalizeCustomDetector('Ticket'), null);
+    assert.equal(normalizeCustomDetector({ label: '', pattern: 'x' }), null);
+    assert.equal(normalizeCustomDetector({ label: '   ', pattern: 'x' }), null);
+    assert.equal(normalizeCustomDetector({ label: 'Ticket', pattern: '' }), null);
+    assert.equal(normalizeCustomDetector({ label: 'Ticket', pattern: 42 }), null);
+    assert.equal(normalizeCustomDetector({ label: 'Ticket', pattern: 'x'.repeat(501) }), null);
+    // Patterns that do not compile
+    assert.equal(normalizeCustomDetector({ label: 'Ticket', pattern: '(unclosed' }), null);
+    assert.equal(normalizeCustomDetector({ label: 'Ticket', pattern: '[z-a]' }), null);
+    // Invalid with the u flag only
+    assert.equal(normalizeCustomDetector({ label: 'Ticket', pattern: '\\p{Foo}', flags: 'u' }), null);
+    // Built-in tags cannot be shadowed
+    assert.equal(normalizeCustomDetector({ label: 'Email', pattern: 'x' }), null);
+    assert.equal(normalizeCustomDetector({ label: 'Code Python', pattern: 'x' }), null);
+});
+
+test('custom detectors tag matching texts and skip invalid definitions', () => {
+    setCustomDetectors([
+        { label: 'Ticket', pattern: '\\bJIRA-\\d+\\b', flags: 'gi' },
+        { label: 'Broken', pattern: '(' }
+    ]);
+    try {
+        // Repeated calls give the same result (the g flag was dropped)
+        assert.ok(extractTags('see jira-42').includes('ticket'));
+        assert.ok(extractTags('see jira-42').includes('ticket'));
+        assert.ok(!extractTags('see JIRA').includes('ticket'));
+        assert.equal(getTagLabel('ticket'), 'Ticket');
+        assert.ok(!classifyText('(').some(({ tag }) => tag === 'broken'));
+    } finally {
+        setCustomDetectors([]);
+    }
+});
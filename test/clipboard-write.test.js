@@ -0,0 +1,59 @@
+// test/clipboard-write.test.js
+// Page clipboard writes reported to the content script are only recorded after a user gesture
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+
+// Loaded as CommonJS: the test script's --experimental-default-type=module breaks jsdom's dependencies
+const { JSDOM } = createRequire(import.meta.url)('jsdom');
+
+const scripts = ['../utils/text-match.js', '../content/content-script.js']
+    .map(path => readFileSync(new URL(path, import.meta.url), 'utf8'));
+
+let window;
+let messages;
+
+// Load the content script into a page with a mocked extension API
+beforeEach(() => {
+    window = new JSDOM('<body><button>Copy</button></body>', { url: 'https://example.com/docs', runScripts: 'outside-only' }).window;
+    messages = [];
+    window.chrome = {
+        runtime: {
+            id: 'cliptrace',
+            sendMessage: async (message) => {
+                messages.push(message);
+                return message.type === 'GET_SETTINGS' ? { settings: { incognitoMode: false, blacklist: [] } } : undefined;
+            },
+            onMessage: { addListener() { } }
+        }
+    };
+    window.console = { ...console, log() { } };
+    scripts.forEach(script => window.eval(script));
+});
+
+// Dispatch the hook's event as a page script could, and let the capture finish
+async function pageWrite(text) {
+    window.document.dispatchEvent(new window.CustomEvent('cliptrace:clipboard-write', { detail: { text } }));
+    await new Promise(resolve => setTimeout(resolve, 20));
+    return messages.filter(message => message.type === 'COPY_DETECTED');
+}
+
+test('a write dispatched without user activation is not recorded', async () => {
+    assert.deepEqual(await pageWrite('Injected by the page'), []);
+});
+
+test('synthetic input events do not count as a user gesture', async () => {
+    window.document.querySelector('button').dispatchEvent(new window.KeyboardEvent('keydown', { bubbles: true }));
+    window.document.querySelector('button').dispatchEvent(new window.Event('pointerdown', { bubbles: true }));
+    assert.deepEqual(await pageWrite('Injected by the page'), []);
+});
+
+test('a write during user activation is recorded as an api-write', async () => {
+    Object.defineProperty(window.navigator, 'userActivation', { value: { isActive: true } });
+    const copies = await pageWrite('npm install cliptrace');
+    assert.equal(copies.length, 1);
+    assert.equal(copies[0].data.text, 'npm install cliptrace');
+    assert.equal(copies[0].data.captureMethod, 'api-write');
+});
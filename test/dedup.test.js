@@ -0,0 +1,94 @@
+// test/dedup.test.js
+// Duplicate lookups: text hash index (upgraded from a version 5 database and migrated from the
+// legacy chrome.storage history) and the bounded scan of recent records
+
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChromeMock, copyData } from './helpers/chrome-mock.js';
+
+const { local } = installChromeMock();
+
+// History kept in chrome.storage.local before IndexedDB, moved over on first open
+local.set('clipboardHistory', [{ id: 'migrated', text: 'Copied long ago', url: 'https://legacy.example.com/', timestamp: 500 }]);
+
+// A database written before the text hash index existed
+before(async () => {
+    const request = indexedDB.open('cliptrace', 5);
+    request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore('history', { keyPath: 'id' });
+        ['timestamp', 'url', 'pageKey', 'folderId'].forEach(name => store.createIndex(name, name));
+        store.createIndex('tags', 'tags', { multiEntry: true });
+        request.result.createObjectStore('images', { keyPath: 'id' }).createIndex('recordId', 'recordId');
+        request.result.createObjectStore('embeddings', { keyPath: 'recordId' });
+        request.result.createObjectStore('models', { keyPath: 'id' });
+        request.result.createObjectStore('folders', { keyPath: 'id' });
+        store.put({
+            id: 'legacy', schemaVersion: 8, text: 'Saved before the upgrade', url: 'https://old.example.com/',
+            pageKey: 'old.example.com/', timestamp: 1000, tags: [], userTags: []
+        });
+    };
+    const db = await new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    db.close();
+});
+
+const storage = await import('../utils/storage.js');
+
+const sameText = (item) => ({ scope: 'text', isDuplicate: (existing) => existing.text === item.text });
+
+test('upgraded records are found by the text hash from any page', async () => {
+    const item = storage.createRecord(copyData('Saved before the upgrade'));
+    const { item: saved, merged } = await storage.addItem(item, sameText(item));
+    assert.equal(merged, true);
+    assert.equal(saved.id, 'legacy');
+    assert.equal(saved.copyCount, 2);
+});
+
+test('migrated legacy records are found by the text hash', async () => {
+    assert.equal(local.has('clipboardHistory'), false);
+    const item = storage.createRecord(copyData('Copied long ago'));
+    const { item: saved, merged } = await storage.addItem(item, sameText(item));
+    assert.equal(merged, true);
+    assert.equal(saved.id, 'migrated');
+    assert.equal(saved.copyCount, 2);
+});
+
+test('the text hash index follows edits', async () => {
+    await storage.clearAll();
+    const first = storage.createRecord(copyData('Original wording'));
+    await storage.addItem(first);
+    await storage.updateItem(first.id, { text: 'Edited wording' });
+
+    const copy = storage.createRecord(copyData('Original wording', { url: 'https://other.example.com/' }));
+    assert.equal((await storage.addItem(copy, sameText(copy))).merged, false);
+
+    const again = storage.createRecord(copyData('Edited wording', { url: 'https://other.example.com/' }));
+    const { item, merged } = await storage.addItem(again, sameText(again));
+    assert.equal(merged, true);
+    assert.equal(item.id, first.id);
+});
+
+test('the recent scope only checks the newest records', async () => {
+    await storage.clearAll();
+    await storage.addItem(storage.createRecord(copyData('Target text', { timestamp: 1000 })));
+    for (let i = 0; i < 5; i++) {
+        await storage.addItem(storage.createRecord(copyData(`Filler ${i}`, { timestamp: 2000 + i })));
+    }
+
+    const isDuplicate = (existing) => existing.text === 'Target text';
+    const beyond = storage.createRecord(copyData('Target text'));
+    assert.equal((await storage.addItem(beyond, { scope: 'recent', limit: 5, isDuplicate })).merged, false);
+
+    // The copy just saved is now the newest record
+    const within = storage.createRecord(copyData('Target text'));
+    const { item, merged } = await storage.addItem(within, { scope: 'recent', limit: 5, isDuplicate });
+    assert.equal(merged, true);
+    assert.equal(item.id, beyond.id);
+});
+
+test('records whose hash does not match their text are rejected', () => {
+    const item = storage.createRecord(copyData('Some text'));
+    assert.throws(() => storage.validateRecord({ ...item, text: 'Other text' }), /textHash/);
+});
@@ -0,0 +1,66 @@
+// test/helpers/chrome-mock.js
+// In-memory stand-ins for the extension APIs the storage layer uses: chrome.storage.local,
+// chrome.storage.onChanged and chrome.runtime messaging. IndexedDB comes from fake-indexeddb
+
+import 'fake-indexeddb/auto';
+
+/**
+ * Install a fresh mocked chrome global
+ * @returns {{ local: Map, messages: Array }} Stored values and sent runtime messages
+ */
+export function installChromeMock() {
+    const local = new Map();
+    const messages = [];
+    const changeListeners = [];
+
+    globalThis.chrome = {
+        runtime: {
+            sendMessage: async (message) => {
+                messages.push(message);
+            },
+            onMessage: { addListener() { } }
+        },
+        storage: {
+            local: {
+                get: async (keys) => {
+                    const result = {};
+                    (Array.isArray(keys) ? keys : [keys]).forEach(key => {
+                        if (local.has(key)) result[key] = structuredClone(local.get(key));
+                    });
+                    return result;
+                },
+                set: async (items) => {
+                    const changes = {};
+                    Object.entries(items).forEach(([key, value]) => {
+                        changes[key] = { oldValue: local.get(key), newValue: structuredClone(value) };
+                        local.set(key, structuredClone(value));
+                    });
+                    changeListeners.forEach(listener => listener(changes, 'local'));
+                },
+                remove: async (keys) => {
+                    (Array.isArray(keys) ? keys : [keys]).forEach(key => local.delete(key));
+                }
+            },
+            onChanged: {
+                addListener: (listener) => changeListeners.push(listener)
+            }
+        }
+    };
+
+    return { local, messages };
+}
+
+/**
+ * Copy event payload as sent by the content script
+ * @param {string} text - Copied text
+ * @param {object} [overrides] - Other COPY_DETECTED fields
+ */
+export function copyData(text, overrides = {}) {
+    return {
+        text,
+        url: 'https://example.com/article',
+        pageTitle: 'Article',
+        timestamp: Date.now(),
+        ...overrides
+    };
+}
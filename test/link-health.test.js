@@ -0,0 +1,131 @@
+// test/link-health.test.js
+// Source link check against a local HTTP fixture server standing in for the web
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { installChromeMock, copyData } from './helpers/chrome-mock.js';
+
+installChromeMock();
+
+const storage = await import('../utils/storage.js');
+const { checkLinkHealth, classifyRecord } = await import('../background/link-health.js');
+
+const QUOTE = 'The quick brown fox jumps over the lazy dog while the farmer sleeps under the old oak tree.';
+
+const FIXTURES = {
+    '/article': { status: 200, type: 'text/html', body: `<html><body><h1>Fables</h1><p>The quick brown <b>fox</b> jumps over the lazy dog while the farmer sleeps under the old oak&nbsp;tree.</p><script>var x = 1;</script></body></html>` },
+    '/edited': { status: 200, type: 'text/html', body: '<p>The quick brown fox jumps over a fence. Nothing else happened that day.</p>' },
+    '/unrelated': { status: 200, type: 'text/html', body: '<p>Completely different content about cooking pasta.</p>' },
+    '/removed': { status: 404, type: 'text/html', body: 'Not found' },
+    '/retired': { status: 410, type: 'text/html', body: 'Gone' },
+    '/broken': { status: 500, type: 'text/html', body: 'Server error' },
+    '/old-location': { status: 301, location: '/new-location' },
+    '/new-location': { status: 200, type: 'text/html', body: `<p>${QUOTE}</p>` }
+};
+
+let server;
+let origin;
+
+before(async () => {
+    server = http.createServer((request, response) => {
+        const fixture = FIXTURES[request.url];
+        if (!fixture) {
+            response.writeHead(404).end();
+        } else if (fixture.location) {
+            response.writeHead(fixture.status, { Location: fixture.location }).end();
+        } else {
+            response.writeHead(fixture.status, { 'Content-Type': fixture.type }).end(fixture.body);
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(async () => {
+    await storage.clearAll();
+});
+
+// Save a record copied from a fixture path
+async function addRecord(path, text = QUOTE) {
+    const { item } = await storage.addItem(storage.createRecord(copyData(text, { url: `${origin}${path}` })));
+    return item;
+}
+
+test('classifies intact, changed, moved and gone records and skips errors', async () => {
+    const intact = await addRecord('/article');
+    const changed = await addRecord('/edited');
+    const missing = await addRecord('/unrelated');
+    const gone = await addRecord('/removed');
+    const retired = await addRecord('/retired');
+    const broken = await addRecord('/broken');
+    const moved = await addRecord('/old-location');
+
+    const summary = await checkLinkHealth();
+    assert.deepEqual(summary, { pages: 7, intact: 1, changed: 2, moved: 1, gone: 2, skipped: 1 });
+
+    const health = async (item) => (await storage.getItem(item.id)).linkHealth;
+    assert.equal((await health(intact)).status, 'intact');
+    assert.equal((await health(intact)).similarity, 1);
+
+    const changedHealth = await health(changed);
+    assert.equal(changedHealth.status, 'changed');
+    assert.ok(changedHealth.similarity > 0 && changedHealth.similarity < 0.5);
+
+    const missingHealth = await health(missing);
+    assert.equal(missingHealth.status, 'changed');
+    assert.equal(missingHealth.similarity, 0);
+
+    assert.equal((await health(gone)).status, 'gone');
+    assert.equal((await health(gone)).httpStatus, 404);
+    assert.equal((await health(retired)).status, 'gone');
+
+    const movedHealth = await health(moved);
+    assert.equal(movedHealth.status, 'moved');
+    assert.equal(movedHealth.finalUrl, `${origin}/new-location`);
+
+    // Server errors are inconclusive: no result is stored
+    assert.equal(await health(broken), undefined);
+});
+
+test('network errors are skipped and keep the previous result', async () => {
+    const closed = http.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${closed.address().port}/article`;
+    await new Promise(resolve => closed.close(resolve));
+
+    const { item } = await storage.addItem(storage.createRecord(copyData(QUOTE, { url })));
+    const previous = { status: 'intact', checkedAt: 1, httpStatus: 200, finalUrl: null, similarity: 1 };
+    await storage.setLinkHealth([{ id: item.id, linkHealth: previous }]);
+
+    const summary = await checkLinkHealth();
+    assert.equal(summary.skipped, 1);
+    assert.deepEqual((await storage.getItem(item.id)).linkHealth, previous);
+});
+
+test('a record is only intact when all of its text is on the page', () => {
+    const item = { text: QUOTE, url: 'https://example.com/a' };
+    const page = (text) => ({ ok: true, status: 200, redirected: false, finalUrl: item.url, text });
+
+    // Same first 30 characters, the rest replaced
+    const sameStart = classifyRecord(item, page('The quick brown fox jumps over something else entirely, and nobody slept.'));
+    assert.equal(sameStart.status, 'changed');
+    assert.ok(sameStart.similarity < 0.5);
+
+    // Whitespace, case and punctuation differences do not matter
+    const reformatted = classifyRecord(item, page(`Intro. ${QUOTE.toUpperCase().replace(/ /g, '\n  ')} Outro.`));
+    assert.equal(reformatted.status, 'intact');
+
+    const punctuation = classifyRecord(item, page(QUOTE.replace('dog while', 'dog, while')));
+    assert.equal(punctuation.status, 'intact');
+
+    // Most of the text still there, one sentence part edited
+    const edited = classifyRecord(item, page(QUOTE.replace('old oak tree', 'new pine tree')));
+    assert.equal(edited.status, 'changed');
+    assert.ok(edited.similarity > 0.7 && edited.similarity < 1);
+
+    assert.equal(classifyRecord(item, { ok: false, status: 503 }), null);
+    assert.equal(classifyRecord(item, { ok: false, status: 404 }).status, 'gone');
+});
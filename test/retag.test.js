@@ -0,0 +1,40 @@
+// test/retag.test.js
+// Tags of saved records follow changes to the custom detectors
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChromeMock, copyData } from './helpers/chrome-mock.js';
+
+installChromeMock();
+
+const storage = await import('../utils/storage.js');
+const { setCustomDetectors } = await import('../utils/classifiers.js');
+
+beforeEach(async () => {
+    setCustomDetectors([]);
+    await storage.clearAll();
+});
+
+test('adding and removing a detector retags the history and keeps manual tags', async () => {
+    const { item: ticket } = await storage.addItem(storage.createRecord(copyData('Fixed in JIRA-42, see the notes')));
+    const { item: other } = await storage.addItem(storage.createRecord(copyData('Nothing to see here today')));
+    await storage.tagItems([ticket.id], 'Work');
+    const changes = [];
+    storage.subscribe(change => changes.push(change));
+
+    setCustomDetectors([{ label: 'Ticket', pattern: '\\bJIRA-\\d+\\b', flags: 'i' }]);
+    assert.equal(await storage.retagItems(), 1);
+    assert.deepEqual((await storage.getItem(ticket.id)).tags, ['ticket', 'work']);
+    assert.deepEqual((await storage.getItem(other.id)).tags, []);
+    assert.deepEqual(changes.map(change => change.action), ['retagged']);
+
+    // Nothing changed: no writes, no change event
+    assert.equal(await storage.retagItems(), 0);
+    assert.equal(changes.length, 1);
+
+    setCustomDetectors([]);
+    assert.equal(await storage.retagItems(), 1);
+    const untagged = await storage.getItem(ticket.id);
+    assert.deepEqual(untagged.tags, ['work']);
+    assert.deepEqual(untagged.userTags, ['work']);
+});
@@ -0,0 +1,77 @@
+// test/storage-concurrency.test.js
+// No copy is lost when saves, duplicate bumps, edits and deletes overlap, within one
+// extension context (write queue) and across contexts (IndexedDB transactions)
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChromeMock, copyData } from './helpers/chrome-mock.js';
+
+installChromeMock();
+
+// Two module instances stand in for the service worker and the sidebar: each has its own
+// write queue, and both share the database like separate extension contexts do
+const worker = await import('../utils/storage.js');
+const sidebar = await import('../utils/storage.js?context=sidebar');
+
+beforeEach(async () => {
+    await worker.clearAll();
+});
+
+test('parallel copies from several tabs are all kept', async () => {
+    const saves = Array.from({ length: 200 }, (_, i) => {
+        const storage = i % 2 ? worker : sidebar;
+        return storage.addItem(storage.createRecord(copyData(`copy ${i}`, { url: `https://tab${i % 7}.example/` })));
+    });
+    await Promise.all(saves);
+
+    const history = await worker.getHistory();
+    assert.equal(history.length, 200);
+    assert.equal(new Set(history.map(item => item.text)).size, 200);
+});
+
+test('parallel duplicate copies bump one record without losing a count', async () => {
+    const isDuplicate = (stored) => stored.text === 'same text';
+    const saves = Array.from({ length: 50 }, (_, i) => {
+        const storage = i % 2 ? worker : sidebar;
+        return storage.addItem(storage.createRecord(copyData('same text', { timestamp: 1000 + i })), { isDuplicate });
+    });
+    const results = await Promise.all(saves);
+
+    const history = await worker.getHistory();
+    assert.equal(history.length, 1);
+    assert.equal(history[0].copyCount, 50);
+    assert.equal(results.filter(result => !result.merged).length, 1);
+    assert.equal(history[0].lastCopiedAt.length, 20);
+});
+
+test('duplicates and new copies interleave without losses', async () => {
+    const isDuplicate = (text) => (stored) => stored.text === text;
+    const saves = Array.from({ length: 120 }, (_, i) => {
+        const text = `text ${i % 10}`;
+        return (i % 3 ? worker : sidebar).addItem(worker.createRecord(copyData(text)), { isDuplicate: isDuplicate(text) });
+    });
+    await Promise.all(saves);
+
+    const history = await worker.getHistory();
+    assert.equal(history.length, 10);
+    history.forEach(item => assert.equal(item.copyCount, 12));
+});
+
+test('sidebar edits and deletes during background saves are not overwritten', async () => {
+    const first = (await worker.addItem(worker.createRecord(copyData('edit me')))).item;
+    const second = (await worker.addItem(worker.createRecord(copyData('delete me')))).item;
+
+    await Promise.all([
+        ...Array.from({ length: 30 }, (_, i) => worker.addItem(worker.createRecord(copyData(`background ${i}`)))),
+        sidebar.updateItem(first.id, { text: 'edited', favorite: true }),
+        sidebar.deleteItem(second.id),
+        ...Array.from({ length: 30 }, (_, i) => sidebar.addItem(sidebar.createRecord(copyData(`sidebar ${i}`))))
+    ]);
+
+    const history = await worker.getHistory();
+    assert.equal(history.length, 61);
+    const edited = history.find(item => item.id === first.id);
+    assert.equal(edited.text, 'edited');
+    assert.equal(edited.favorite, true);
+    assert.ok(!history.some(item => item.id === second.id));
+});
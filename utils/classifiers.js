@@ -0,0 +1,536 @@
+// utils/classifiers.js
+// Content classifier registry: detectors that recognize what a copied text is (code and its
+// language, JSON, SQL, dates, phone numbers, non-English text...) and tag records with it
+// Each detector returns a confidence in [0, 1]; tags are assigned from MIN_CONFIDENCE up.
+// Users add regex detectors in settings (see setCustomDetectors)
+
+import { normalizeTag } from './common.js';
+
+// Confidence from which a detector tags a record
+export const MIN_CONFIDENCE = 0.6;
+
+// Longest custom detector pattern accepted from settings
+const MAX_PATTERN_LENGTH = 500;
+
+// ============ Helpers ============
+
+/**
+ * Sum the weights of the patterns found in a text
+ * @param {string} text - Text to check
+ * @param {Array<[RegExp, number]>} signals - Pattern and weight pairs
+ * @returns {number} Confidence capped at 1
+ */
+function scoreSignals(text, signals) {
+    const score = signals.reduce((sum, [pattern, weight]) => sum + (pattern.test(text) ? weight : 0), 0);
+    return Math.min(1, score);
+}
+
+/**
+ * Whether year, month and day form a calendar date
+ * @returns {boolean}
+ */
+function isValidDate(year, month, day) {
+    const date = new Date(year, month - 1, day);
+    return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+}
+
+// ============ Code ============
+
+// Signals of source code in general, whatever the language
+const CODE_SIGNALS = [
+    [/\b(?:function|const|let|var|class|def|import|export|return|public|private|static|void|fn|func)\s+[\w$({]/, 0.3],
+    [/=>/, 0.3],
+    [/;[ \t]*\n[\s\S]*;[ \t]*$/m, 0.3],
+    [/\{[ \t]*\n[\s\S]*\n[ \t]*\}/, 0.3],
+    [/(?:^|\n)(?:[ ]{2,}|\t)\S[^\n]*\n(?:[ ]{2,}|\t)\S/, 0.2],
+    [/\b[\w$.]+\([^()\n]*\)\s*[;{]/, 0.2],
+    [/===|!==|&&|\|\||::|->|\+=/, 0.2]
+];
+
+// Programming languages: distinctive syntax with weights
+const CODE_LANGUAGES = [
+    {
+        id: 'code-javascript', label: 'JavaScript', signals: [
+            [/\b(?:const|let)\s+[\w$]+\s*=/, 0.4], [/=>/, 0.3], [/\bfunction\s*[\w$]*\s*\(/, 0.3],
+            [/\bconsole\.\w+\(/, 0.5], [/===|!==/, 0.3], [/\brequire\(['"]|\bimport\s+[\w{},\s*]+\s+from\s+['"]/, 0.5],
+            [/\bdocument\.|\bwindow\./, 0.4]
+        ]
+    },
+    {
+        id: 'code-typescript', label: 'TypeScript', signals: [
+            [/\binterface\s+\w+\s*\{/, 0.5], [/:\s*(?:string|number|boolean|void|any|unknown)\b/, 0.4],
+            [/\btype\s+\w+\s*=/, 0.3], [/<\w+(?:\[\])?>\(/, 0.2], [/\b(?:const|let)\s+\w+\s*:\s*\w+/, 0.3]
+        ]
+    },
+    {
+        id: 'code-python', label: 'Python', signals: [
+            [/^\s*def\s+\w+\s*\([^)]*\)\s*(?:->\s*[\w\[\], ]+)?:\s*$/m, 0.6], [/^\s*(?:from\s+[\w.]+\s+)?import\s+[\w.]+(?:\s+as\s+\w+)?\s*$/m, 0.3],
+            [/\bself\.\w+/, 0.4], [/^\s*(?:elif|except|with)\b.*:\s*$/m, 0.4], [/\bprint\(/, 0.2],
+            [/__\w+__/, 0.3], [/^\s*class\s+\w+(?:\([\w., ]*\))?:\s*$/m, 0.5]
+        ]
+    },
+    {
+        id: 'code-java', label: 'Java', signals: [
+            [/\bpublic\s+(?:static\s+)?(?:final\s+)?(?:class|void|int|String)\b/, 0.5], [/\bSystem\.out\.print/, 0.6],
+            [/\b(?:private|protected)\s+[\w<>\[\]]+\s+\w+\s*[;=]/, 0.4], [/@Override\b/, 0.5], [/\bnew\s+[A-Z]\w*\s*\(/, 0.2]
+        ]
+    },
+    {
+        id: 'code-c', label: 'C/C++', signals: [
+            [/^\s*#include\s*[<"]/m, 0.7], [/\bstd::/, 0.5], [/\bint\s+main\s*\(/, 0.5],
+            [/\bprintf\s*\(/, 0.3], [/\b(?:malloc|sizeof|nullptr)\b/, 0.3], [/\w+\s*\*\s*\w+\s*=/, 0.2]
+        ]
+    },
+    {
+        id: 'code-go', label: 'Go', signals: [
+            [/^\s*package\s+\w+\s*$/m, 0.5], [/\bfunc\s+(?:\([^)]*\)\s*)?\w+\s*\(/, 0.5], [/:=/, 0.3],
+            [/\bfmt\.\w+\(/, 0.5], [/\berr\s*!=\s*nil\b/, 0.6]
+        ]
+    },
+    {
+        id: 'code-rust', label: 'Rust', signals: [
+            [/\bfn\s+\w+\s*(?:<[^>]*>)?\s*\(/, 0.4], [/\blet\s+mut\b/, 0.5], [/\b\w+!\(/, 0.3],
+            [/\bimpl\b(?:\s*<[^>]*>)?\s+\w+/, 0.4], [/&(?:mut\s+)?self\b/, 0.5], [/::\s*new\(/, 0.2]
+        ]
+    },
+    {
+        id: 'code-php', label: 'PHP', signals: [
+            [/<\?php/, 0.8], [/\$\w+\s*=[^=]/, 0.3], [/\$this->/, 0.6], [/\becho\s+["'$]/, 0.3], [/\bfunction\s+\w+\s*\(\s*\$/, 0.5]
+        ]
+    },
+    {
+        id: 'code-ruby', label: 'Ruby', signals: [
+            [/^\s*def\s+\w+[?!]?(?:\([^)]*\))?\s*$/m, 0.4], [/^\s*end\s*$/m, 0.3], [/\bputs\s/, 0.3],
+            [/\bdo\s*\|[\w, ]+\|/, 0.5], [/^\s*require\s+['"]/m, 0.4], [/@\w+\s*=/, 0.2]
+        ]
+    },
+    {
+        id: 'code-html', label: 'HTML', signals: [
+            [/<(?:html|head|body|div|span|p|a|ul|li|table|section|script|style)\b[^>]*>/i, 0.4],
+            [/<\/(?:html|head|body|div|span|p|a|ul|li|table|section|script|style)>/i, 0.4],
+            [/<!DOCTYPE html>/i, 0.8], [/\s(?:class|id|href|src)="[^"]*"/, 0.2]
+        ]
+    },
+    {
+        id: 'code-css', label: 'CSS', signals: [
+            [/(?:^|\n)\s*[.#]?[\w-]+(?:[\s>+~,.#:][\w-]+)*\s*\{\s*\n?\s*[\w-]+\s*:\s*[^;{}]+;/, 0.6],
+            [/@media\s|@import\s|@keyframes\s/, 0.4], [/\b(?:margin|padding|display|color|font-size)\s*:/, 0.3]
+        ]
+    }
+];
+
+// ============ Natural Languages ============
+
+// Languages recognized by their script, as a share of all letters
+const SCRIPT_LANGUAGES = [
+    { id: 'lang-ko', label: 'Korean', pattern: /\p{Script=Hangul}/gu },
+    { id: 'lang-ar', label: 'Arabic', pattern: /\p{Script=Arabic}/gu },
+    { id: 'lang-he', label: 'Hebrew', pattern: /\p{Script=Hebrew}/gu },
+    { id: 'lang-el', label: 'Greek', pattern: /\p{Script=Greek}/gu },
+    { id: 'lang-hi', label: 'Hindi', pattern: /\p{Script=Devanagari}/gu },
+    { id: 'lang-th', label: 'Thai', pattern: /\p{Script=Thai}/gu }
+];
+
+// Frequent words of Latin-script languages (English included to compare against)
+const STOP_WORDS = {
+    'lang-en': 'the and of to is in that it for with was this are you be on have not',
+    'lang-es': 'el la los las que y en del por con una es para se no su como más pero',
+    'lang-fr': 'le la les des et est que une pour dans qui pas sur au du avec ce sont je vous il',
+    'lang-de': 'der die das und ist nicht ein eine ich zu mit den auf für sich dem auch es sie von',
+    'lang-it': 'il di che e la per un non sono una del della con gli le è anche più',
+    'lang-pt': 'o a os as que de não um uma para com do da em é se mais por está',
+    'lang-nl': 'de het een en van is dat niet op te zijn met voor ook maar er wat'
+};
+const STOP_WORD_SETS = Object.fromEntries(
+    Object.entries(STOP_WORDS).map(([id, words]) => [id, new Set(words.split(' '))])
+);
+const LATIN_LANGUAGE_LABELS = {
+    'lang-es': 'Spanish', 'lang-fr': 'French', 'lang-de': 'German',
+    'lang-it': 'Italian', 'lang-pt': 'Portuguese', 'lang-nl': 'Dutch'
+};
+
+// Texts share the Latin analysis across its detectors; keep the last result
+let lastLatinText = null;
+let lastLatinResult = null;
+
+/**
+ * Most likely non-English Latin-script language of a text, by stop word frequency
+ * At least three different stop words must occur (one-letter words like "a" are common in code)
+ * @param {string} text - Text
+ * @returns {{ id: string, confidence: number }|null} Language tag, or null for English or too few words
+ */
+function detectLatinLanguage(text) {
+    if (text === lastLatinText) return lastLatinResult;
+
+    const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+    let result = null;
+    if (words.length >= 4) {
+        const hits = Object.fromEntries(Object.entries(STOP_WORD_SETS).map(([id, set]) =>
+            [id, words.filter(word => set.has(word))]));
+        const ratio = (id) => hits[id].length / words.length;
+        const bestId = Object.keys(LATIN_LANGUAGE_LABELS).sort((a, b) => ratio(b) - ratio(a))[0];
+        const bestRatio = ratio(bestId);
+        if (new Set(hits[bestId]).size >= 3 && bestRatio >= 0.15 && bestRatio > ratio('lang-en') * 1.5) {
+            result = { id: bestId, confidence: Math.min(1, bestRatio * 3) };
+        }
+    }
+
+    lastLatinText = text;
+    lastLatinResult = result;
+    return result;
+}
+
+/**
+ * Share of a text's letters matched by a pattern
+ * @param {string} text - Text
+ * @param {RegExp} pattern - Global pattern for one script
+ * @returns {number} Share in [0, 1]
+ */
+function scriptShare(text, pattern) {
+    const letters = (text.match(/\p{L}/gu) || []).length;
+    return letters ? (text.match(pattern) || []).length / letters : 0;
+}
+
+// ============ Detectors ============
+
+const DATE_ISO = /\b(\d{4})-(\d{2})-(\d{2})(?:[T ]\d{2}:\d{2}(?::\d{2})?)?/g;
+const MONTHS = '(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec)[a-z]*\\.?';
+const ISO_CURRENCIES = new Set(('USD EUR GBP JPY CNY CHF CAD AUD NZD INR KRW BRL MXN RUB SEK NOK DKK PLN ' +
+    'CZK HUF ZAR SGD HKD TWD TRY ILS AED SAR THB IDR MYR PHP VND ARS CLP COP UAH').split(' '));
+
+/**
+ * Built-in detectors: { id, label, detect(text) -> confidence }
+ * The id is the tag given to matching records
+ */
+const BUILT_IN_DETECTORS = [
+    {
+        id: 'code',
+        label: 'Code',
+        detect: (text) => Math.max(
+            scoreSignals(text, CODE_SIGNALS),
+            ...CODE_LANGUAGES.map(language => scoreSignals(text, language.signals))
+        )
+    },
+    ...CODE_LANGUAGES.map(language => ({
+        id: language.id,
+        label: language.label,
+        detect: (text) => scoreSignals(text, language.signals)
+    })),
+    {
+        id: 'json',
+        label: 'JSON',
+        detect: (text) => {
+            const trimmed = text.trim();
+            if (trimmed.length < 2 || !/^[{[]/.test(trimmed) || !/[}\]]$/.test(trimmed)) return 0;
+            try {
+                JSON.parse(trimmed);
+                return 1;
+            } catch (e) {
+                // Truncated or commented JSON still has quoted keys
+                return /"[^"\n]+"\s*:/.test(trimmed) ? 0.5 : 0;
+            }
+        }
+    },
+    {
+        id: 'sql',
+        label: 'SQL',
+        detect: (text) => {
+            const statement = /^\s*(?:SELECT\s+[\s\S]+?\s+FROM\s+[\w."`[\]]+|INSERT\s+INTO\s+[\w."`[\]]+|UPDATE\s+[\w."`[\]]+\s+SET\s+\w+\s*=|DELETE\s+FROM\s+[\w."`[\]]+|CREATE\s+(?:TABLE|INDEX|VIEW)\s+[\w."`[\]]+|ALTER\s+TABLE\s+[\w."`[\]]+|WITH\s+\w+\s+AS\s*\()/i;
+            if (!statement.test(text)) return 0;
+            // Plain English ("Select the file from the list") rarely has uppercase keywords or SQL punctuation
+            return scoreSignals(text, [
+                [/./, 0.4],
+                [/^\s*(?:SELECT|INSERT|UPDATE|DELETE|CREATE|ALTER|WITH)\b/, 0.3],
+                [/\b(?:WHERE|JOIN|GROUP BY|ORDER BY|VALUES|LIMIT|HAVING)\b/, 0.2],
+                [/;\s*$|\s=\s|\*|\bCOUNT\(|\bIN\s*\(/, 0.2]
+            ]);
+        }
+    },
+    {
+        id: 'shell',
+        label: 'Shell',
+        detect: (text) => {
+            if (/^\s*\$\s+\S/.test(text)) return 0.9;
+            const firstLine = text.trim().split('\n')[0];
+            return scoreSignals(firstLine, [
+                [/^(?:sudo\s+)?(?:apt(?:-get)?|brew|npm|npx|pnpm|yarn|pip3?|git|cd|ls|curl|wget|docker|kubectl|chmod|chown|mkdir|rm|cp|mv|export|echo|grep|cat|ssh|scp|tar|make|node|python3?|cargo|go)\s/, 0.4],
+                [/^sudo\s/, 0.3],
+                [/^(?:git|npm|npx|pnpm|yarn|pip3?|docker|kubectl|cargo|brew|apt(?:-get)?)\s+[a-z][\w-]*/, 0.3],
+                [/\s--?[a-zA-Z][\w-]*/, 0.3],
+                [/\s(?:\||&&|>>?|2>&1)\s/, 0.3]
+            ]);
+        }
+    },
+    {
+        id: 'link',
+        label: 'Link',
+        detect: (text) => (/https?:\/\/[^\s]+/.test(text) ? 0.9 : /\bwww\.[a-z0-9-]+\.[a-z]{2,}/i.test(text) ? 0.6 : 0)
+    },
+    {
+        id: 'email',
+        label: 'Email',
+        detect: (text) => (/[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/.test(text) ? 0.9 : 0)
+    },
+    {
+        id: 'phone',
+        label: 'Phone',
+        detect: (text) => {
+            const pattern = /(?<![\w.+-])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]\d{2,5}){1,4}(?![\w.-]*\d)/g;
+            return Array.from(text.matchAll(pattern)).reduce((best, [value]) => {
+                const digits = value.replace(/\D/g, '').length;
+                if (digits < 7 || digits > 15 || new RegExp(DATE_ISO.source).test(value) || /^\d+(?:\.\d+){3}$/.test(value)) {
+                    return best;
+                }
+                const confidence = /^\+|\(/.test(value) ? 0.9
+                    : /^\d{3}[\s.-]\d{3}[\s.-]\d{4}$/.test(value) ? 0.8
+                        : 0.4;
+                return Math.max(best, confidence);
+            }, 0);
+        }
+    },
+    {
+        id: 'ip',
+        label: 'IP Address',
+        detect: (text) => {
+            const octet = '(?:25[0-5]|2[0-4]\\d|1\\d\\d|[1-9]?\\d)';
+            const ipv4 = text.match(new RegExp(`(?<![\\d.])${octet}(?:\\.${octet}){3}(?![\\d.])`));
+            if (ipv4) {
+                // 1.2.3.4 is more often a version number
+                return ipv4[0].split('.').every(part => part.length === 1) ? 0.4 : 0.9;
+            }
+            const ipv6 = (text.match(/(?<![\w:])[0-9a-f:]{6,39}(?![\w:])/gi) || []).some(candidate => {
+                const halves = candidate.split('::');
+                if (halves.length > 2 || (halves.length === 1 && candidate.split(':').length !== 8)) return false;
+                const groups = halves.flatMap(half => (half ? half.split(':') : []));
+                return groups.length >= 3 && groups.length <= 8 && /\d/.test(candidate) &&
+                    groups.every(group => /^[0-9a-f]{1,4}$/i.test(group));
+            });
+            return ipv6 ? 0.9 : 0;
+        }
+    },
+    {
+        id: 'color',
+        label: 'Color',
+        detect: (text) => {
+            if (/\b(?:rgba?|hsla?)\(\s*\d/i.test(text)) return 0.9;
+            const hex = text.match(/(?<![\w&#])#(?:[0-9a-f]{8}|[0-9a-f]{6}|[0-9a-f]{3,4})(?![\w-])/i);
+            if (!hex) return 0;
+            // #123 is more often an issue number
+            return /[a-f]/i.test(hex[0]) || hex[0].length === 7 ? 0.9 : 0.3;
+        }
+    },
+    {
+        id: 'date',
+        label: 'Date',
+        detect: (text) => {
+            const iso = Array.from(text.matchAll(DATE_ISO))
+                .some(([, year, month, day]) => isValidDate(Number(year), Number(month), Number(day)));
+            if (iso) return 0.9;
+            if (new RegExp(`\\b${MONTHS}\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}\\b|\\b\\d{1,2}(?:st|nd|rd|th)?\\s+${MONTHS},?\\s+\\d{4}\\b`, 'i').test(text)) {
+                return 0.9;
+            }
+            const numeric = text.match(/\b(\d{1,2})[/.](\d{1,2})[/.](\d{4}|\d{2})\b/);
+            if (numeric) {
+                const [a, b] = [Number(numeric[1]), Number(numeric[2])];
+                // Day and month order varies by locale; either reading must be a date
+                return (a >= 1 && b >= 1 && ((a <= 12 && b <= 31) || (b <= 12 && a <= 31))) ? 0.7 : 0;
+            }
+            return 0;
+        }
+    },
+    {
+        id: 'currency',
+        label: 'Amount',
+        detect: (text) => {
+            const amount = '\\d{1,3}(?:[,.\\s]?\\d{3})*(?:[.,]\\d{1,2})?';
+            const symbol = text.match(new RegExp(`(?:[€£¥₹₩₽]|(?:\\b(?:US|A|C|HK|NZ))?\\$)\\s?(${amount})(?!\\d)`));
+            if (symbol) {
+                // $1 alone is more often a regex group or shell argument
+                return /^\$/.test(symbol[0]) && /^\d$/.test(symbol[1]) ? 0.4 : 0.9;
+            }
+            return new RegExp(`\\b${amount}\\s?(?:USD|EUR|GBP|JPY|CNY|INR|CAD|AUD|CHF)\\b|\\b${amount}\\s(?:dollars?|euros?|pounds)\\b`, 'i').test(text)
+                ? 0.9 : 0;
+        }
+    },
+    {
+        id: 'iso-code',
+        label: 'ISO Code',
+        detect: (text) => {
+            // Whole-text codes: currencies (4217), locales (639 + 3166), durations (8601), ISBNs (2108)
+            if (/\bISBN(?:-1[03])?:?\s*(?:97[89][\s-]?)?(?:\d[\s-]?){9}[\dX]\b/i.test(text)) return 0.9;
+            const code = text.trim();
+            if (code.length > 20) return 0;
+            if (ISO_CURRENCIES.has(code)) return 0.9;
+            if (/^[a-z]{2,3}[-_][A-Z]{2}$/.test(code)) return 0.9;
+            if (/^P(?=\d|T\d)(?:\d+Y)?(?:\d+M)?(?:\d+W)?(?:\d+D)?(?:T(?=\d)(?:\d+H)?(?:\d+M)?(?:\d+(?:\.\d+)?S)?)?$/.test(code)) return 0.9;
+            // Other short capitals (OK, USA, API) are rarely codes: reported below MIN_CONFIDENCE
+            return /^[A-Z]{2,3}$/.test(code) ? 0.3 : 0;
+        }
+    },
+    {
+        id: 'markdown',
+        label: 'Markdown',
+        detect: (text) => scoreSignals(text, [
+            [/^#{1,6}\s+\S/m, 0.4],
+            [/^\s*(?:[-*+]|\d+\.)\s+\S[^\n]*\n\s*(?:[-*+]|\d+\.)\s+\S/m, 0.3],
+            [/\[[^\]\n]+\]\((?:https?:|\/|#|\.)[^)\s]*\)/, 0.4],
+            [/\*\*[^*\n]+\*\*|__[^_\n]+__/, 0.3],
+            [/^```/m, 0.4],
+            [/^>\s/m, 0.2],
+            [/^\|.*\|\s*\n\|?\s*:?-{3,}/m, 0.5],
+            [/`[^`\n]+`/, 0.2]
+        ])
+    },
+    {
+        id: 'address',
+        label: 'Address',
+        detect: (text) => {
+            if (/\bP\.?\s?O\.?\s+Box\s+\d+/i.test(text)) return 0.7;
+            const street = /\b\d{1,5}[A-Z]?\s+(?:[A-Z][\w'.-]*\s+){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Square|Sq|Terrace|Parkway|Pkwy)\b\.?/;
+            if (!street.test(text)) return 0;
+            const postalCode = /\b[A-Z]{2}\s+\d{5}(?:-\d{4})?\b|\b[A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2}\b|\b\d{5}\b/;
+            return postalCode.test(text) ? 0.9 : 0.6;
+        }
+    },
+    {
+        id: 'numbers',
+        label: 'Numbers',
+        detect: (text) => (/\b\d{4,}\b/.test(text) ? 0.6 : 0)
+    },
+    {
+        id: 'lang-ja',
+        label: 'Japanese',
+        detect: (text) => {
+            const kana = scriptShare(text, /[\p{Script=Hiragana}\p{Script=Katakana}]/gu);
+            return kana > 0.05 ? Math.min(1, (kana + scriptShare(text, /\p{Script=Han}/gu)) * 1.5) : 0;
+        }
+    },
+    {
+        id: 'lang-zh',
+        label: 'Chinese',
+        detect: (text) => {
+            if (scriptShare(text, /[\p{Script=Hiragana}\p{Script=Katakana}]/gu) > 0.05) return 0;
+            return Math.min(1, scriptShare(text, /\p{Script=Han}/gu) * 1.5);
+        }
+    },
+    {
+        id: 'lang-ru',
+        label: 'Russian',
+        detect: (text) => (/[іїєґ]/i.test(text) ? 0 : Math.min(1, scriptShare(text, /\p{Script=Cyrillic}/gu) * 1.5))
+    },
+    {
+        id: 'lang-uk',
+        label: 'Ukrainian',
+        detect: (text) => (/[іїєґ]/i.test(text) ? Math.min(1, scriptShare(text, /\p{Script=Cyrillic}/gu) * 1.5) : 0)
+    },
+    ...SCRIPT_LANGUAGES.map(language => ({
+        id: language.id,
+        label: language.label,
+        detect: (text) => Math.min(1, scriptShare(text, language.pattern) * 1.5)
+    })),
+    ...Object.entries(LATIN_LANGUAGE_LABELS).map(([id, label]) => ({
+        id,
+        label,
+        detect: (text) => {
+            const language = detectLatinLanguage(text);
+            return language?.id === id ? language.confidence : 0;
+        }
+    }))
+];
+
+// ============ Registry ============
+
+const detectors = new Map();
+let customDetectors = [];
+
+/**
+ * Add a detector to the registry (replaces one with the same id)
+ * @param {object} detector - { id, label, detect(text) -> confidence in [0, 1] }
+ */
+export function registerDetector(detector) {
+    detectors.set(detector.id, detector);
+}
+
+BUILT_IN_DETECTORS.forEach(registerDetector);
+
+/**
+ * Validate a custom detector from settings
+ * @param {object} definition - { label, pattern, flags }
+ * @returns {object|null} { id, label, pattern, flags }, or null when the label is empty, the
+ *   pattern does not compile, or the tag would shadow a built-in detector
+ */
+export function normalizeCustomDetector(definition) {
+    if (!definition || typeof definition !== 'object') return null;
+
+    const label = typeof definition.label === 'string' ? definition.label.trim().substring(0, 30) : '';
+    const id = normalizeTag(label);
+    const pattern = typeof definition.pattern === 'string' ? definition.pattern : '';
+    // Stateful flags (g, y) would make test() depend on the previous call
+    const flags = [...new Set(String(definition.flags || '').replace(/[^imsu]/g, ''))].join('');
+    if (!id || !pattern || pattern.length > MAX_PATTERN_LENGTH || BUILT_IN_DETECTORS.some(detector => detector.id === id)) {
+        return null;
+    }
+
+    try {
+        new RegExp(pattern, flags);
+    } catch (e) {
+        return null;
+    }
+    return { id, label, pattern, flags };
+}
+
+/**
+ * Replace the user's regex detectors (from settings.customDetectors)
+ * Invalid definitions are skipped
+ * @param {Array} definitions - { label, pattern, flags } entries
+ */
+export function setCustomDetectors(definitions) {
+    customDetectors = (Array.isArray(definitions) ? definitions : [])
+        .map(normalizeCustomDetector)
+        .filter(Boolean)
+        .map(({ id, label, pattern, flags }) => {
+            const regex = new RegExp(pattern, flags);
+            return { id, label, detect: (text) => (regex.test(text) ? 1 : 0) };
+        });
+}
+
+/**
+ * Run every detector on a text
+ * @param {string} text - Record text
+ * @returns {Array<{tag: string, confidence: number}>} Detections with a positive confidence, most confident first
+ */
+export function classifyText(text) {
+    if (!text) return [];
+
+    return [...detectors.values(), ...customDetectors]
+        .map(detector => {
+            try {
+                return { tag: detector.id, confidence: detector.detect(text) };
+            } catch (error) {
+                console.warn(`[ClipTrace] Detector ${detector.id} failed:`, error);
+                return { tag: detector.id, confidence: 0 };
+            }
+        })
+        .filter(detection => detection.confidence > 0)
+        .sort((a, b) => b.confidence - a.confidence);
+}
+
+/**
+ * Tags of a text: detections from MIN_CONFIDENCE up
+ * @param {string} text - Record text
+ * @returns {string[]} Tag identifiers, most confident first
+ */
+export function extractTags(text) {
+    return classifyText(text)
+        .filter(detection => detection.confidence >= MIN_CONFIDENCE)
+        .map(detection => detection.tag);
+}
+
+/**
+ * Get tag display name
+ * @param {string} tag - Tag identifier
+ * @returns {string} Detector label, or the tag itself for user tags
+ */
+export function getTagLabel(tag) {
+    return detectors.get(tag)?.label || customDetectors.find(detector => detector.id === tag)?.label || tag;
+}
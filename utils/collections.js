@@ -0,0 +1,99 @@
+// utils/collections.js
+// Smart collections: named saved searches combining a search query, tags, domains and a
+// date range. Definitions live in settings (smartCollections) and travel with exports;
+// membership is evaluated live against the loaded history
+
+import { generateId } from './common.js';
+import { parseQuery, matchesSite } from './search.js';
+
+// Date range presets (shared with the filter panel buttons); 'custom' uses from/to days
+export const DATE_RANGES = ['all', 'today', 'week', 'month', 'custom'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether a timestamp falls in a date range preset
+ * @param {number} timestamp - Record timestamp
+ * @param {string} range - 'all', 'today', 'week' (last 7 days) or 'month' (last 30 days)
+ * @returns {boolean}
+ */
+export function isInDateRange(timestamp, range) {
+    switch (range) {
+        case 'today':
+            return timestamp >= new Date().setHours(0, 0, 0, 0);
+        case 'week':
+            return Date.now() - timestamp < 7 * DAY_MS;
+        case 'month':
+            return Date.now() - timestamp < 30 * DAY_MS;
+        default:
+            return true;
+    }
+}
+
+/**
+ * Local day start of a YYYY-MM-DD string
+ * @param {string} day - Date input value
+ * @returns {number|null} Timestamp, or null when empty or invalid
+ */
+function parseDay(day) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(day || '');
+    return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])).getTime() : null;
+}
+
+/**
+ * Validate and clean a collection definition (from the editor, settings or an import)
+ * @param {object} collection - Definition
+ * @returns {object|null} { id, name, query, tags, domains, dateRange, from, to, createdAt }, or
+ *   null when it has no name
+ */
+export function normalizeCollection(collection) {
+    if (!collection || typeof collection !== 'object') return null;
+
+    const name = typeof collection.name === 'string' ? collection.name.trim().substring(0, 60) : '';
+    if (!name) return null;
+
+    const strings = (list) => (Array.isArray(list) ? list : [])
+        .filter(value => typeof value === 'string' && value.trim())
+        .map(value => value.trim().toLowerCase());
+
+    const dateRange = DATE_RANGES.includes(collection.dateRange) ? collection.dateRange : 'all';
+    return {
+        id: typeof collection.id === 'string' && collection.id ? collection.id : generateId(),
+        name,
+        query: typeof collection.query === 'string' ? collection.query.trim() : '',
+        tags: [...new Set(strings(collection.tags))],
+        // Domains as in the site: operator (host without scheme or www.)
+        domains: [...new Set(strings(collection.domains).map(domain =>
+            domain.replace(/^[a-z]+:\/\//, '').replace(/^www\./, '').replace(/\/+$/, '')))],
+        dateRange,
+        from: dateRange === 'custom' && parseDay(collection.from) !== null ? collection.from : '',
+        to: dateRange === 'custom' && parseDay(collection.to) !== null ? collection.to : '',
+        createdAt: typeof collection.createdAt === 'number' ? collection.createdAt : Date.now()
+    };
+}
+
+/**
+ * Build a membership test for a collection
+ * Tags and domains match when any listed one applies; all parts must match
+ * @param {object} collection - Normalized definition
+ * @param {object} searchIndex - Index from createSearchIndex, synced with the history
+ * @returns {Function} (record) => boolean
+ */
+export function createCollectionMatcher(collection, searchIndex) {
+    const queryMatches = collection.query ? searchIndex.search(parseQuery(collection.query)) : null;
+    const from = parseDay(collection.from);
+    const to = parseDay(collection.to);
+
+    return (record) => {
+        if (queryMatches && !queryMatches.has(record.id)) return false;
+        const recordTags = (record.tags || []).map(tag => tag.toLowerCase());
+        if (collection.tags.length && !collection.tags.some(tag => recordTags.includes(tag))) return false;
+        if (collection.domains.length && !collection.domains.some(domain => matchesSite(record.url, domain))) return false;
+        if (collection.dateRange === 'custom') {
+            if (from !== null && record.timestamp < from) return false;
+            if (to !== null && record.timestamp >= to + DAY_MS) return false;
+            return true;
+        }
+        return isInDateRange(record.timestamp, collection.dateRange);
+    };
+}
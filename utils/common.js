@@ -9,6 +9,30 @@ export function generateId() {
     return Date.now().toString(36) + Math.random().toString(36).substring(2);
 }
 
+/**
+ * Short hash of a text: stored with records for duplicate lookups and with semantic vectors
+ * to detect edited records
+ * @param {string} text - Text
+ * @returns {string} FNV-1a hash in base 36
+ */
+export function hashText(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+}
+
+/**
+ * Normalize a tag typed by the user
+ * @param {string} tag - Tag as entered
+ * @returns {string} Lowercase tag with dashes for spaces (max 30 characters), or '' when empty
+ */
+export function normalizeTag(tag) {
+    return String(tag || '').trim().toLowerCase().replace(/[\s,]+/g, '-').substring(0, 30);
+}
+
 /**
  * HTML escape to prevent XSS attacks
  * @param {string} text - Original text
@@ -74,25 +98,6 @@ export function formatDateHeader(dateString) {
     });
 }
 
-/**
- * Tag type mapping
- */
-export const TAG_LABELS = {
-    code: 'Code',
-    link: 'Link',
-    email: 'Email',
-    numbers: 'Numbers'
-};
-
-/**
- * Get tag display name
- * @param {string} tag - Tag identifier
- * @returns {string} Tag display name
- */
-export function getTagLabel(tag) {
-    return TAG_LABELS[tag] || tag;
-}
-
 /**
  * Default favicon icon (Base64 SVG)
  */
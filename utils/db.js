@@ -0,0 +1,712 @@
+// utils/db.js
+// IndexedDB access layer: one record per clipboard item, indexed by timestamp, url, page key, tags,
+// folder and text hash, plus the folder definitions records are organized into
+// Every read-modify-write runs inside a single readwrite transaction. IndexedDB serializes
+// readwrite transactions on the same store across all extension contexts, so concurrent
+// saves from the service worker and edits from the sidebar cannot overwrite each other
+
+import { getPageKey } from './url-normalize.js';
+import { hashText } from './common.js';
+
+const DB_NAME = 'cliptrace';
+const DB_VERSION = 6;
+const HISTORY_STORE = 'history';
+// Image blobs captured with rich selections, keyed by image id and indexed by owning record
+const IMAGES_STORE = 'images';
+// Semantic search vectors keyed by record id, and the model that produced them (see semantic.js)
+const EMBEDDINGS_STORE = 'embeddings';
+const MODELS_STORE = 'models';
+const SEMANTIC_MODEL_KEY = 'semantic';
+// Folders records can be filed into: { id, name, createdAt }
+const FOLDERS_STORE = 'folders';
+
+// Stores holding per-record data, removed together with the record
+const RECORD_STORES = [HISTORY_STORE, IMAGES_STORE, EMBEDDINGS_STORE];
+
+// Legacy chrome.storage.local key that held the whole history as one array
+const LEGACY_STORAGE_KEY = 'clipboardHistory';
+
+let dbPromise = null;
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<*>} Request result
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} tx - Transaction
+ * @returns {Promise<void>}
+ */
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new DOMException('Transaction aborted', 'AbortError'));
+    });
+}
+
+/**
+ * Delete the images and vector owned by a record within an open readwrite transaction
+ * @param {IDBTransaction} tx - Transaction over RECORD_STORES
+ * @param {string} recordId - Owning record id
+ */
+function deleteRecordData(tx, recordId) {
+    tx.objectStore(EMBEDDINGS_STORE).delete(recordId);
+    const images = tx.objectStore(IMAGES_STORE);
+    images.index('recordId').openKeyCursor(IDBKeyRange.only(recordId)).onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        images.delete(cursor.primaryKey);
+        cursor.continue();
+    };
+}
+
+/**
+ * Delete the oldest records beyond maxItems within an open readwrite transaction
+ * Pinned records count toward maxItems but are never deleted
+ * @param {IDBTransaction} tx - Transaction over RECORD_STORES
+ * @param {number} maxItems - Number of records to keep
+ * @param {Function} [onRemove] - Called once per removed record
+ */
+function trimStore(tx, maxItems, onRemove = () => { }) {
+    const store = tx.objectStore(HISTORY_STORE);
+    store.count().onsuccess = (event) => {
+        let excess = event.target.result - maxItems;
+        if (excess <= 0) return;
+
+        store.index('timestamp').openCursor().onsuccess = (cursorEvent) => {
+            const cursor = cursorEvent.target.result;
+            if (!cursor || excess <= 0) return;
+            if (!cursor.value.pinned) {
+                deleteRecordData(tx, cursor.primaryKey);
+                cursor.delete();
+                onRemove();
+                excess--;
+            }
+            cursor.continue();
+        };
+    };
+}
+
+/**
+ * Create object stores and indexes
+ * @param {IDBDatabase} db - Database being upgraded
+ * @param {number} oldVersion - Version before the upgrade (0 for a new database)
+ * @param {IDBTransaction} tx - Version change transaction
+ */
+function upgradeDatabase(db, oldVersion, tx) {
+    if (oldVersion < 1) {
+        const store = db.createObjectStore(HISTORY_STORE, { keyPath: 'id' });
+        store.createIndex('timestamp', 'timestamp');
+        store.createIndex('url', 'url');
+        store.createIndex('tags', 'tags', { multiEntry: true });
+    }
+    if (oldVersion < 2) {
+        const images = db.createObjectStore(IMAGES_STORE, { keyPath: 'id' });
+        images.createIndex('recordId', 'recordId');
+    }
+    if (oldVersion < 3) {
+        // Normalized page URL (see url-normalize.js), backfilled on existing records
+        const store = tx.objectStore(HISTORY_STORE);
+        store.createIndex('pageKey', 'pageKey');
+        store.openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            cursor.update({ ...cursor.value, pageKey: getPageKey(cursor.value.url, cursor.value.canonicalUrl) });
+            cursor.continue();
+        };
+    }
+    if (oldVersion < 4) {
+        db.createObjectStore(EMBEDDINGS_STORE, { keyPath: 'recordId' });
+        db.createObjectStore(MODELS_STORE, { keyPath: 'id' });
+    }
+    if (oldVersion < 5) {
+        // Records outside any folder (folderId null) stay out of the index
+        db.createObjectStore(FOLDERS_STORE, { keyPath: 'id' });
+        tx.objectStore(HISTORY_STORE).createIndex('folderId', 'folderId');
+    }
+    if (oldVersion < 6) {
+        // Hash of the exact text for same-text duplicate lookups, backfilled on existing records
+        const store = tx.objectStore(HISTORY_STORE);
+        store.createIndex('textHash', 'textHash');
+        store.openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            cursor.update({ ...cursor.value, textHash: hashText(cursor.value.text) });
+            cursor.continue();
+        };
+    }
+}
+
+/**
+ * One-time migration: move the legacy clipboardHistory array into the object store
+ * Safe to run from several contexts at once - records are keyed by id
+ */
+async function migrateLegacyHistory(db) {
+    const result = await chrome.storage.local.get([LEGACY_STORAGE_KEY]);
+    const legacyHistory = result[LEGACY_STORAGE_KEY];
+    if (!Array.isArray(legacyHistory)) return;
+
+    const tx = db.transaction(HISTORY_STORE, 'readwrite');
+    const store = tx.objectStore(HISTORY_STORE);
+    legacyHistory
+        .filter(item => item && item.id)
+        .forEach(item => store.put({ ...item, pageKey: getPageKey(item.url), textHash: hashText(item.text || '') }));
+    await transactionDone(tx);
+
+    await chrome.storage.local.remove(LEGACY_STORAGE_KEY);
+    console.log(`[ClipTrace] Migrated ${legacyHistory.length} records to IndexedDB`);
+}
+
+/**
+ * Open (and upgrade/migrate on first use) the history database
+ * @returns {Promise<IDBDatabase>} Database connection
+ */
+export function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = (event) => upgradeDatabase(request.result, event.oldVersion, request.transaction);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).then(async db => {
+            await migrateLegacyHistory(db);
+            return db;
+        }).catch(error => {
+            // Allow a later call to retry
+            dbPromise = null;
+            throw error;
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Get all records, newest first
+ * @returns {Promise<Array>} Records sorted by timestamp descending
+ */
+export async function getAllItems() {
+    const db = await openDatabase();
+    const index = db.transaction(HISTORY_STORE).objectStore(HISTORY_STORE).index('timestamp');
+    const items = await promisifyRequest(index.getAll());
+    return items.reverse();
+}
+
+/**
+ * Get a single record
+ * @param {string} id - Record id
+ * @returns {Promise<object|undefined>} Record
+ */
+export async function getItem(id) {
+    const db = await openDatabase();
+    return promisifyRequest(db.transaction(HISTORY_STORE).objectStore(HISTORY_STORE).get(id));
+}
+
+/**
+ * Get all records captured from a page
+ * @param {string} pageKey - Normalized page URL (see getPageKey)
+ * @returns {Promise<Array>} Matching records
+ */
+export async function getItemsByPage(pageKey) {
+    const db = await openDatabase();
+    const index = db.transaction(HISTORY_STORE).objectStore(HISTORY_STORE).index('pageKey');
+    return promisifyRequest(index.getAll(IDBKeyRange.only(pageKey)));
+}
+
+/**
+ * Get all records filed in a folder
+ * @param {string} folderId - Folder id
+ * @returns {Promise<Array>} Matching records
+ */
+export async function getItemsByFolder(folderId) {
+    const db = await openDatabase();
+    const index = db.transaction(HISTORY_STORE).objectStore(HISTORY_STORE).index('folderId');
+    return promisifyRequest(index.getAll(IDBKeyRange.only(folderId)));
+}
+
+/**
+ * Atomically append a record or merge it into a stored duplicate: duplicate check, write
+ * and trim in one transaction
+ * @param {object} item - New record
+ * @param {object} [options]
+ * @param {Function} [options.isDuplicate] - Called with stored candidate records, newest first
+ * @param {string} [options.scope='page'] - Candidates: 'page' (records with the item's page key),
+ *   'text' (records with its text hash) or 'recent' (the newest records, up to limit)
+ * @param {number} [options.limit=1000] - Number of records checked with the 'recent' scope
+ * @param {Function} [options.merge] - Receives the newest duplicate and returns the record to
+ *   write in its place; without it the append is skipped when a duplicate exists
+ * @param {number} [options.maxItems] - Trim the oldest records beyond this count
+ * @returns {Promise<object|null>} { record, merged } with the written record, or null when skipped
+ */
+export async function appendItem(item, { isDuplicate, scope = 'page', limit = 1000, merge, maxItems } = {}) {
+    const db = await openDatabase();
+    const tx = db.transaction(RECORD_STORES, 'readwrite');
+    const store = tx.objectStore(HISTORY_STORE);
+    let result = null;
+
+    const insert = () => {
+        store.put(item);
+        result = { record: item, merged: false };
+        if (maxItems) trimStore(tx, maxItems);
+    };
+
+    const mergeInto = (duplicate) => {
+        if (!merge) return;
+        const record = merge(duplicate);
+        store.put(record);
+        result = { record, merged: true };
+    };
+
+    if (isDuplicate && scope === 'recent') {
+        let checked = 0;
+        store.index('timestamp').openCursor(null, 'prev').onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor && isDuplicate(cursor.value)) {
+                mergeInto(cursor.value);
+            } else if (!cursor || ++checked >= limit) {
+                insert();
+            } else {
+                cursor.continue();
+            }
+        };
+    } else if (isDuplicate) {
+        const request = scope === 'text'
+            ? store.index('textHash').getAll(IDBKeyRange.only(item.textHash))
+            : store.index('pageKey').getAll(IDBKeyRange.only(item.pageKey));
+        request.onsuccess = (event) => {
+            const duplicate = event.target.result
+                .sort((a, b) => b.timestamp - a.timestamp)
+                .find(isDuplicate);
+            if (duplicate) {
+                mergeInto(duplicate);
+            } else {
+                insert();
+            }
+        };
+    } else {
+        insert();
+    }
+
+    await transactionDone(tx);
+    return result;
+}
+
+/**
+ * Atomically read, modify and write back one record
+ * @param {string} id - Record id
+ * @param {Function} updater - Receives the stored record (or undefined) and returns the
+ *   record to write, or null to leave it unchanged; throwing aborts the transaction
+ * @returns {Promise<object|null>} Written record
+ */
+export async function patchItem(id, updater) {
+    const db = await openDatabase();
+    const tx = db.transaction(HISTORY_STORE, 'readwrite');
+    const store = tx.objectStore(HISTORY_STORE);
+    let updated = null;
+    let failure = null;
+
+    store.get(id).onsuccess = (event) => {
+        try {
+            updated = updater(event.target.result);
+            if (updated) store.put(updated);
+        } catch (error) {
+            failure = error;
+            tx.abort();
+        }
+    };
+
+    try {
+        await transactionDone(tx);
+    } catch (error) {
+        throw failure || error;
+    }
+    return updated;
+}
+
+/**
+ * Atomically read, modify and write back several records in one transaction
+ * @param {Array<string>} ids - Record ids
+ * @param {Function} updater - Receives each stored record (undefined when missing) and returns
+ *   the record to write, or null to leave it unchanged; throwing aborts the transaction
+ * @returns {Promise<Array<object>>} Written records
+ */
+export async function patchItems(ids, updater) {
+    const db = await openDatabase();
+    const tx = db.transaction(HISTORY_STORE, 'readwrite');
+    const store = tx.objectStore(HISTORY_STORE);
+    const updated = [];
+    let failure = null;
+
+    ids.forEach(id => {
+        store.get(id).onsuccess = (event) => {
+            if (failure) return;
+            try {
+                const record = updater(event.target.result);
+                if (record) {
+                    store.put(record);
+                    updated.push(record);
+                }
+            } catch (error) {
+                failure = error;
+                tx.abort();
+            }
+        };
+    });
+
+    try {
+        await transactionDone(tx);
+    } catch (error) {
+        throw failure || error;
+    }
+    return updated;
+}
+
+/**
+ * Atomically read, modify and write back every record in one transaction
+ * @param {Function} updater - Receives each stored record and returns the record to write, or
+ *   null to leave it unchanged; throwing aborts the transaction
+ * @returns {Promise<number>} Number of written records
+ */
+export async function patchAllItems(updater) {
+    const db = await openDatabase();
+    const tx = db.transaction(HISTORY_STORE, 'readwrite');
+    let updated = 0;
+    let failure = null;
+
+    tx.objectStore(HISTORY_STORE).openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor || failure) return;
+        try {
+            const record = updater(cursor.value);
+            if (record) {
+                cursor.update(record);
+                updated++;
+            }
+            cursor.continue();
+        } catch (error) {
+            failure = error;
+            tx.abort();
+        }
+    };
+
+    try {
+        await transactionDone(tx);
+    } catch (error) {
+        throw failure || error;
+    }
+    return updated;
+}
+
+/**
+ * Atomically insert the records whose id is not stored yet, then trim
+ * @param {Array} items - Records with ids
+ * @param {number} [maxItems] - Trim the oldest records beyond this count
+ * @param {Function} [merge] - Receives the stored record and the item with the same id and
+ *   returns the record to write in its place, or null to keep it; without it stored records
+ *   are left unchanged
+ * @returns {Promise<number>} Number of inserted records
+ */
+export async function insertMissingItems(items, maxItems, merge) {
+    const db = await openDatabase();
+    const tx = db.transaction(RECORD_STORES, 'readwrite');
+    const store = tx.objectStore(HISTORY_STORE);
+    let inserted = 0;
+
+    store.getAllKeys().onsuccess = (event) => {
+        const existingIds = new Set(event.target.result);
+        items.forEach(item => {
+            if (!existingIds.has(item.id)) {
+                store.put(item);
+                existingIds.add(item.id);
+                inserted++;
+            } else if (merge) {
+                store.get(item.id).onsuccess = (getEvent) => {
+                    const record = merge(getEvent.target.result, item);
+                    if (record) store.put(record);
+                };
+            }
+        });
+        if (maxItems) trimStore(tx, maxItems);
+    };
+
+    await transactionDone(tx);
+    return inserted;
+}
+
+/**
+ * Delete a record, its images and its vector
+ * @param {string} id - Record id
+ */
+export async function deleteItem(id) {
+    const db = await openDatabase();
+    const tx = db.transaction(RECORD_STORES, 'readwrite');
+    tx.objectStore(HISTORY_STORE).delete(id);
+    deleteRecordData(tx, id);
+    await transactionDone(tx);
+}
+
+/**
+ * Delete several records with their images and vectors in one transaction
+ * @param {Array<string>} ids - Record ids (missing ones are skipped)
+ * @returns {Promise<{records: Array, images: Array}>} Removed records and image entries, for restoreItems
+ */
+export async function deleteItems(ids) {
+    const db = await openDatabase();
+    const tx = db.transaction(RECORD_STORES, 'readwrite');
+    const store = tx.objectStore(HISTORY_STORE);
+    const imagesIndex = tx.objectStore(IMAGES_STORE).index('recordId');
+    const records = [];
+    const images = [];
+
+    ids.forEach(id => {
+        store.get(id).onsuccess = (event) => {
+            if (!event.target.result) return;
+            records.push(event.target.result);
+            imagesIndex.getAll(IDBKeyRange.only(id)).onsuccess = (imagesEvent) => {
+                images.push(...imagesEvent.target.result);
+                store.delete(id);
+                deleteRecordData(tx, id);
+            };
+        };
+    });
+
+    await transactionDone(tx);
+    return { records, images };
+}
+
+/**
+ * Put back records and images removed by deleteItems, then trim
+ * @param {Array} records - Removed records
+ * @param {Array} images - Removed image entries
+ * @param {number} [maxItems] - Trim the oldest records beyond this count
+ */
+export async function restoreItems(records, images, maxItems) {
+    const db = await openDatabase();
+    const tx = db.transaction(RECORD_STORES, 'readwrite');
+    records.forEach(record => tx.objectStore(HISTORY_STORE).put(record));
+    images.forEach(image => tx.objectStore(IMAGES_STORE).put(image));
+    if (maxItems) trimStore(tx, maxItems);
+    await transactionDone(tx);
+}
+
+/**
+ * Atomically combine several records into one: the merged record is written without its images
+ * and vector (its text and rich content changed), and every other record is deleted with its own
+ * @param {Array<string>} ids - Record ids
+ * @param {Function} merge - Receives the stored records (missing ones left out) and returns the
+ *   merged record, whose id must be one of them; throwing aborts the transaction
+ * @returns {Promise<{record: object, removed: number}>} Merged record and number of deleted records
+ */
+export async function mergeItems(ids, merge) {
+    const db = await openDatabase();
+    const tx = db.transaction(RECORD_STORES, 'readwrite');
+    const store = tx.objectStore(HISTORY_STORE);
+    const records = [];
+    let pending = ids.length;
+    let record = null;
+    let failure = null;
+
+    ids.forEach(id => {
+        store.get(id).onsuccess = (event) => {
+            if (event.target.result) records.push(event.target.result);
+            if (--pending > 0) return;
+
+            try {
+                record = merge(records);
+                store.put(record);
+                deleteRecordData(tx, record.id);
+                records
+                    .filter(stored => stored.id !== record.id)
+                    .forEach(stored => {
+                        store.delete(stored.id);
+                        deleteRecordData(tx, stored.id);
+                    });
+            } catch (error) {
+                failure = error;
+                tx.abort();
+            }
+        };
+    });
+
+    try {
+        await transactionDone(tx);
+    } catch (error) {
+        throw failure || error;
+    }
+    return { record, removed: records.length - 1 };
+}
+
+/**
+ * Delete all unpinned records older than a cutoff
+ * @param {number} cutoffTime - Timestamp; records strictly older are removed
+ * @returns {Promise<number>} Number of removed records
+ */
+export async function deleteItemsBefore(cutoffTime) {
+    const db = await openDatabase();
+    const tx = db.transaction(RECORD_STORES, 'readwrite');
+    const index = tx.objectStore(HISTORY_STORE).index('timestamp');
+    let removed = 0;
+
+    index.openCursor(IDBKeyRange.upperBound(cutoffTime, true)).onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        if (!cursor.value.pinned) {
+            deleteRecordData(tx, cursor.primaryKey);
+            cursor.delete();
+            removed++;
+        }
+        cursor.continue();
+    };
+
+    await transactionDone(tx);
+    return removed;
+}
+
+/**
+ * Delete every record with its images and vectors, and the semantic model
+ */
+export async function clearItems() {
+    const db = await openDatabase();
+    const tx = db.transaction([...RECORD_STORES, MODELS_STORE], 'readwrite');
+    RECORD_STORES.forEach(name => tx.objectStore(name).clear());
+    tx.objectStore(MODELS_STORE).delete(SEMANTIC_MODEL_KEY);
+    await transactionDone(tx);
+}
+
+/**
+ * Count records
+ * @returns {Promise<number>} Record count
+ */
+export async function countItems() {
+    const db = await openDatabase();
+    return promisifyRequest(db.transaction(HISTORY_STORE).objectStore(HISTORY_STORE).count());
+}
+
+/**
+ * Store image blobs for a record
+ * Skipped when the record was deleted in the meantime, so no orphaned images remain
+ * @param {string} recordId - Owning record id
+ * @param {Array<{id: string, src: string, alt: string, blob: Blob}>} images - Images to store
+ * @returns {Promise<boolean>} False when the record no longer exists
+ */
+export async function putRecordImages(recordId, images) {
+    const db = await openDatabase();
+    const tx = db.transaction([HISTORY_STORE, IMAGES_STORE], 'readwrite');
+    let stored = false;
+
+    tx.objectStore(HISTORY_STORE).getKey(recordId).onsuccess = (event) => {
+        if (event.target.result === undefined) return;
+        const store = tx.objectStore(IMAGES_STORE);
+        images.forEach(image => store.put({ ...image, recordId }));
+        stored = true;
+    };
+
+    await transactionDone(tx);
+    return stored;
+}
+
+/**
+ * Get the image blobs stored for a record
+ * @param {string} recordId - Owning record id
+ * @returns {Promise<Array>} Image entries with blobs
+ */
+export async function getRecordImages(recordId) {
+    const db = await openDatabase();
+    const index = db.transaction(IMAGES_STORE).objectStore(IMAGES_STORE).index('recordId');
+    return promisifyRequest(index.getAll(IDBKeyRange.only(recordId)));
+}
+
+/**
+ * Get the semantic model and all stored record vectors
+ * @returns {Promise<{model: object|null, vectors: Array}>} Model (null before the first fit) and
+ *   { recordId, vector, hash } entries (vector null for records without vocabulary words)
+ */
+export async function getSemanticIndex() {
+    const db = await openDatabase();
+    const tx = db.transaction([MODELS_STORE, EMBEDDINGS_STORE]);
+    const [stored, vectors] = await Promise.all([
+        promisifyRequest(tx.objectStore(MODELS_STORE).get(SEMANTIC_MODEL_KEY)),
+        promisifyRequest(tx.objectStore(EMBEDDINGS_STORE).getAll())
+    ]);
+    return { model: stored?.model || null, vectors };
+}
+
+/**
+ * Store record vectors, optionally replacing the model and every earlier vector
+ * Vectors of records deleted in the meantime are skipped
+ * @param {Array<{recordId: string, vector: Float32Array|null, hash: string}>} vectors - Vectors to store
+ * @param {object} [model] - New model; when given, all previous vectors are dropped first
+ */
+export async function putSemanticVectors(vectors, model) {
+    const db = await openDatabase();
+    const tx = db.transaction([HISTORY_STORE, EMBEDDINGS_STORE, MODELS_STORE], 'readwrite');
+    const embeddings = tx.objectStore(EMBEDDINGS_STORE);
+
+    if (model !== undefined) {
+        embeddings.clear();
+        tx.objectStore(MODELS_STORE).put({ id: SEMANTIC_MODEL_KEY, model });
+    }
+
+    tx.objectStore(HISTORY_STORE).getAllKeys().onsuccess = (event) => {
+        const existingIds = new Set(event.target.result);
+        vectors
+            .filter(entry => existingIds.has(entry.recordId))
+            .forEach(entry => embeddings.put(entry));
+    };
+
+    await transactionDone(tx);
+}
+
+/**
+ * Get all folders
+ * @returns {Promise<Array>} Folder definitions in creation order
+ */
+export async function getAllFolders() {
+    const db = await openDatabase();
+    const folders = await promisifyRequest(db.transaction(FOLDERS_STORE).objectStore(FOLDERS_STORE).getAll());
+    return folders.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Create or replace folders
+ * @param {Array<{id: string, name: string, createdAt: number}>} folders - Folder definitions
+ */
+export async function putFolders(folders) {
+    const db = await openDatabase();
+    const tx = db.transaction(FOLDERS_STORE, 'readwrite');
+    const store = tx.objectStore(FOLDERS_STORE);
+    folders.forEach(folder => store.put(folder));
+    await transactionDone(tx);
+}
+
+/**
+ * Delete a folder and take its records out of it (the records themselves are kept)
+ * @param {string} id - Folder id
+ * @param {Function} unfile - Receives each filed record and returns it without the folder
+ * @returns {Promise<number>} Number of records taken out of the folder
+ */
+export async function deleteFolder(id, unfile) {
+    const db = await openDatabase();
+    const tx = db.transaction([FOLDERS_STORE, HISTORY_STORE], 'readwrite');
+    let unfiled = 0;
+
+    tx.objectStore(FOLDERS_STORE).delete(id);
+    tx.objectStore(HISTORY_STORE).index('folderId').openCursor(IDBKeyRange.only(id)).onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        cursor.update(unfile(cursor.value));
+        unfiled++;
+        cursor.continue();
+    };
+
+    await transactionDone(tx);
+    return unfiled;
+}
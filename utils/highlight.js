@@ -0,0 +1,352 @@
+// utils/highlight.js
+// Syntax highlighting for code previews in the sidebar. Bundled and CSP-compliant: text is
+// split by per-language regex rules into escaped <span class="hl-*"> tokens (no eval, no
+// inline styles, no external scripts). Colors live in sidebar.css
+
+import { classifyText, MIN_CONFIDENCE } from './classifiers.js';
+
+// Display names of the highlighted languages
+export const LANGUAGE_LABELS = {
+    javascript: 'JavaScript',
+    typescript: 'TypeScript',
+    python: 'Python',
+    java: 'Java',
+    c: 'C/C++',
+    go: 'Go',
+    rust: 'Rust',
+    php: 'PHP',
+    ruby: 'Ruby',
+    shell: 'Shell',
+    sql: 'SQL',
+    json: 'JSON',
+    html: 'HTML',
+    css: 'CSS'
+};
+
+// Page language classes (language-*, lang-*, data-lang) and classifier tags -> language
+const LANGUAGE_ALIASES = {
+    js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript', node: 'javascript', 'code-javascript': 'javascript',
+    ts: 'typescript', tsx: 'typescript', 'code-typescript': 'typescript',
+    py: 'python', python3: 'python', 'code-python': 'python',
+    'code-java': 'java',
+    h: 'c', cpp: 'c', 'c++': 'c', cc: 'c', cxx: 'c', hpp: 'c', 'code-c': 'c',
+    golang: 'go', 'code-go': 'go',
+    rs: 'rust', 'code-rust': 'rust',
+    'code-php': 'php',
+    rb: 'ruby', 'code-ruby': 'ruby',
+    sh: 'shell', bash: 'shell', zsh: 'shell', console: 'shell', terminal: 'shell', shellsession: 'shell', 'shell-session': 'shell',
+    mysql: 'sql', postgresql: 'sql', postgres: 'sql', psql: 'sql', sqlite: 'sql', plsql: 'sql',
+    jsonc: 'json', json5: 'json',
+    xml: 'html', svg: 'html', xhtml: 'html', 'code-html': 'html',
+    scss: 'css', less: 'css', 'code-css': 'css'
+};
+
+// Classifier tags that imply code without naming a language
+const CODE_TAGS = ['code', 'json', 'sql', 'shell'];
+
+/**
+ * Resolve a language name or alias
+ * @param {string} name - Page class value, alias or classifier tag
+ * @returns {string|null} Key of LANGUAGE_LABELS, or null when not highlighted
+ */
+export function resolveLanguage(name) {
+    if (!name) return null;
+    const key = String(name).toLowerCase();
+    if (LANGUAGE_LABELS[key]) return key;
+    return LANGUAGE_ALIASES[key] || null;
+}
+
+/**
+ * Language of a code text: the source page's code block class first, then the classifiers
+ * @param {string} text - Record text
+ * @param {string} [hint] - Language captured from the page (record.codeLanguage)
+ * @returns {string|null} Language, or null when the text is not recognized as code
+ */
+export function detectLanguage(text, hint) {
+    const declared = resolveLanguage(hint);
+    if (declared) return declared;
+
+    const detection = classifyText(text)
+        .filter(({ confidence }) => confidence >= MIN_CONFIDENCE)
+        .find(({ tag }) => resolveLanguage(tag));
+    return detection ? resolveLanguage(detection.tag) : null;
+}
+
+/**
+ * Whether a record should be previewed as code
+ * @param {object} record - Clipboard record
+ * @returns {boolean}
+ */
+export function isCodeRecord(record) {
+    return !!resolveLanguage(record.codeLanguage) || record.tags.some(tag => CODE_TAGS.includes(tag));
+}
+
+// ============ Grammars ============
+
+/**
+ * Grammar for a C-like language (identifiers are classified by keyword and literal lists)
+ * @param {object} options
+ * @param {string} options.keywords - Space-separated keywords
+ * @param {string} [options.literals] - Space-separated constants
+ * @param {string} [options.types] - Space-separated built-in type names
+ * @param {string} [options.lineComment] - Line comment start: '//', '#' or '' for none
+ * @param {Array} [options.rules] - Extra [type, RegExp] rules tried before the defaults
+ * @param {boolean} [options.caseInsensitive] - Keywords match in any case (SQL)
+ * @returns {object} Grammar { rules, keywords, literals, types, caseInsensitive }
+ */
+function grammar({ keywords, literals = 'true false null', types = '', lineComment = '//', rules = [], caseInsensitive = false }) {
+    const words = (list) => new Set(list.split(' ').filter(Boolean).map(word => (caseInsensitive ? word.toLowerCase() : word)));
+    return {
+        rules: [
+            ...rules,
+            ...(lineComment ? [['comment', new RegExp(`${lineComment === '#' ? '#' : '\\/\\/'}.*`, 'y')]] : []),
+            ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y],
+            ['string', /"(?:\\.|[^"\\\n])*"?/y],
+            ['string', /'(?:\\.|[^'\\\n])*'?/y],
+            ['number', /(?:0x[\da-f]+|0b[01]+|\d[\d_]*(?:\.\d+)?(?:e[+-]?\d+)?)(?![\w$])/iy],
+            ['word', /[A-Za-z_$][\w$]*/y]
+        ],
+        keywords: words(keywords),
+        literals: words(literals),
+        types: words(types),
+        caseInsensitive
+    };
+}
+
+const JS_KEYWORDS = 'async await break case catch class const continue debugger default delete do else export extends ' +
+    'finally for from function if import in instanceof let new of return static super switch this throw try typeof var void while with yield';
+
+const GRAMMARS = {
+    javascript: grammar({
+        keywords: JS_KEYWORDS,
+        literals: 'true false null undefined NaN Infinity',
+        rules: [['string', /`(?:\\[\s\S]|[^`\\])*`?/y]]
+    }),
+    typescript: grammar({
+        keywords: `${JS_KEYWORDS} interface type enum implements private public protected readonly declare namespace abstract as keyof satisfies`,
+        literals: 'true false null undefined NaN Infinity',
+        types: 'string number boolean any unknown never void object bigint symbol',
+        rules: [['string', /`(?:\\[\s\S]|[^`\\])*`?/y]]
+    }),
+    python: grammar({
+        keywords: 'and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield match case',
+        literals: 'True False None',
+        types: 'int float str bool list dict set tuple bytes object',
+        lineComment: '#',
+        rules: [
+            ['string', /[rbfu]{0,2}"""[\s\S]*?(?:"""|$)/iy],
+            ['string', /[rbfu]{0,2}'''[\s\S]*?(?:'''|$)/iy],
+            ['string', /[rbfu]{1,2}(?:"(?:\\.|[^"\\\n])*"?|'(?:\\.|[^'\\\n])*'?)/iy],
+            ['meta', /@[\w.]+/y]
+        ]
+    }),
+    java: grammar({
+        keywords: 'abstract assert break case catch class continue default do else enum extends final finally for if implements import instanceof interface native new package private protected public return static super switch synchronized this throw throws transient try var volatile while record',
+        types: 'boolean byte char double float int long short void String',
+        rules: [['meta', /@\w+/y]]
+    }),
+    c: grammar({
+        keywords: 'auto break case const continue default do else enum extern for goto if inline register return signed sizeof static struct switch typedef union unsigned volatile while class namespace template typename public private protected virtual new delete using try catch throw constexpr operator friend explicit override final',
+        literals: 'true false NULL nullptr',
+        types: 'bool char double float int long short void size_t string vector auto',
+        rules: [['meta', /#\s*\w+(?:\s*<[^>\n]*>)?/y]]
+    }),
+    go: grammar({
+        keywords: 'break case chan const continue default defer else fallthrough for func go goto if import interface map package range return select struct switch type var',
+        literals: 'true false nil iota',
+        types: 'bool byte error float32 float64 int int32 int64 rune string uint uint8 uint32 uint64 any',
+        rules: [['string', /`[^`]*`?/y]]
+    }),
+    rust: grammar({
+        keywords: 'as async await break const continue crate dyn else enum extern fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait type unsafe use where while',
+        literals: 'true false None Some Ok Err',
+        types: 'bool char f32 f64 i8 i16 i32 i64 i128 isize str u8 u16 u32 u64 u128 usize String Vec Option Result Box',
+        rules: [['function', /[a-z_]\w*!/y], ['meta', /#!?\[[^\]\n]*\]/y], ['type', /'[a-z_]\w*(?!')/y]]
+    }),
+    php: grammar({
+        keywords: 'abstract and array as break case catch class clone const continue declare default do echo else elseif empty endforeach endif enum extends final finally fn for foreach function global if implements include interface isset list match namespace new or print private protected public readonly require require_once return static switch throw trait try unset use var while yield',
+        literals: 'true false null TRUE FALSE NULL',
+        rules: [['meta', /<\?php|\?>/y], ['variable', /\$\w+/y], ['comment', /#.*/y]]
+    }),
+    ruby: grammar({
+        keywords: 'alias and begin break case class def defined do else elsif end ensure for if in module next not or redo rescue retry return self super then undef unless until when while yield require attr_accessor attr_reader',
+        literals: 'true false nil',
+        lineComment: '#',
+        rules: [['variable', /@{1,2}\w+/y], ['literal', /:[A-Za-z_]\w*[?!]?/y]]
+    }),
+    shell: grammar({
+        keywords: 'if then else elif fi for in do done while until case esac function return export local readonly source alias unset',
+        literals: '',
+        lineComment: '',
+        rules: [
+            ['meta', /^[ \t]*(?:[\w.-]+@[\w.-]+(?::[^$#\n]*)?\s*)?[$%](?=[ \t])/my],
+            ['variable', /\$\{[^}\n]*\}?|\$[\w@#?$!*]/y],
+            ['attr', /(?<=\s)--?[A-Za-z][\w-]*/y],
+            ['string', /"(?:\\.|[^"\\])*"?/y],
+            ['comment', /(?<=^|\s)#.*/my],
+            ['word', /[A-Za-z_][\w.-]*/y]
+        ]
+    }),
+    sql: grammar({
+        keywords: 'select from where and or not in is as join inner left right outer full cross on group by order having limit offset insert into values update set delete create table index view drop alter add column primary key foreign references distinct union all case when then else end exists between like with returning default unique constraint asc desc begin commit rollback',
+        literals: 'null true false',
+        types: 'int integer bigint smallint varchar char text boolean date timestamp numeric decimal float real serial json jsonb',
+        caseInsensitive: true,
+        rules: [['comment', /--.*/y]]
+    }),
+    json: {
+        rules: [
+            ['attr', /"(?:\\.|[^"\\\n])*"(?=\s*:)/y],
+            ['string', /"(?:\\.|[^"\\\n])*"?/y],
+            ['number', /-?\d+(?:\.\d+)?(?:e[+-]?\d+)?/iy],
+            ['literal', /\b(?:true|false|null)\b/y]
+        ]
+    },
+    html: {
+        rules: [
+            ['comment', /<!--[\s\S]*?(?:-->|$)/y],
+            ['meta', /<!DOCTYPE[^>]*>/iy],
+            ['element', /<\/?[A-Za-z][\w:-]*(?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"?|'[^']*'?|[^\s>]+))?)*\s*\/?>?/y],
+            ['entity', /&[#\w]+;/y]
+        ]
+    },
+    css: {
+        rules: [
+            ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y],
+            ['keyword', /@[\w-]+/y],
+            ['string', /"(?:\\.|[^"\\\n])*"?|'(?:\\.|[^'\\\n])*'?/y],
+            ['attr', /[\w-]+(?=\s*:[^{;]*[;}\n])/y],
+            ['number', /#[\da-f]{3,8}\b|-?\d*\.?\d+(?:px|em|rem|%|vh|vw|vmin|vmax|s|ms|deg|fr|ch|ex)?\b/iy],
+            ['literal', /!important\b/y]
+        ]
+    }
+};
+
+// ============ Highlighting ============
+
+const escapeMap = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Escape text for HTML (the highlighter also runs on long texts, so no DOM round trip)
+function escape(text) {
+    return text.replace(/[&<>"']/g, char => escapeMap[char]);
+}
+
+function span(type, text) {
+    return `<span class="hl-${type}">${escape(text)}</span>`;
+}
+
+/**
+ * Highlight an HTML/XML tag: name, attribute names and values
+ * @param {string} tag - Complete or partial tag source
+ * @returns {string} Highlighted HTML
+ */
+function highlightElement(tag) {
+    return tag.replace(/^(<\/?)([\w:-]+)|(\s)([^\s"'>/=]+)(?=\s*=|\s|\/?>|$)|("[^"]*"?|'[^']*'?)|([/]?>)$|([^])/g,
+        (match, open, name, space, attribute, value, close, other) => {
+            if (name) return span('tag', open + name);
+            if (attribute) return space + span('attr', attribute);
+            if (value) return span('string', value);
+            if (close) return span('tag', close);
+            return escape(other || match);
+        });
+}
+
+/**
+ * Highlight code as HTML
+ * @param {string} text - Code
+ * @param {string} language - Key of LANGUAGE_LABELS
+ * @returns {string} Escaped HTML with hl-* spans (plain escaped text for unknown languages)
+ */
+export function highlightCode(text, language) {
+    const syntax = GRAMMARS[language];
+    if (!syntax) return escape(text);
+
+    let html = '';
+    let plain = '';
+    let position = 0;
+
+    while (position < text.length) {
+        let token = null;
+        for (const [type, pattern] of syntax.rules) {
+            pattern.lastIndex = position;
+            const match = pattern.exec(text);
+            if (match && match[0]) {
+                token = { type, value: match[0] };
+                break;
+            }
+        }
+
+        if (!token) {
+            plain += text[position++];
+            continue;
+        }
+
+        html += escape(plain);
+        plain = '';
+        html += renderToken(syntax, token, text, position);
+        position += token.value.length;
+    }
+
+    return html + escape(plain);
+}
+
+/**
+ * HTML of one token; words become keywords, literals, types or function names by lookup
+ */
+function renderToken(syntax, { type, value }, text, position) {
+    if (type === 'element') return highlightElement(value);
+    if (type !== 'word') return span(type, value);
+
+    const word = syntax.caseInsensitive ? value.toLowerCase() : value;
+    if (syntax.keywords.has(word)) return span('keyword', value);
+    if (syntax.literals.has(word)) return span('literal', value);
+    if (syntax.types.has(word)) return span('type', value);
+    if (/^\s*\(/.test(text.substring(position + value.length, position + value.length + 20))) {
+        return span('function', value);
+    }
+    return escape(value);
+}
+
+// ============ Clean Copy ============
+
+// Shell prompts ("$ ", "user@host:~$ ", "% ", "PS C:\> ") and Python REPL prompts (">>> ", "... ")
+const PROMPT_PATTERN = /^[ \t]*(?:(?:[\w.-]+@[\w.-]+(?::[^$#\n]*)?\s*)?[$%][ \t]|PS [^>\n]*>[ \t]?|>>>[ \t]?)/;
+const REPL_CONTINUATION_PATTERN = /^[ \t]*\.\.\.(?:[ \t]|$)/;
+const LINE_NUMBER_PATTERN = /^[ \t]*(\d+)(?:[.:|)][ \t]?|[ \t])/;
+
+/**
+ * Remove line numbers and prompts from copied code
+ * - Line numbers are removed when every non-empty line starts with consecutive numbers
+ * - When lines start with prompts, only the commands are kept (output lines are dropped,
+ *   continuation lines after a trailing backslash or REPL "..." are kept)
+ * @param {string} text - Copied code
+ * @returns {string} Runnable code (the text itself when there is nothing to remove)
+ */
+export function stripPrompts(text) {
+    let lines = text.split('\n');
+
+    const numbered = lines.filter(line => line.trim());
+    const numbers = numbered.map(line => line.match(LINE_NUMBER_PATTERN)?.[1]);
+    if (numbered.length >= 2 && numbers.every((number, i) => number && Number(number) === Number(numbers[0]) + i)) {
+        lines = lines.map(line => line.replace(LINE_NUMBER_PATTERN, ''));
+    }
+
+    if (lines.some(line => PROMPT_PATTERN.test(line))) {
+        let continued = false;
+        lines = lines.reduce((commands, line) => {
+            if (PROMPT_PATTERN.test(line)) {
+                commands.push(line.replace(PROMPT_PATTERN, ''));
+            } else if (REPL_CONTINUATION_PATTERN.test(line)) {
+                commands.push(line.replace(REPL_CONTINUATION_PATTERN, ''));
+            } else if (continued) {
+                commands.push(line);
+            } else {
+                return commands;
+            }
+            continued = /\\$/.test(line);
+            return commands;
+        }, []);
+    }
+
+    return lines.join('\n');
+}
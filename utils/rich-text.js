@@ -0,0 +1,415 @@
+// utils/rich-text.js
+// Rich clipboard formats: HTML sanitization and HTML-to-Markdown conversion, plus the
+// lightweight Markdown used in record notes
+// Used by the content script at capture time (via dynamic import) and by the sidebar before rendering
+
+// Elements kept as-is (attributes are filtered separately)
+const ALLOWED_TAGS = new Set([
+    'p', 'br', 'hr', 'div', 'span',
+    'b', 'strong', 'i', 'em', 'u', 's', 'del', 'sub', 'sup', 'mark',
+    'code', 'pre', 'blockquote',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'ul', 'ol', 'li',
+    'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td',
+    'a', 'img'
+]);
+
+// Elements removed together with their content
+const DROPPED_TAGS = new Set([
+    'script', 'style', 'noscript', 'template', 'iframe', 'frame', 'object', 'embed',
+    'svg', 'math', 'canvas', 'video', 'audio', 'form', 'input', 'button', 'select', 'textarea', 'link', 'meta'
+]);
+
+// Allowed attributes per element
+const ALLOWED_ATTRIBUTES = {
+    a: ['href', 'title'],
+    img: ['src', 'alt', 'title'],
+    th: ['colspan', 'rowspan'],
+    td: ['colspan', 'rowspan'],
+    ol: ['start'],
+    code: ['class'],
+    pre: ['class']
+};
+
+const SAFE_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+const SAFE_IMAGE_PROTOCOLS = ['http:', 'https:', 'data:'];
+
+/**
+ * Resolve a URL and keep it only if its protocol is allowed
+ * @returns {string|null} Absolute URL or null
+ */
+function safeUrl(value, baseUrl, protocols) {
+    try {
+        const url = new URL(value, baseUrl);
+        if (!protocols.includes(url.protocol)) return null;
+        if (url.protocol === 'data:' && !/^data:image\/(png|gif|jpe?g|webp);/i.test(url.href)) return null;
+        return url.href;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Filter attributes of an allowed element in place
+ */
+function sanitizeAttributes(element, baseUrl) {
+    const tag = element.tagName.toLowerCase();
+    const allowed = ALLOWED_ATTRIBUTES[tag] || [];
+
+    for (const attr of Array.from(element.attributes)) {
+        const name = attr.name.toLowerCase();
+        if (!allowed.includes(name)) {
+            element.removeAttribute(attr.name);
+            continue;
+        }
+
+        if (name === 'href' || name === 'src') {
+            const url = safeUrl(attr.value, baseUrl, name === 'href' ? SAFE_LINK_PROTOCOLS : SAFE_IMAGE_PROTOCOLS);
+            if (url) {
+                element.setAttribute(name, url);
+            } else {
+                element.removeAttribute(attr.name);
+            }
+        }
+
+        // Only keep language hints on code blocks
+        if (name === 'class') {
+            const languages = attr.value.split(/\s+/).filter(c => /^(language|lang)-[\w+#-]+$/.test(c));
+            if (languages.length > 0) {
+                element.setAttribute('class', languages.join(' '));
+            } else {
+                element.removeAttribute('class');
+            }
+        }
+    }
+}
+
+/**
+ * Recursively sanitize the children of a node in place
+ */
+function sanitizeChildren(parent, baseUrl) {
+    for (const child of Array.from(parent.childNodes)) {
+        if (child.nodeType === Node.TEXT_NODE) continue;
+
+        if (child.nodeType !== Node.ELEMENT_NODE) {
+            child.remove();
+            continue;
+        }
+
+        const tag = child.tagName.toLowerCase();
+        if (DROPPED_TAGS.has(tag)) {
+            child.remove();
+            continue;
+        }
+
+        sanitizeChildren(child, baseUrl);
+
+        if (ALLOWED_TAGS.has(tag)) {
+            sanitizeAttributes(child, baseUrl);
+        } else {
+            // Unknown element: keep its content, drop the wrapper
+            child.replaceWith(...Array.from(child.childNodes));
+        }
+    }
+}
+
+/**
+ * Sanitize HTML to the allow-listed subset
+ * Parsing happens in an inert document, so no script runs and no image loads
+ * @param {string|Node} input - HTML string or DOM node/fragment (e.g. range.cloneContents())
+ * @param {string} [baseUrl] - Base for resolving relative links and images
+ * @returns {string} Sanitized HTML
+ */
+export function sanitizeHtml(input, baseUrl) {
+    const doc = document.implementation.createHTMLDocument('');
+    const container = doc.createElement('div');
+
+    if (typeof input === 'string') {
+        container.innerHTML = input;
+    } else if (input) {
+        container.appendChild(doc.importNode(input, true));
+    }
+
+    sanitizeChildren(container, baseUrl || document.baseURI);
+    return container.innerHTML.trim();
+}
+
+/**
+ * List images in sanitized HTML
+ * @param {string} html - Sanitized HTML
+ * @returns {Array<{src: string, alt: string}>} Images in document order
+ */
+export function extractImages(html) {
+    const doc = document.implementation.createHTMLDocument('');
+    const container = doc.createElement('div');
+    container.innerHTML = html;
+
+    return Array.from(container.querySelectorAll('img[src]')).map(img => ({
+        src: img.getAttribute('src'),
+        alt: img.getAttribute('alt') || ''
+    }));
+}
+
+// ============ Markdown Conversion ============
+
+/**
+ * Escape characters with Markdown meaning in inline text
+ */
+function escapeMarkdown(text) {
+    return text.replace(/([\\`*_[\]])/g, '\\$1');
+}
+
+/**
+ * Collapse whitespace the way HTML rendering does
+ */
+function collapseWhitespace(text) {
+    return text.replace(/\s+/g, ' ');
+}
+
+/**
+ * Convert inline content of a node to Markdown
+ */
+function inlineToMarkdown(node) {
+    let result = '';
+    node.childNodes.forEach(child => {
+        result += nodeToMarkdown(child, 0);
+    });
+    return result;
+}
+
+/**
+ * Convert a list element to Markdown lines
+ */
+function listToMarkdown(list, depth) {
+    const ordered = list.tagName.toLowerCase() === 'ol';
+    let counter = parseInt(list.getAttribute('start') || '1', 10);
+    const indent = '  '.repeat(depth);
+    let result = '';
+
+    Array.from(list.children).forEach(li => {
+        if (li.tagName.toLowerCase() !== 'li') return;
+        const marker = ordered ? `${counter++}.` : '-';
+
+        let text = '';
+        let nested = '';
+        li.childNodes.forEach(child => {
+            const tag = child.nodeType === Node.ELEMENT_NODE ? child.tagName.toLowerCase() : '';
+            if (tag === 'ul' || tag === 'ol') {
+                nested += listToMarkdown(child, depth + 1);
+            } else {
+                text += nodeToMarkdown(child, depth);
+            }
+        });
+
+        result += `${indent}${marker} ${text.trim()}\n${nested}`;
+    });
+
+    return depth === 0 ? `\n${result}\n` : result;
+}
+
+/**
+ * Convert a table element to a GFM table
+ */
+function tableToMarkdown(table) {
+    const rows = Array.from(table.querySelectorAll('tr')).map(tr =>
+        Array.from(tr.children).map(cell => inlineToMarkdown(cell).trim().replace(/\|/g, '\\|').replace(/\n+/g, ' '))
+    );
+    if (rows.length === 0) return '';
+
+    const columnCount = Math.max(...rows.map(row => row.length));
+    const pad = row => [...row, ...Array(columnCount - row.length).fill('')];
+    const lines = [
+        `| ${pad(rows[0]).join(' | ')} |`,
+        `| ${Array(columnCount).fill('---').join(' | ')} |`,
+        ...rows.slice(1).map(row => `| ${pad(row).join(' | ')} |`)
+    ];
+
+    return `\n\n${lines.join('\n')}\n\n`;
+}
+
+/**
+ * Convert a single node to Markdown
+ */
+function nodeToMarkdown(node, depth) {
+    if (node.nodeType === Node.TEXT_NODE) {
+        return escapeMarkdown(collapseWhitespace(node.textContent));
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+    const tag = node.tagName.toLowerCase();
+
+    switch (tag) {
+        case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6':
+            return `\n\n${'#'.repeat(Number(tag[1]))} ${inlineToMarkdown(node).trim()}\n\n`;
+        case 'p':
+        case 'div':
+            return `\n\n${inlineToMarkdown(node).trim()}\n\n`;
+        case 'br':
+            return '  \n';
+        case 'hr':
+            return '\n\n---\n\n';
+        case 'strong':
+        case 'b': {
+            const text = inlineToMarkdown(node).trim();
+            return text ? `**${text}**` : '';
+        }
+        case 'em':
+        case 'i': {
+            const text = inlineToMarkdown(node).trim();
+            return text ? `*${text}*` : '';
+        }
+        case 's':
+        case 'del': {
+            const text = inlineToMarkdown(node).trim();
+            return text ? `~~${text}~~` : '';
+        }
+        case 'code': {
+            const text = node.textContent;
+            const fence = text.includes('`') ? '``' : '`';
+            return `${fence}${text}${fence}`;
+        }
+        case 'pre': {
+            const codeEl = node.querySelector('code');
+            const className = (codeEl || node).getAttribute('class') || '';
+            const language = (className.match(/(?:language|lang)-([\w+#-]+)/) || [])[1] || '';
+            return `\n\n\`\`\`${language}\n${node.textContent.replace(/\n$/, '')}\n\`\`\`\n\n`;
+        }
+        case 'blockquote': {
+            const inner = inlineToMarkdown(node).trim().replace(/\n{3,}/g, '\n\n');
+            return `\n\n${inner.split('\n').map(line => `> ${line}`).join('\n')}\n\n`;
+        }
+        case 'a': {
+            const text = inlineToMarkdown(node).trim();
+            const href = node.getAttribute('href');
+            if (!href) return text;
+            return `[${text || href}](${href})`;
+        }
+        case 'img': {
+            const src = node.getAttribute('src');
+            return src ? `![${escapeMarkdown(node.getAttribute('alt') || '')}](${src})` : '';
+        }
+        case 'ul':
+        case 'ol':
+            return listToMarkdown(node, depth);
+        case 'table':
+            return tableToMarkdown(node);
+        default:
+            return inlineToMarkdown(node);
+    }
+}
+
+/**
+ * Convert sanitized HTML to Markdown
+ * @param {string} html - Sanitized HTML (see sanitizeHtml)
+ * @returns {string} Markdown text
+ */
+export function htmlToMarkdown(html) {
+    const doc = document.implementation.createHTMLDocument('');
+    const container = doc.createElement('div');
+    container.innerHTML = html;
+
+    return inlineToMarkdown(container)
+        .replace(/[ \t]+\n/g, match => (match.startsWith('  ') ? '  \n' : '\n'))
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// ============ Note Markdown ============
+
+// Inline code, [text](url) links and bare web addresses; emphasis is applied between them
+const INLINE_TOKEN = /`([^`\n]+)`|\[([^\]\n]+)\]\(([^)\s]+)\)|(https?:\/\/[^\s<]*[^\s<.,;:!?)\]'"])/g;
+
+/**
+ * Escape text for HTML markup and attribute values
+ */
+function escapeText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Convert **bold**, *italic*, _italic_ and ~~strikethrough~~ in escaped text
+ */
+function emphasisToHtml(html) {
+    return html
+        .replace(/\*\*(?=\S)(.+?)(?<=\S)\*\*/g, '<strong>$1</strong>')
+        .replace(/\*(?=\S)(.+?)(?<=\S)\*/g, '<em>$1</em>')
+        .replace(/(^|[^\p{L}\p{N}_])_(?=\S)(.+?)(?<=\S)_(?![\p{L}\p{N}_])/gu, '$1<em>$2</em>')
+        .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, '<del>$1</del>');
+}
+
+/**
+ * Convert one line of note Markdown to HTML
+ */
+function inlineMarkdownToHtml(text) {
+    let html = '';
+    let last = 0;
+
+    for (const match of text.matchAll(INLINE_TOKEN)) {
+        html += emphasisToHtml(escapeText(text.slice(last, match.index)));
+        if (match[1] !== undefined) {
+            html += `<code>${escapeText(match[1])}</code>`;
+        } else if (match[2] !== undefined) {
+            html += `<a href="${escapeText(match[3])}">${emphasisToHtml(escapeText(match[2]))}</a>`;
+        } else {
+            html += `<a href="${escapeText(match[4])}">${escapeText(match[4])}</a>`;
+        }
+        last = match.index + match[0].length;
+    }
+
+    return html + emphasisToHtml(escapeText(text.slice(last)));
+}
+
+/**
+ * Convert the lightweight Markdown of a note to HTML
+ * Supports paragraphs (single line breaks kept), - and 1. lists, > quotes, inline code, links,
+ * bold, italic and strikethrough. The result still goes through sanitizeHtml before rendering
+ * @param {string} markdown - Note text
+ * @returns {string} HTML
+ */
+export function markdownToHtml(markdown) {
+    const blocks = [];
+    let paragraph = [];
+    let quote = [];
+    let list = null;
+
+    const flush = () => {
+        if (paragraph.length > 0) {
+            blocks.push(`<p>${paragraph.map(inlineMarkdownToHtml).join('<br>')}</p>`);
+            paragraph = [];
+        }
+        if (quote.length > 0) {
+            blocks.push(`<blockquote>${quote.map(inlineMarkdownToHtml).join('<br>')}</blockquote>`);
+            quote = [];
+        }
+        if (list) {
+            const start = list.tag === 'ol' && list.start !== 1 ? ` start="${list.start}"` : '';
+            blocks.push(`<${list.tag}${start}>${list.items.map(item => `<li>${inlineMarkdownToHtml(item)}</li>`).join('')}</${list.tag}>`);
+            list = null;
+        }
+    };
+
+    (markdown || '').split(/\r?\n/).forEach(line => {
+        const listItem = /^\s*(?:[-*+]|(\d{1,9})[.)])\s+(.*)$/.exec(line);
+        const quoted = /^\s*>\s?(.*)$/.exec(line);
+
+        if (!line.trim()) {
+            flush();
+        } else if (listItem) {
+            const tag = listItem[1] ? 'ol' : 'ul';
+            if (list?.tag !== tag) {
+                flush();
+                list = { tag, start: Number(listItem[1]) || 1, items: [] };
+            }
+            list.items.push(listItem[2]);
+        } else if (quoted) {
+            if (paragraph.length > 0 || list) flush();
+            quote.push(quoted[1]);
+        } else {
+            if (quote.length > 0 || list) flush();
+            paragraph.push(line);
+        }
+    });
+    flush();
+
+    return blocks.join('');
+}
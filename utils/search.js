@@ -0,0 +1,380 @@
+// utils/search.js
+// Full-text search over clipboard records: an inverted index with BM25 ranking, phrase
+// queries, field operators (site:, tag:, title:, before:, after:) and negation
+//
+// Query syntax:
+//   word            records containing the word (prefix match, so results update while typing)
+//   "two words"     exact phrase in the text, note or page title
+//   -word -"a b"    exclude records containing the word or phrase
+//   site:host       records from host or its subdomains (site:host/path for a path prefix)
+//   tag:code        records with the tag
+//   title:word      page title contains the word (title:"a b" for a phrase)
+//   before:date     captured before the day (YYYY-MM-DD, YYYY-MM, today, yesterday)
+//   after:date      captured on or after the day
+// Any operator can be negated with a leading minus
+
+// Runs of CJK characters are indexed as overlapping character pairs (no spaces between words)
+const CJK_RUN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+/gu;
+const WORD = /[\p{L}\p{N}]+/gu;
+
+const OPERATORS = ['site', 'tag', 'title', 'before', 'after'];
+const QUERY_PART = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+// Field weights for ranking: title words count more than body and note words, URL words less
+const FIELD_WEIGHTS = { text: 1, note: 1, title: 2, url: 0.5, tags: 1 };
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Score factor for a query term that only matches the start of an indexed word
+const PREFIX_MATCH_FACTOR = 0.6;
+
+/**
+ * Lowercase text and strip diacritics
+ * @param {string} text - Original text
+ * @returns {string} Normalized text
+ */
+function normalize(text) {
+    return (text || '').normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Split text into index tokens: words, and character pairs inside CJK runs
+ * @param {string} text - Original text
+ * @returns {string[]} Tokens in text order
+ */
+export function tokenize(text) {
+    const spaced = normalize(text).replace(CJK_RUN, (run) => {
+        if (run.length === 1) return ` ${run} `;
+        const pairs = [];
+        for (let i = 0; i < run.length - 1; i++) pairs.push(run.substring(i, i + 2));
+        return ` ${pairs.join(' ')} `;
+    });
+    return spaced.match(WORD) || [];
+}
+
+/**
+ * Parse a date operator value to a local day start
+ * @param {string} value - YYYY-MM-DD, YYYY-MM, YYYY, today or yesterday
+ * @returns {number|null} Timestamp, or null when not a date
+ */
+function parseDay(value) {
+    const today = new Date().setHours(0, 0, 0, 0);
+    if (value === 'today') return today;
+    if (value === 'yesterday') return new Date(today - 86400000).setHours(0, 0, 0, 0);
+
+    const match = value.match(/^(\d{4})(?:[-/](\d{1,2})(?:[-/](\d{1,2}))?)?$/);
+    if (!match) return null;
+    return new Date(Number(match[1]), Number(match[2] || 1) - 1, Number(match[3] || 1)).getTime();
+}
+
+/**
+ * Parse a search query
+ * @param {string} query - Raw query
+ * @returns {object} { terms, phrases, excluded: { terms, phrases }, filters: [{ field, value, negated }], raw }
+ *   Terms and phrases hold tokens; raw keeps the typed words for highlighting
+ */
+export function parseQuery(query) {
+    const parsed = {
+        terms: [],
+        phrases: [],
+        excluded: { terms: [], phrases: [] },
+        filters: [],
+        raw: { terms: [], phrases: [] }
+    };
+
+    for (const match of (query || '').matchAll(QUERY_PART)) {
+        const negated = match[1] === '-';
+        const operator = match[2]?.toLowerCase();
+        const isPhrase = match[3] !== undefined;
+        const value = isPhrase ? match[3] : match[4] || '';
+
+        if (operator && OPERATORS.includes(operator)) {
+            if (!value) continue;
+            if (operator === 'before' || operator === 'after') {
+                const day = parseDay(value.toLowerCase());
+                if (day !== null) {
+                    parsed.filters.push({ field: operator, value: day, negated });
+                    continue;
+                }
+            } else {
+                const filterValue = operator === 'title' ? tokenize(value) : normalize(value).replace(/^www\./, '');
+                if (filterValue.length) {
+                    parsed.filters.push({ field: operator, value: filterValue, phrase: isPhrase, negated });
+                }
+                continue;
+            }
+        }
+
+        // Plain text (including unknown "word:" prefixes such as URLs)
+        const text = operator && !OPERATORS.includes(operator) ? match[0].replace(/^-/, '') : value;
+        const tokens = tokenize(text);
+        if (tokens.length === 0) continue;
+
+        if (isPhrase && !operator) {
+            (negated ? parsed.excluded.phrases : parsed.phrases).push(tokens);
+            if (!negated) parsed.raw.phrases.push(value);
+        } else if (negated) {
+            parsed.excluded.terms.push(...tokens);
+        } else {
+            parsed.terms.push(...tokens);
+            parsed.raw.terms.push(text);
+        }
+    }
+
+    return parsed;
+}
+
+/**
+ * Whether a parsed query has words or phrases to rank by (not only operators)
+ * @param {object} parsed - Result of parseQuery
+ * @returns {boolean}
+ */
+export function hasTextQuery(parsed) {
+    return parsed.terms.length > 0 || parsed.phrases.length > 0;
+}
+
+/**
+ * Build a pattern that finds the query's words and phrases in displayed text
+ * @param {object} parsed - Result of parseQuery
+ * @returns {RegExp|null} Global pattern, or null when there is nothing to highlight
+ */
+export function getHighlightPattern(parsed) {
+    const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const wordStart = (word) => (/^[\p{L}\p{N}]/u.test(word) && !/^[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u.test(word)
+        ? `(?<![\\p{L}\\p{N}])${escape(word)}`
+        : escape(word));
+
+    const words = parsed.raw.terms.flatMap(term => term.match(WORD) || []);
+    const phrases = parsed.raw.phrases
+        .map(phrase => (phrase.match(WORD) || []).map(escape).join('[^\\p{L}\\p{N}]+'))
+        .filter(Boolean);
+    const alternatives = [...phrases, ...words.map(wordStart)].sort((a, b) => b.length - a.length);
+
+    return alternatives.length ? new RegExp(alternatives.join('|'), 'giu') : null;
+}
+
+/**
+ * Host name of a record URL without www.
+ * @param {string} url - Record URL
+ * @returns {string} Host, or '' for unparsable URLs
+ */
+function getHost(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '');
+    } catch (e) {
+        return '';
+    }
+}
+
+/**
+ * Whether a URL belongs to a site: the host or a subdomain of it, or a path prefix
+ * when the site includes a path (as in the site: operator)
+ * @param {string} url - Record URL
+ * @param {string} site - Lowercase host without www., optionally followed by a path
+ * @returns {boolean}
+ */
+export function matchesSite(url, site) {
+    if (site.includes('/')) {
+        return url.replace(/^[a-z]+:\/\/(www\.)?/i, '').toLowerCase().startsWith(site);
+    }
+    const host = getHost(url);
+    return host === site || host.endsWith('.' + site);
+}
+
+/**
+ * Whether a token sequence occurs in a space-joined token string
+ * @param {string} joined - ' ' + tokens.join(' ') + ' '
+ * @param {string[]} tokens - Phrase tokens
+ * @returns {boolean}
+ */
+function containsSequence(joined, tokens) {
+    return joined.includes(` ${tokens.join(' ')} `);
+}
+
+/**
+ * Create an empty search index
+ * Keep it current with sync(records) after every history change; search(query) then
+ * answers from the index without scanning record text
+ * @returns {{ sync: Function, search: Function }}
+ */
+export function createSearchIndex() {
+    // token -> Map(record id -> weighted term frequency)
+    const postings = new Map();
+    // record id -> indexed document
+    const docs = new Map();
+    let totalLength = 0;
+
+    const fieldsOf = (record) => ({
+        text: tokenize(record.text),
+        note: tokenize(record.note),
+        title: tokenize(record.pageTitle),
+        url: tokenize(record.url),
+        tags: (record.tags || []).map(normalize)
+    });
+
+    const addDoc = (record) => {
+        const fields = fieldsOf(record);
+        const frequencies = new Map();
+        let length = 0;
+
+        Object.entries(fields).forEach(([field, tokens]) => {
+            const weight = FIELD_WEIGHTS[field];
+            tokens.forEach(token => {
+                frequencies.set(token, (frequencies.get(token) || 0) + weight);
+            });
+            length += tokens.length * weight;
+        });
+
+        frequencies.forEach((frequency, token) => {
+            if (!postings.has(token)) postings.set(token, new Map());
+            postings.get(token).set(record.id, frequency);
+        });
+
+        docs.set(record.id, {
+            record,
+            tokens: Array.from(frequencies.keys()),
+            length,
+            text: ` ${fields.text.join(' ')} `,
+            note: ` ${fields.note.join(' ')} `,
+            title: ` ${fields.title.join(' ')} `,
+            titleTokens: fields.title
+        });
+        totalLength += length;
+    };
+
+    const removeDoc = (id) => {
+        const doc = docs.get(id);
+        if (!doc) return;
+        doc.tokens.forEach(token => {
+            const posting = postings.get(token);
+            posting.delete(id);
+            if (posting.size === 0) postings.delete(token);
+        });
+        totalLength -= doc.length;
+        docs.delete(id);
+    };
+
+    // Indexed fields unchanged since the record was indexed
+    const isCurrent = (doc, record) =>
+        doc.record.text === record.text &&
+        doc.record.note === record.note &&
+        doc.record.pageTitle === record.pageTitle &&
+        doc.record.url === record.url &&
+        (doc.record.tags || []).join(',') === (record.tags || []).join(',');
+
+    /**
+     * Bring the index in line with the current records (only changed records are re-indexed)
+     * @param {Array} records - All records
+     */
+    function sync(records) {
+        const ids = new Set(records.map(record => record.id));
+        Array.from(docs.keys())
+            .filter(id => !ids.has(id))
+            .forEach(removeDoc);
+
+        records.forEach(record => {
+            const doc = docs.get(record.id);
+            if (doc && isCurrent(doc, record)) {
+                doc.record = record;
+                return;
+            }
+            removeDoc(record.id);
+            addDoc(record);
+        });
+    }
+
+    // BM25 score of one token for each record containing it
+    const scoreToken = (token, factor, into) => {
+        const posting = postings.get(token);
+        if (!posting) return;
+        const idf = Math.log(1 + (docs.size - posting.size + 0.5) / (posting.size + 0.5));
+        const averageLength = totalLength / docs.size || 1;
+        posting.forEach((frequency, id) => {
+            const length = docs.get(id).length;
+            const score = factor * idf * (frequency * (K1 + 1)) /
+                (frequency + K1 * (1 - B + B * length / averageLength));
+            into.set(id, Math.max(into.get(id) || 0, score));
+        });
+    };
+
+    // Scores of records matching a query term exactly or by prefix
+    const matchTerm = (term) => {
+        const scores = new Map();
+        scoreToken(term, 1, scores);
+        if (term.length >= 2) {
+            postings.forEach((posting, token) => {
+                if (token !== term && token.startsWith(term)) scoreToken(token, PREFIX_MATCH_FACTOR, scores);
+            });
+        }
+        return scores;
+    };
+
+    const matchesFilter = (doc, { field, value, phrase }) => {
+        switch (field) {
+            case 'site':
+                return matchesSite(doc.record.url, value);
+            case 'tag':
+                return (doc.record.tags || []).some(tag => normalize(tag) === value);
+            case 'title':
+                return phrase
+                    ? containsSequence(doc.title, value)
+                    : value.every(token => doc.titleTokens.some(titleToken => titleToken.startsWith(token)));
+            case 'before':
+                return doc.record.timestamp < value;
+            case 'after':
+                return doc.record.timestamp >= value;
+            default:
+                return true;
+        }
+    };
+
+    const matchesPhrase = (doc, tokens) =>
+        containsSequence(doc.text, tokens) || containsSequence(doc.note, tokens) || containsSequence(doc.title, tokens);
+
+    /**
+     * Find records matching a query
+     * @param {object} parsed - Result of parseQuery
+     * @returns {Map<string, number>} Matching record ids with relevance scores (0 for
+     *   operator-only queries)
+     */
+    function search(parsed) {
+        let candidates = null;
+        const scores = new Map();
+
+        // Every term must match; its best-scoring form counts
+        for (const term of parsed.terms) {
+            const termScores = matchTerm(term);
+            candidates = candidates
+                ? new Set(Array.from(candidates).filter(id => termScores.has(id)))
+                : new Set(termScores.keys());
+            termScores.forEach((score, id) => scores.set(id, (scores.get(id) || 0) + score));
+        }
+
+        // Phrases: every token must be indexed for the record, then the sequence is checked
+        for (const tokens of parsed.phrases) {
+            const phraseScores = new Map();
+            tokens.forEach(token => scoreToken(token, 1, phraseScores));
+            const matching = Array.from(phraseScores.keys())
+                .filter(id => tokens.every(token => postings.get(token)?.has(id)))
+                .filter(id => matchesPhrase(docs.get(id), tokens));
+            candidates = candidates
+                ? new Set(matching.filter(id => candidates.has(id)))
+                : new Set(matching);
+            matching.forEach(id => scores.set(id, (scores.get(id) || 0) + phraseScores.get(id) * tokens.length));
+        }
+
+        const result = new Map();
+        Array.from(candidates || docs.keys()).forEach(id => {
+            const doc = docs.get(id);
+            if (!parsed.filters.every(filter => matchesFilter(doc, filter) !== filter.negated)) return;
+            if (parsed.excluded.terms.some(term => postings.get(term)?.has(id))) return;
+            if (parsed.excluded.phrases.some(tokens => matchesPhrase(doc, tokens))) return;
+            result.set(id, scores.get(id) || 0);
+        });
+        return result;
+    }
+
+    return { sync, search };
+}
@@ -0,0 +1,269 @@
+// utils/semantic.js
+// On-device semantic vectors for clipboard records: TF-IDF weighted words projected onto
+// latent topics (LSA). The topics are fitted from the records themselves with a
+// randomized truncated SVD, so similar texts land close together even when they share
+// few exact words. Nothing leaves the browser
+//
+// Fitting runs in sidebar/semantic-worker.js; embedding a query is cheap enough for the page
+
+import { tokenize } from './search.js';
+
+// Bump when the vector format changes; stored models of another version are refitted
+export const MODEL_VERSION = 1;
+
+// Vocabulary size, latent dimensions and oversampling for the randomized SVD
+const MAX_VOCABULARY = 4000;
+const DIMENSIONS = 64;
+const OVERSAMPLING = 8;
+const POWER_ITERATIONS = 3;
+
+// Words this common in English carry no topic
+const STOP_WORDS = new Set((
+    'a about above after again against all am an and any are as at be because been before being ' +
+    'below between both but by can could did do does doing down during each few for from further ' +
+    'had has have having he her here hers herself him himself his how i if in into is it its itself ' +
+    'just me more most my myself no nor not now of off on once only or other our ours ourselves out ' +
+    'over own same she should so some such than that the their theirs them themselves then there ' +
+    'these they this those through to too under until up very was we were what when where which ' +
+    'while who whom why will with would you your yours yourself yourselves'
+).split(' '));
+
+/**
+ * Index terms of a text: tokens without stop words and one-character Latin words
+ * @param {string} text - Original text
+ * @returns {string[]} Terms
+ */
+function getTerms(text) {
+    return tokenize(text).filter(token => !STOP_WORDS.has(token) && (token.length > 1 || /[^\x00-\x7f]/.test(token)));
+}
+
+/**
+ * Text of a record used for its vector (page title included for context, and the note if any)
+ * @param {object} record - Clipboard record
+ * @returns {string} Text to embed
+ */
+export function getRecordText(record) {
+    const text = `${record.pageTitle || ''}\n${record.text}`;
+    return record.note ? `${text}\n${record.note}` : text;
+}
+
+/**
+ * Sparse TF-IDF row of a text (sublinear term frequency, unit length)
+ * @param {Map<string, number>} vocabulary - Term -> column
+ * @param {Float32Array} idf - Inverse document frequency per column
+ * @param {string} text - Text
+ * @returns {Array<[number, number]>} [column, weight] pairs
+ */
+function tfidfRow(vocabulary, idf, text) {
+    const counts = new Map();
+    getTerms(text).forEach(term => {
+        const column = vocabulary.get(term);
+        if (column !== undefined) counts.set(column, (counts.get(column) || 0) + 1);
+    });
+
+    const row = Array.from(counts, ([column, count]) => [column, (1 + Math.log(count)) * idf[column]]);
+    const norm = Math.hypot(...row.map(([, weight]) => weight)) || 1;
+    return row.map(([column, weight]) => [column, weight / norm]);
+}
+
+/**
+ * Orthonormalize the columns of a dense matrix in place (modified Gram-Schmidt)
+ * @param {Float64Array[]} columns - Column vectors
+ */
+function orthonormalize(columns) {
+    columns.forEach((column, i) => {
+        for (let j = 0; j < i; j++) {
+            let dot = 0;
+            for (let r = 0; r < column.length; r++) dot += column[r] * columns[j][r];
+            for (let r = 0; r < column.length; r++) column[r] -= dot * columns[j][r];
+        }
+        let norm = 0;
+        for (let r = 0; r < column.length; r++) norm += column[r] * column[r];
+        norm = Math.sqrt(norm) || 1;
+        for (let r = 0; r < column.length; r++) column[r] /= norm;
+    });
+}
+
+/**
+ * Eigen-decompose a small symmetric matrix (cyclic Jacobi rotations)
+ * @param {Float64Array[]} matrix - Symmetric matrix rows (modified in place)
+ * @returns {{ values: number[], vectors: Float64Array[] }} Eigenvalues and eigenvector columns
+ */
+function symmetricEigen(matrix) {
+    const n = matrix.length;
+    const vectors = Array.from({ length: n }, (_, i) => {
+        const column = new Float64Array(n);
+        column[i] = 1;
+        return column;
+    });
+
+    for (let sweep = 0; sweep < 50; sweep++) {
+        let offDiagonal = 0;
+        for (let p = 0; p < n; p++) {
+            for (let q = p + 1; q < n; q++) offDiagonal += matrix[p][q] * matrix[p][q];
+        }
+        if (offDiagonal < 1e-18) break;
+
+        for (let p = 0; p < n; p++) {
+            for (let q = p + 1; q < n; q++) {
+                if (Math.abs(matrix[p][q]) < 1e-15) continue;
+                const theta = (matrix[q][q] - matrix[p][p]) / (2 * matrix[p][q]);
+                const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1);
+                const s = t * c;
+
+                for (let k = 0; k < n; k++) {
+                    const kp = matrix[k][p];
+                    const kq = matrix[k][q];
+                    matrix[k][p] = c * kp - s * kq;
+                    matrix[k][q] = s * kp + c * kq;
+                }
+                for (let k = 0; k < n; k++) {
+                    const pk = matrix[p][k];
+                    const qk = matrix[q][k];
+                    matrix[p][k] = c * pk - s * qk;
+                    matrix[q][k] = s * pk + c * qk;
+                }
+                for (let k = 0; k < n; k++) {
+                    const vp = vectors[p][k];
+                    const vq = vectors[q][k];
+                    vectors[p][k] = c * vp - s * vq;
+                    vectors[q][k] = s * vp + c * vq;
+                }
+            }
+        }
+    }
+
+    return { values: matrix.map((row, i) => row[i]), vectors };
+}
+
+/**
+ * Fit an LSA model to a set of texts
+ * @param {string[]} texts - Texts of all records
+ * @returns {object|null} Model { version, vocabulary, idf, components, dimensions, documentCount, fittedAt },
+ *   or null when the texts share too few words to find topics
+ */
+export function fitModel(texts) {
+    const termRows = texts.map(text => new Set(getTerms(text)));
+
+    // Vocabulary: terms in at least two texts (or all terms for tiny histories), most common first
+    const documentFrequency = new Map();
+    termRows.forEach(terms => terms.forEach(term => {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }));
+    const minFrequency = texts.length >= 20 ? 2 : 1;
+    const terms = Array.from(documentFrequency)
+        .filter(([, frequency]) => frequency >= minFrequency && frequency < texts.length)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, MAX_VOCABULARY)
+        .map(([term]) => term);
+    if (terms.length < 2) return null;
+
+    const vocabulary = new Map(terms.map((term, column) => [term, column]));
+    const idf = Float32Array.from(terms, term => Math.log(texts.length / documentFrequency.get(term)) + 1);
+    const rows = texts.map(text => tfidfRow(vocabulary, idf, text));
+
+    // Randomized range finder for the top right singular vectors of the TF-IDF matrix
+    const width = Math.min(DIMENSIONS + OVERSAMPLING, terms.length, texts.length);
+    const basis = Array.from({ length: width }, () => Float64Array.from(terms, () => Math.random() - 0.5));
+    orthonormalize(basis);
+
+    const multiply = (columns) => {
+        // X^T X columns, one pass over the sparse rows
+        const result = columns.map(() => new Float64Array(terms.length));
+        rows.forEach(row => {
+            columns.forEach((column, c) => {
+                let dot = 0;
+                row.forEach(([index, weight]) => { dot += weight * column[index]; });
+                if (dot !== 0) row.forEach(([index, weight]) => { result[c][index] += weight * dot; });
+            });
+        });
+        return result;
+    };
+
+    let range = basis;
+    for (let i = 0; i < POWER_ITERATIONS; i++) {
+        range = multiply(range);
+        orthonormalize(range);
+    }
+
+    // Project X^T X onto the range and diagonalize the small matrix
+    const projected = multiply(range);
+    const small = range.map(a => Float64Array.from(projected, b => {
+        let dot = 0;
+        for (let r = 0; r < a.length; r++) dot += a[r] * b[r];
+        return dot;
+    }));
+    const { values, vectors } = symmetricEigen(small);
+
+    const order = values.map((value, i) => [value, i])
+        .sort((a, b) => b[0] - a[0])
+        .slice(0, Math.min(DIMENSIONS, width))
+        .map(([, i]) => i);
+
+    // Components: dimensions x vocabulary, row-major
+    const components = new Float32Array(order.length * terms.length);
+    order.forEach((eigenIndex, dimension) => {
+        for (let r = 0; r < width; r++) {
+            const factor = vectors[eigenIndex][r];
+            if (factor === 0) continue;
+            for (let column = 0; column < terms.length; column++) {
+                components[dimension * terms.length + column] += factor * range[r][column];
+            }
+        }
+    });
+
+    return {
+        version: MODEL_VERSION,
+        vocabulary: terms,
+        idf,
+        components,
+        dimensions: order.length,
+        documentCount: texts.length,
+        fittedAt: Date.now()
+    };
+}
+
+/**
+ * Prepare a stored model for embedding (term lookup table)
+ * @param {object} model - Result of fitModel
+ * @returns {object} Model with a vocabulary Map under lookup
+ */
+export function loadModel(model) {
+    return { ...model, lookup: new Map(model.vocabulary.map((term, column) => [term, column])) };
+}
+
+/**
+ * Project a text onto the model's latent topics
+ * @param {object} model - Result of loadModel
+ * @param {string} text - Text to embed
+ * @returns {Float32Array|null} Unit-length vector, or null when no vocabulary word occurs
+ */
+export function embedText(model, text) {
+    const row = tfidfRow(model.lookup, model.idf, text);
+    if (row.length === 0) return null;
+
+    const size = model.vocabulary.length;
+    const vector = new Float32Array(model.dimensions);
+    for (let dimension = 0; dimension < model.dimensions; dimension++) {
+        let sum = 0;
+        row.forEach(([column, weight]) => { sum += weight * model.components[dimension * size + column]; });
+        vector[dimension] = sum;
+    }
+
+    const norm = Math.hypot(...vector);
+    if (!norm) return null;
+    return vector.map(value => value / norm);
+}
+
+/**
+ * Cosine similarity of two unit-length vectors
+ * @param {Float32Array} a - First vector
+ * @param {Float32Array} b - Second vector
+ * @returns {number} Similarity in [-1, 1]
+ */
+export function cosineSimilarity(a, b) {
+    let dot = 0;
+    for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+    return dot;
+}
@@ -1,55 +1,971 @@
 // utils/storage.js
-// Storage utility functions
+// History repository: the only module that reads or writes clipboard records and settings
+// Records are validated and upgraded to the current schema here, and every mutation is
+// published as a HISTORY_UPDATED change event
 
-const STORAGE_KEY = 'clipboardHistory';
-const MAX_ITEMS = 1000;
+import * as db from './db.js';
+import { generateId, normalizeTag, hashText } from './common.js';
+import { extractTags } from './classifiers.js';
+import { getPageKey } from './url-normalize.js';
+import { normalizeCollection } from './collections.js';
+
+// Current record schema version (stored on each record as schemaVersion)
+export const SCHEMA_VERSION = 9;
+
+// How a record was captured: copy event, cut event, or a page's navigator.clipboard write
+export const CAPTURE_METHODS = ['copy', 'cut', 'api-write'];
+
+// Maximum number of records kept (pinned records are never trimmed)
+export const MAX_ITEMS = 10000;
+
+// Result of the last source link check: text still there, text missing or altered,
+// page redirected elsewhere, or page removed
+export const LINK_HEALTH_STATUSES = ['intact', 'changed', 'moved', 'gone'];
+
+// Number of earlier anchors kept per record (see reviseAnchor)
+const MAX_ANCHOR_REVISIONS = 10;
+
+// When a new copy counts as a duplicate of a stored record (see DEFAULT_SETTINGS.dedupPolicy):
+// never, same text from the same page on the same day, same text from any page, or similar text
+export const DEDUP_POLICIES = ['off', 'samePageDay', 'sameText', 'similar'];
+
+// Number of earlier texts kept per record besides the captured one (see addTextRevision)
+const MAX_TEXT_REVISIONS = 20;
+
+// Maximum length of a record note
+const MAX_NOTE_LENGTH = 5000;
+
+// Number of copy times kept per record (see addItem)
+const MAX_COPY_TIMES = 20;
+
+// Maximum length of a folder name
+const MAX_FOLDER_NAME_LENGTH = 60;
+
+// Settings storage key
+const SETTINGS_KEY = 'smartClipboardSettings';
+
+// Default settings
+export const DEFAULT_SETTINGS = {
+    incognitoMode: false,
+    blacklist: [],
+    autoCleanup: false,
+    cleanupDays: 30,
+    captureRichFormats: false,
+    captureSnapshots: false,
+    // Scheduled source link check: 'off', 'daily' or 'weekly'
+    linkCheckInterval: 'off',
+    dedupPolicy: 'samePageDay',
+    // Regex tag detectors added by the user: { label, pattern, flags } (see utils/classifiers.js)
+    customDetectors: [],
+    // Named saved searches shown as chips above the list (see utils/collections.js)
+    smartCollections: []
+};
+
+// ============ Record Schema ============
+
+/**
+ * Upgrade steps keyed by the version they upgrade from
+ * Version 1 is every record written before schemaVersion existed
+ */
+const RECORD_UPGRADES = {
+    1: (record) => ({
+        ...record,
+        url: record.url || '',
+        pageTitle: record.pageTitle || '',
+        favicon: record.favicon || '',
+        selectionInfo: record.selectionInfo || null,
+        tags: Array.isArray(record.tags) ? record.tags : extractTags(record.text)
+    }),
+    // Only copy events were recorded before captureMethod existed
+    2: (record) => ({
+        ...record,
+        captureMethod: record.captureMethod || 'copy'
+    }),
+    // Page key for duplicate detection and tab matching (see url-normalize.js)
+    3: (record) => ({
+        ...record,
+        pageKey: getPageKey(record.url, record.canonicalUrl)
+    }),
+    // Manual tags, favorites and pinning
+    4: (record) => ({
+        ...record,
+        userTags: Array.isArray(record.userTags) ? record.userTags : [],
+        favorite: !!record.favorite,
+        pinned: !!record.pinned
+    }),
+    // Tags from the classifier registry (more types than the early regexes)
+    5: (record) => ({
+        ...record,
+        tags: mergeTags(record.text, record.userTags)
+    }),
+    // Folders (records start outside any folder)
+    6: (record) => ({
+        ...record,
+        folderId: record.folderId || null
+    }),
+    // Notes and the edit history of the text
+    7: (record) => ({
+        ...record,
+        note: typeof record.note === 'string' ? record.note : '',
+        textRevisions: Array.isArray(record.textRevisions) ? record.textRevisions : []
+    }),
+    // Text hash for same-text duplicate lookups
+    8: (record) => ({
+        ...record,
+        textHash: hashText(record.text || '')
+    })
+};
+
+/**
+ * Tags of a record: detected from its text, then the user's own
+ * @param {string} text - Record text
+ * @param {string[]} userTags - Manual tags
+ * @returns {string[]} Tags without repeats
+ */
+function mergeTags(text, userTags) {
+    return [...new Set([...extractTags(text), ...userTags])];
+}
+
+/**
+ * Edit history of a record with its current text added as the newest revision
+ * The oldest revision (the captured text, unless it was edited before revisions were kept)
+ * is never dropped; later ones are capped at MAX_TEXT_REVISIONS
+ * @param {object} record - Record whose text is about to be replaced
+ * @returns {Array} New textRevisions
+ */
+function addTextRevision(record) {
+    const revisions = [...record.textRevisions, { text: record.text, replacedAt: Date.now() }];
+    return revisions.length > MAX_TEXT_REVISIONS + 1
+        ? [revisions[0], ...revisions.slice(-MAX_TEXT_REVISIONS)]
+        : revisions;
+}
+
+/**
+ * Upgrade a record to the current schema version
+ * @param {object} record - Stored or imported record
+ * @returns {object} Record at SCHEMA_VERSION
+ */
+export function upgradeRecord(record) {
+    let upgraded = record;
+    let version = record.schemaVersion || 1;
+
+    while (version < SCHEMA_VERSION) {
+        upgraded = RECORD_UPGRADES[version](upgraded);
+        version++;
+    }
+
+    return { ...upgraded, schemaVersion: SCHEMA_VERSION };
+}
+
+/**
+ * Validate a record against the current schema
+ * @param {object} record - Record to check
+ * @throws {Error} When a field is missing or has the wrong type
+ */
+export function validateRecord(record) {
+    if (!record || typeof record !== 'object') {
+        throw new Error('Record must be an object');
+    }
+    if (typeof record.id !== 'string' || !record.id) {
+        throw new Error('Record id must be a non-empty string');
+    }
+    if (typeof record.text !== 'string' || !record.text) {
+        throw new Error(`Record ${record.id}: text must be a non-empty string`);
+    }
+    if (record.textHash !== hashText(record.text)) {
+        throw new Error(`Record ${record.id}: textHash does not match the text`);
+    }
+    if (typeof record.url !== 'string' || typeof record.pageKey !== 'string') {
+        throw new Error(`Record ${record.id}: url and pageKey must be strings`);
+    }
+    if (record.canonicalUrl !== undefined && typeof record.canonicalUrl !== 'string') {
+        throw new Error(`Record ${record.id}: canonicalUrl must be a string`);
+    }
+    if (typeof record.timestamp !== 'number' || !Number.isFinite(record.timestamp)) {
+        throw new Error(`Record ${record.id}: timestamp must be a number`);
+    }
+    if (typeof record.pageTitle !== 'string' || typeof record.favicon !== 'string') {
+        throw new Error(`Record ${record.id}: pageTitle and favicon must be strings`);
+    }
+    if (!Array.isArray(record.tags) || !record.tags.every(tag => typeof tag === 'string')) {
+        throw new Error(`Record ${record.id}: tags must be an array of strings`);
+    }
+    if (!Array.isArray(record.userTags) || !record.userTags.every(tag => typeof tag === 'string' && tag)) {
+        throw new Error(`Record ${record.id}: userTags must be an array of non-empty strings`);
+    }
+    if (typeof record.favorite !== 'boolean' || typeof record.pinned !== 'boolean') {
+        throw new Error(`Record ${record.id}: favorite and pinned must be booleans`);
+    }
+    if (typeof record.note !== 'string') {
+        throw new Error(`Record ${record.id}: note must be a string`);
+    }
+    if (!Array.isArray(record.textRevisions) || !record.textRevisions.every(revision =>
+        revision && typeof revision.text === 'string' && typeof revision.replacedAt === 'number')) {
+        throw new Error(`Record ${record.id}: textRevisions must be an array of { text, replacedAt }`);
+    }
+    if (record.folderId !== null && (typeof record.folderId !== 'string' || !record.folderId)) {
+        throw new Error(`Record ${record.id}: folderId must be a non-empty string or null`);
+    }
+    if (record.selectionInfo !== null && typeof record.selectionInfo !== 'object') {
+        throw new Error(`Record ${record.id}: selectionInfo must be an object or null`);
+    }
+    if (record.selectionInfo?.selectors !== undefined && !Array.isArray(record.selectionInfo.selectors)) {
+        throw new Error(`Record ${record.id}: selectionInfo.selectors must be an array`);
+    }
+    if (!CAPTURE_METHODS.includes(record.captureMethod)) {
+        throw new Error(`Record ${record.id}: unknown captureMethod "${record.captureMethod}"`);
+    }
+    if (record.field !== undefined && record.field !== null && typeof record.field !== 'object') {
+        throw new Error(`Record ${record.id}: field must be an object or null`);
+    }
+    if (record.locateResult !== undefined && record.locateResult !== null &&
+        !['exact', 'approximate', 'notFound'].includes(record.locateResult.status)) {
+        throw new Error(`Record ${record.id}: locateResult has an unknown status`);
+    }
+    if (record.linkHealth !== undefined && record.linkHealth !== null &&
+        !LINK_HEALTH_STATUSES.includes(record.linkHealth.status)) {
+        throw new Error(`Record ${record.id}: linkHealth has an unknown status`);
+    }
+    if (record.copyCount !== undefined && (!Number.isInteger(record.copyCount) || record.copyCount < 1)) {
+        throw new Error(`Record ${record.id}: copyCount must be a positive integer`);
+    }
+    if (record.lastCopiedAt !== undefined &&
+        (!Array.isArray(record.lastCopiedAt) || !record.lastCopiedAt.every(time => typeof time === 'number'))) {
+        throw new Error(`Record ${record.id}: lastCopiedAt must be an array of timestamps`);
+    }
+    if (record.anchorRevisions !== undefined && !Array.isArray(record.anchorRevisions)) {
+        throw new Error(`Record ${record.id}: anchorRevisions must be an array`);
+    }
+    if (record.frame !== undefined && record.frame !== null && typeof record.frame !== 'object') {
+        throw new Error(`Record ${record.id}: frame must be an object or null`);
+    }
+    if (record.codeLanguage !== undefined && record.codeLanguage !== null && typeof record.codeLanguage !== 'string') {
+        throw new Error(`Record ${record.id}: codeLanguage must be a string or null`);
+    }
+    if (record.snapshot) {
+        const { html, capturedAt, metadata } = record.snapshot;
+        if (typeof html !== 'string' || typeof capturedAt !== 'number' || !metadata || typeof metadata !== 'object') {
+            throw new Error(`Record ${record.id}: snapshot must have html, capturedAt and metadata`);
+        }
+    }
+    if (record.richContent) {
+        const { html, markdown, images } = record.richContent;
+        if (typeof html !== 'string' || typeof markdown !== 'string' || !Array.isArray(images)) {
+            throw new Error(`Record ${record.id}: richContent must have html, markdown and images`);
+        }
+    }
+}
+
+/**
+ * Build a new record from content script capture data
+ * @param {object} data - COPY_DETECTED payload
+ * @param {object} [tab] - Sender tab
+ * @returns {object} Validated record
+ */
+export function createRecord(data, tab) {
+    const record = {
+        id: generateId(),
+        schemaVersion: SCHEMA_VERSION,
+        text: data.text,
+        // Indexed for the 'sameText' duplicate check (see hashText)
+        textHash: hashText(data.text || ''),
+        url: data.url || '',
+        // <link rel="canonical"> of the page, if it declared one
+        canonicalUrl: data.canonicalUrl || '',
+        pageKey: getPageKey(data.url || '', data.canonicalUrl),
+        pageTitle: data.pageTitle || '',
+        favicon: tab?.favIconUrl || '',
+        timestamp: data.timestamp || Date.now(),
+        captureMethod: data.captureMethod || 'copy',
+        selectionInfo: data.selectionInfo || null,
+        // Form field or editor the text was copied from (see content script getFieldDescriptor)
+        field: data.field || null,
+        // Iframe the text was copied from: { url, path } (null for the top-level document)
+        frame: data.frame || null,
+        // Language class of the source code block (see utils/highlight.js resolveLanguage)
+        codeLanguage: typeof data.codeLanguage === 'string' ? data.codeLanguage.substring(0, 20) : null,
+        tags: extractTags(data.text),
+        // Tags added in the sidebar (also listed in tags)
+        userTags: [],
+        favorite: false,
+        // Pinned records stay at the top and are never removed by cleanup or the item limit
+        pinned: false,
+        // Folder the record is filed in (see createFolder)
+        folderId: null,
+        // The user's own annotation in lightweight Markdown (see rich-text.js markdownToHtml)
+        note: '',
+        // Earlier versions of the text, oldest first: { text, replacedAt }
+        textRevisions: []
+    };
+
+    // Optional rich formats; each image gets an id for its blob in the images store
+    if (data.richContent) {
+        record.richContent = {
+            html: data.richContent.html,
+            markdown: data.richContent.markdown,
+            images: (data.richContent.images || []).map(image => ({
+                id: generateId(),
+                src: image.src,
+                alt: image.alt || ''
+            }))
+        };
+    }
+
+    // Optional archived source context with page metadata
+    if (data.snapshot) {
+        const metadata = data.snapshot.metadata || {};
+        const field = (value) => (typeof value === 'string' ? value.substring(0, 500) : '');
+        record.snapshot = {
+            html: data.snapshot.html,
+            capturedAt: data.snapshot.capturedAt || record.timestamp,
+            metadata: {
+                canonicalUrl: field(metadata.canonicalUrl),
+                author: field(metadata.author),
+                publishedDate: field(metadata.publishedDate),
+                siteName: field(metadata.siteName)
+            }
+        };
+    }
+
+    validateRecord(record);
+    return record;
+}
+
+// ============ Change Events ============
+
+const changeListeners = new Set();
+let runtimeListenerInstalled = false;
+
+/**
+ * Publish a change to listeners in this context and in other extension contexts
+ * @param {object} change - { action: 'added'|'merged'|'updated'|'linkHealthUpdated'|'deleted'|'cleared'|'imported'|'removed'|'restored'|'tagged'|'combined'|'moved'|'foldersUpdated'|'retagged'|'imagesSaved', ... }
+ */
+function emitChange(change) {
+    changeListeners.forEach(listener => listener(change));
+
+    // Ignore errors when no other context (e.g. sidebar) is open
+    chrome.runtime.sendMessage({ type: 'HISTORY_UPDATED', change }).catch(() => { });
+}
+
+/**
+ * Subscribe to history changes from any context
+ * @param {Function} listener - Called with the change object
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribe(listener) {
+    if (!runtimeListenerInstalled) {
+        runtimeListenerInstalled = true;
+        chrome.runtime.onMessage.addListener((message) => {
+            if (message.type === 'HISTORY_UPDATED' && message.change) {
+                changeListeners.forEach(fn => fn(message.change));
+            }
+        });
+    }
+
+    changeListeners.add(listener);
+    return () => changeListeners.delete(listener);
+}
+
+// ============ Write Queue ============
+
+// Tail of the ordered write queue for this context
+let writeQueue = Promise.resolve();
+
+/**
+ * Run a mutation after every previously queued mutation in this context has settled
+ * Each mutation is a single IndexedDB transaction, which orders it against other contexts
+ * @param {Function} operation - Async mutation
+ * @returns {Promise<*>} Operation result
+ */
+function enqueueWrite(operation) {
+    const result = writeQueue.then(operation);
+    writeQueue = result.catch(() => { });
+    return result;
+}
+
+// ============ History ============
 
 /**
- * Get all clipboard history
+ * Open the history database (runs the legacy migration on first use)
+ */
+export function openStorage() {
+    return db.openDatabase();
+}
+
+/**
+ * Get all clipboard history, newest first
  */
 export async function getHistory() {
-    const result = await chrome.storage.local.get([STORAGE_KEY]);
-    return result[STORAGE_KEY] || [];
+    const items = await db.getAllItems();
+    return items.map(upgradeRecord);
 }
 
 /**
- * Save clipboard history
+ * Get a single record
  */
-export async function saveHistory(history) {
-    await chrome.storage.local.set({ [STORAGE_KEY]: history });
+export async function getItem(id) {
+    const item = await db.getItem(id);
+    return item ? upgradeRecord(item) : null;
 }
 
 /**
- * Add new item
+ * Get records captured from the same page as a URL (tracking parameters and fragments ignored)
  */
-export async function addItem(item) {
-    const history = await getHistory();
-    history.unshift(item);
+export async function getItemsByPage(url) {
+    const items = await db.getItemsByPage(getPageKey(url));
+    return items.map(upgradeRecord);
+}
+
+/**
+ * Count a repeated copy on a stored record: moves it to the top (timestamp is the latest copy)
+ * @param {object} stored - Stored duplicate
+ * @param {object} item - New record that duplicates it
+ * @returns {object} Updated record
+ */
+function mergeRepeatCopy(stored, item) {
+    const record = upgradeRecord(stored);
+    return {
+        ...record,
+        timestamp: item.timestamp,
+        copyCount: (record.copyCount || 1) + 1,
+        // Oldest first; the first entry of a new list is the original capture time
+        lastCopiedAt: [...(record.lastCopiedAt || [record.timestamp]), item.timestamp].slice(-MAX_COPY_TIMES)
+    };
+}
+
+/**
+ * Atomically append a new item, or count it on a stored duplicate
+ * @param {object} item - Record built by createRecord
+ * @param {object} [options]
+ * @param {Function} [options.isDuplicate] - Checked against stored records inside the append
+ *   transaction; the newest match gets its copyCount bumped instead of saving the item
+ * @param {string} [options.scope='page'] - Records checked: 'page' (same page key), 'text' (same
+ *   text hash) or 'recent' (the newest records)
+ * @param {number} [options.limit] - Number of records checked with the 'recent' scope
+ * @returns {Promise<{item: object, merged: boolean}>} Saved item, or the updated duplicate
+ */
+export function addItem(item, { isDuplicate, scope = 'page', limit } = {}) {
+    validateRecord(item);
+    return enqueueWrite(async () => {
+        const { record, merged } = await db.appendItem(item, {
+            isDuplicate,
+            scope,
+            limit,
+            merge: (stored) => mergeRepeatCopy(stored, item),
+            maxItems: MAX_ITEMS
+        });
+        emitChange({ action: merged ? 'merged' : 'added', item: record });
+        return { item: record, merged };
+    });
+}
+
+/**
+ * Atomically patch fields of an existing item
+ * A replaced text is kept in textRevisions, notes are trimmed, user tags are normalized, and
+ * tags are recomputed when the text or user tags change
+ */
+export function updateItem(id, changes) {
+    return enqueueWrite(async () => {
+        const item = await db.patchItem(id, (stored) => {
+            if (!stored) {
+                throw new Error(`Record ${id} not found`);
+            }
+
+            const record = upgradeRecord(stored);
+            const patched = { ...record, ...changes, id };
+            if (changes.text !== undefined && changes.text !== record.text) {
+                patched.textRevisions = addTextRevision(record);
+            }
+            patched.textHash = hashText(patched.text);
+            if (changes.note !== undefined) {
+                patched.note = (changes.note || '').trim().substring(0, MAX_NOTE_LENGTH);
+            }
+            if (changes.userTags !== undefined) {
+                patched.userTags = [...new Set((changes.userTags || []).map(normalizeTag).filter(Boolean))];
+            }
+            if ((changes.text !== undefined || changes.userTags !== undefined) && changes.tags === undefined) {
+                patched.tags = mergeTags(patched.text, patched.userTags);
+            }
+            validateRecord(patched);
+            return patched;
+        });
+
+        emitChange({ action: 'updated', item });
+        return item;
+    });
+}
+
+/**
+ * Atomically restore an earlier text of a record
+ * The text being replaced is added to the edit history, so a revert can itself be reverted
+ * @param {string} id - Record id
+ * @param {number} index - Index in textRevisions
+ * @returns {Promise<object>} Updated record
+ */
+export function revertText(id, index) {
+    return enqueueWrite(async () => {
+        const item = await db.patchItem(id, (stored) => {
+            if (!stored) {
+                throw new Error(`Record ${id} not found`);
+            }
+
+            const record = upgradeRecord(stored);
+            const revision = record.textRevisions[index];
+            if (!revision) {
+                throw new Error(`Record ${id} has no revision ${index}`);
+            }
 
-    // Limit quantity
-    if (history.length > MAX_ITEMS) {
-        history.pop();
+            const patched = {
+                ...record,
+                text: revision.text,
+                textHash: hashText(revision.text),
+                textRevisions: addTextRevision(record),
+                tags: mergeTags(revision.text, record.userTags)
+            };
+            validateRecord(patched);
+            return patched;
+        });
+
+        emitChange({ action: 'updated', item });
+        return item;
+    });
+}
+
+/**
+ * Atomically replace a record's anchor after a fallback method found the text on a changed page
+ * The replaced anchor is kept in anchorRevisions (oldest first, capped at MAX_ANCHOR_REVISIONS)
+ * @param {string} id - Record id
+ * @param {object} anchor - { selectors, shadowHosts, xpath } computed by the content script
+ * @param {string} method - Locating method that found the text
+ * @returns {Promise<object>} Updated record
+ */
+export function reviseAnchor(id, anchor, method) {
+    if (!anchor || !Array.isArray(anchor.selectors) || anchor.selectors.length === 0) {
+        return Promise.reject(new Error('Anchor must have selectors'));
     }
 
-    await saveHistory(history);
-    return item;
+    return enqueueWrite(async () => {
+        const item = await db.patchItem(id, (stored) => {
+            if (!stored) {
+                throw new Error(`Record ${id} not found`);
+            }
+
+            const record = upgradeRecord(stored);
+            const previous = record.selectionInfo || {};
+            const revision = {
+                selectors: previous.selectors || [],
+                shadowHosts: previous.shadowHosts || [],
+                xpath: previous.xpath || null,
+                replacedAt: Date.now(),
+                repairedBy: method
+            };
+
+            const patched = {
+                ...record,
+                selectionInfo: {
+                    ...previous,
+                    selectors: anchor.selectors,
+                    shadowHosts: Array.isArray(anchor.shadowHosts) ? anchor.shadowHosts : [],
+                    xpath: anchor.xpath || null
+                },
+                anchorRevisions: [...(record.anchorRevisions || []), revision].slice(-MAX_ANCHOR_REVISIONS)
+            };
+            validateRecord(patched);
+            return patched;
+        });
+
+        emitChange({ action: 'updated', item });
+        return item;
+    });
+}
+
+/**
+ * Store link check results for many records in one transaction
+ * Records deleted since the check started are skipped
+ * @param {Array<{id: string, linkHealth: object}>} results - { status, checkedAt, ... } per record
+ * @returns {Promise<number>} Number of updated records
+ */
+export function setLinkHealth(results) {
+    const healthById = new Map(results.map(result => [result.id, result.linkHealth]));
+
+    return enqueueWrite(async () => {
+        const updated = await db.patchItems(Array.from(healthById.keys()), (stored) => {
+            if (!stored) return null;
+            const patched = { ...upgradeRecord(stored), linkHealth: healthById.get(stored.id) };
+            validateRecord(patched);
+            return patched;
+        });
+
+        if (updated.length > 0) {
+            emitChange({ action: 'linkHealthUpdated', count: updated.length });
+        }
+        return updated.length;
+    });
+}
+
+/**
+ * Detect the tags of every record again, keeping manual tags, in one transaction
+ * Run after the custom detectors change; uses the detectors of this context (see setCustomDetectors)
+ * @returns {Promise<number>} Number of records whose tags changed
+ */
+export function retagItems() {
+    return enqueueWrite(async () => {
+        const retagged = await db.patchAllItems((stored) => {
+            const record = upgradeRecord(stored);
+            const tags = mergeTags(record.text, record.userTags);
+            if (tags.length === record.tags.length && tags.every((tag, i) => tag === record.tags[i])) return null;
+
+            const patched = { ...record, tags };
+            validateRecord(patched);
+            return patched;
+        });
+
+        if (retagged > 0) {
+            emitChange({ action: 'retagged', count: retagged });
+        }
+        return retagged;
+    });
 }
 
 /**
  * Delete item
  */
-export async function deleteItem(id) {
-    const history = await getHistory();
-    const filtered = history.filter(item => item.id !== id);
-    await saveHistory(filtered);
-    return filtered;
+export function deleteItem(id) {
+    return enqueueWrite(async () => {
+        await db.deleteItem(id);
+        emitChange({ action: 'deleted', id });
+    });
+}
+
+/**
+ * Delete several records in one transaction
+ * @param {Array<string>} ids - Record ids
+ * @returns {Promise<{records: Array, images: Array}>} What was removed, to pass to restoreItems for undo
+ */
+export function deleteItems(ids) {
+    return enqueueWrite(async () => {
+        const removed = await db.deleteItems(ids);
+        if (removed.records.length > 0) {
+            emitChange({ action: 'removed', count: removed.records.length });
+        }
+        return removed;
+    });
+}
+
+/**
+ * Undo deleteItems: put the removed records and their images back
+ * Vectors are not restored; the sidebar embeds the records again
+ * @param {{records: Array, images: Array}} removed - Result of deleteItems
+ * @returns {Promise<number>} Number of restored records
+ */
+export function restoreItems({ records, images }) {
+    return enqueueWrite(async () => {
+        await db.restoreItems(records, images, MAX_ITEMS);
+        emitChange({ action: 'restored', count: records.length });
+        return records.length;
+    });
+}
+
+/**
+ * Add a manual tag to several records
+ * @param {Array<string>} ids - Record ids (deleted ones are skipped)
+ * @param {string} tag - Tag (normalized like single record tags)
+ * @returns {Promise<number>} Number of records that did not have the tag yet
+ */
+export function tagItems(ids, tag) {
+    const userTag = normalizeTag(tag);
+    if (!userTag) {
+        return Promise.reject(new Error('Tag must not be empty'));
+    }
+
+    return enqueueWrite(async () => {
+        const tagged = await db.patchItems(ids, (stored) => {
+            if (!stored) return null;
+            const record = upgradeRecord(stored);
+            if (record.userTags.includes(userTag)) return null;
+
+            const userTags = [...record.userTags, userTag];
+            const patched = { ...record, userTags, tags: mergeTags(record.text, userTags) };
+            validateRecord(patched);
+            return patched;
+        });
+
+        if (tagged.length > 0) {
+            emitChange({ action: 'tagged', count: tagged.length });
+        }
+        return tagged.length;
+    });
+}
+
+/**
+ * Combine several records into the oldest one and delete the others
+ * Texts and notes are joined oldest first with a blank line between them; the oldest record's
+ * text is kept in its edit history. Manual tags are combined, the record is a favorite or pinned
+ * if any of them was, and it stays in the first folder found. Copy counts are added up and the
+ * copy times combined. Captured HTML and its images are dropped, since they no longer match the text
+ * @param {Array<string>} ids - Record ids (at least two)
+ * @returns {Promise<object>} Merged record
+ */
+export function mergeItems(ids) {
+    if (new Set(ids).size < 2) {
+        return Promise.reject(new Error('Select at least two records to merge'));
+    }
+
+    return enqueueWrite(async () => {
+        const { record, removed } = await db.mergeItems(Array.from(new Set(ids)), (stored) => {
+            if (stored.length < 2) {
+                throw new Error('Select at least two records to merge');
+            }
+
+            const records = stored.map(upgradeRecord).sort((a, b) => a.timestamp - b.timestamp);
+            const [target] = records;
+            const languages = new Set(records.map(item => item.codeLanguage));
+            const userTags = [...new Set(records.flatMap(item => item.userTags))];
+            const text = records.map(item => item.text).join('\n\n');
+
+            const merged = {
+                ...target,
+                text,
+                textHash: hashText(text),
+                textRevisions: addTextRevision(target),
+                note: records.map(item => item.note).filter(Boolean).join('\n\n').substring(0, MAX_NOTE_LENGTH),
+                userTags,
+                tags: mergeTags(text, userTags),
+                favorite: records.some(item => item.favorite),
+                pinned: records.some(item => item.pinned),
+                copyCount: records.reduce((sum, item) => sum + (item.copyCount || 1), 0),
+                lastCopiedAt: records
+                    .flatMap(item => item.lastCopiedAt || [item.timestamp])
+                    .sort((a, b) => a - b)
+                    .slice(-MAX_COPY_TIMES),
+                folderId: records.find(item => item.folderId)?.folderId || null,
+                codeLanguage: languages.size === 1 ? target.codeLanguage : null
+            };
+            delete merged.richContent;
+            validateRecord(merged);
+            return merged;
+        });
+
+        emitChange({ action: 'combined', item: record, count: removed + 1 });
+        return record;
+    });
 }
 
 /**
  * Clear all
  */
-export async function clearAll() {
-    await saveHistory([]);
+export function clearAll() {
+    return enqueueWrite(async () => {
+        await db.clearItems();
+        emitChange({ action: 'cleared' });
+    });
+}
+
+/**
+ * Delete records older than a cutoff time (pinned records are kept)
+ * @returns {Promise<number>} Number of removed records
+ */
+export function deleteOlderThan(cutoffTime) {
+    return enqueueWrite(async () => {
+        const removed = await db.deleteItemsBefore(cutoffTime);
+        if (removed > 0) {
+            emitChange({ action: 'removed', count: removed });
+        }
+        return removed;
+    });
+}
+
+/**
+ * Store fetched image blobs for a record's rich content
+ * @param {string} recordId - Owning record id
+ * @param {Array<{id: string, src: string, alt: string, blob: Blob}>} images - Images with blobs
+ */
+export function saveRecordImages(recordId, images) {
+    return enqueueWrite(async () => {
+        const stored = await db.putRecordImages(recordId, images);
+        if (stored) {
+            emitChange({ action: 'imagesSaved', id: recordId });
+        }
+        return stored;
+    });
+}
+
+/**
+ * Get stored image blobs for a record
+ */
+export function getRecordImages(recordId) {
+    return db.getRecordImages(recordId);
+}
+
+/**
+ * Get the semantic search model and stored record vectors (see utils/semantic.js)
+ * @returns {Promise<{model: object|null, vectors: Array}>}
+ */
+export function getSemanticIndex() {
+    return db.getSemanticIndex();
+}
+
+/**
+ * Store record vectors; passing a model replaces the model and drops all earlier vectors
+ * Vectors are derived data, so no change event is published
+ * @param {Array<{recordId: string, vector: Float32Array|null, hash: string}>} vectors - Record vectors
+ * @param {object} [model] - Newly fitted model
+ */
+export function saveSemanticVectors(vectors, model) {
+    return enqueueWrite(() => db.putSemanticVectors(vectors, model));
+}
+
+// ============ Folders ============
+
+/**
+ * Validate and clean a folder definition
+ * @param {object} folder - { id, name, createdAt } from the sidebar or a backup
+ * @returns {object|null} Folder, or null when it has no name
+ */
+function normalizeFolder(folder) {
+    if (!folder || typeof folder !== 'object') return null;
+
+    const name = typeof folder.name === 'string' ? folder.name.trim().substring(0, MAX_FOLDER_NAME_LENGTH) : '';
+    if (!name) return null;
+
+    return {
+        id: typeof folder.id === 'string' && folder.id ? folder.id : generateId(),
+        name,
+        createdAt: typeof folder.createdAt === 'number' ? folder.createdAt : Date.now()
+    };
+}
+
+/**
+ * Find a folder by name, ignoring case
+ */
+function findFolderByName(folders, name) {
+    const lowerName = name.toLowerCase();
+    return folders.find(folder => folder.name.toLowerCase() === lowerName);
+}
+
+/**
+ * Get all folders in creation order
+ */
+export function getFolders() {
+    return db.getAllFolders();
+}
+
+/**
+ * Create a folder
+ * @param {string} name - Folder name (unique, ignoring case)
+ * @returns {Promise<object>} New folder
+ */
+export function createFolder(name) {
+    const folder = normalizeFolder({ name });
+    if (!folder) {
+        return Promise.reject(new Error('Folder name must not be empty'));
+    }
+
+    return enqueueWrite(async () => {
+        if (findFolderByName(await db.getAllFolders(), folder.name)) {
+            throw new Error(`A folder named "${folder.name}" already exists`);
+        }
+        await db.putFolders([folder]);
+        emitChange({ action: 'foldersUpdated' });
+        return folder;
+    });
+}
+
+/**
+ * Rename a folder
+ * @param {string} id - Folder id
+ * @param {string} name - New name (unique, ignoring case)
+ * @returns {Promise<object>} Renamed folder
+ */
+export function renameFolder(id, name) {
+    return enqueueWrite(async () => {
+        const folders = await db.getAllFolders();
+        const folder = folders.find(item => item.id === id);
+        if (!folder) {
+            throw new Error(`Folder ${id} not found`);
+        }
+
+        const renamed = normalizeFolder({ ...folder, name });
+        if (!renamed) {
+            throw new Error('Folder name must not be empty');
+        }
+        const sameName = findFolderByName(folders, renamed.name);
+        if (sameName && sameName.id !== id) {
+            throw new Error(`A folder named "${renamed.name}" already exists`);
+        }
+
+        await db.putFolders([renamed]);
+        emitChange({ action: 'foldersUpdated' });
+        return renamed;
+    });
+}
+
+/**
+ * Delete a folder; its records are kept outside any folder
+ * @returns {Promise<number>} Number of records that were in the folder
+ */
+export function deleteFolder(id) {
+    return enqueueWrite(async () => {
+        const unfiled = await db.deleteFolder(id, (stored) => ({ ...upgradeRecord(stored), folderId: null }));
+        emitChange({ action: 'foldersUpdated' });
+        return unfiled;
+    });
+}
+
+/**
+ * File records in a folder, or take them out of any folder
+ * Records deleted in the meantime are skipped
+ * @param {Array<string>} ids - Record ids
+ * @param {string|null} folderId - Target folder id, or null for none
+ * @returns {Promise<number>} Number of moved records
+ */
+export function moveToFolder(ids, folderId) {
+    return enqueueWrite(async () => {
+        if (folderId !== null && !(await db.getAllFolders()).some(folder => folder.id === folderId)) {
+            throw new Error(`Folder ${folderId} not found`);
+        }
+
+        const moved = await db.patchItems(ids, (stored) => {
+            if (!stored) return null;
+            const record = upgradeRecord(stored);
+            return record.folderId === folderId ? null : { ...record, folderId };
+        });
+
+        if (moved.length > 0) {
+            emitChange({ action: 'moved', count: moved.length, folderId });
+        }
+        return moved.length;
+    });
+}
+
+/**
+ * Add the folders of a backup, reusing stored folders with the same id or name
+ * @param {Array} folders - Definitions from a backup
+ * @returns {Promise<Map<string, string>>} Stored folder id for each imported folder id
+ */
+function importFolders(folders) {
+    return enqueueWrite(async () => {
+        const stored = await db.getAllFolders();
+        const folderIds = new Map();
+        const added = [];
+
+        folders.map(normalizeFolder).filter(Boolean).forEach(folder => {
+            const existing = stored.find(item => item.id === folder.id) ||
+                findFolderByName([...stored, ...added], folder.name);
+            if (existing) {
+                folderIds.set(folder.id, existing.id);
+            } else {
+                added.push(folder);
+                folderIds.set(folder.id, folder.id);
+            }
+        });
+
+        if (added.length > 0) {
+            await db.putFolders(added);
+            emitChange({ action: 'foldersUpdated' });
+        }
+        return folderIds;
+    });
 }
 
 /**
@@ -61,48 +977,190 @@ export async function searchHistory(query) {
 
     return history.filter(item =>
         item.text.toLowerCase().includes(lowerQuery) ||
-        (item.pageTitle && item.pageTitle.toLowerCase().includes(lowerQuery))
+        item.note.toLowerCase().includes(lowerQuery) ||
+        item.pageTitle.toLowerCase().includes(lowerQuery) ||
+        item.url.toLowerCase().includes(lowerQuery)
     );
 }
 
 /**
  * Get storage usage information
- * Returns used, available, and total quota bytes
+ * Returns used, available, and total quota bytes for the extension origin
  */
 export async function getStorageUsage() {
-    const bytesInUse = await chrome.storage.local.getBytesInUse([STORAGE_KEY]);
-    // Use actual browser quota (typically 10MB for chrome.storage.local)
-    const quota = chrome.storage.local.QUOTA_BYTES || 10485760;
-    const available = quota - bytesInUse;
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
 
     return {
-        used: bytesInUse,
-        available: available,
+        used: usage,
+        available: quota - usage,
         quota: quota,
-        percentage: (bytesInUse / quota * 100).toFixed(2)
+        percentage: quota ? (usage / quota * 100) : 0
     };
 }
 
 /**
- * Export data as JSON
+ * Export data as a versioned backup object
+ * @param {object} [options]
+ * @param {string} [options.folderId] - Export only this folder and its records
+ * @param {Array<string>} [options.ids] - Export only these records and their folders
  */
-export async function exportData() {
-    const history = await getHistory();
-    return JSON.stringify(history, null, 2);
+export async function exportData({ folderId, ids } = {}) {
+    if (ids) {
+        const selected = new Set(ids);
+        const [history, folders] = await Promise.all([getHistory(), db.getAllFolders()]);
+        const records = history.filter(item => selected.has(item.id));
+        const folderIds = new Set(records.map(item => item.folderId));
+        return {
+            version: '1.0.0',
+            schemaVersion: SCHEMA_VERSION,
+            exportDate: new Date().toISOString(),
+            itemCount: records.length,
+            data: records,
+            folders: folders.filter(folder => folderIds.has(folder.id))
+        };
+    }
+
+    if (folderId) {
+        const [folders, items] = await Promise.all([db.getAllFolders(), db.getItemsByFolder(folderId)]);
+        const folder = folders.find(item => item.id === folderId);
+        if (!folder) {
+            throw new Error(`Folder ${folderId} not found`);
+        }
+
+        const history = items.map(upgradeRecord).sort((a, b) => b.timestamp - a.timestamp);
+        return {
+            version: '1.0.0',
+            schemaVersion: SCHEMA_VERSION,
+            exportDate: new Date().toISOString(),
+            itemCount: history.length,
+            data: history,
+            folders: [folder]
+        };
+    }
+
+    const [history, folders, settings] = await Promise.all([getHistory(), db.getAllFolders(), getSettings()]);
+    return {
+        version: '1.0.0',
+        schemaVersion: SCHEMA_VERSION,
+        exportDate: new Date().toISOString(),
+        itemCount: history.length,
+        data: history,
+        folders,
+        smartCollections: settings.smartCollections
+    };
 }
 
 /**
- * Import data from JSON
+ * Import data from a parsed backup (array or object with a data field)
+ * Records whose id is already stored are skipped, except that a stored record outside any
+ * folder is filed where the backup has it. Folders are matched to stored ones by id, then by
+ * name; records pointing to a folder missing from the backup are imported outside any folder.
+ * Smart collections are added by id
+ * @returns {Promise<number>} Number of new records
  */
-export async function importData(jsonString) {
-    try {
-        const data = JSON.parse(jsonString);
-        if (!Array.isArray(data)) {
+export async function importData(importedData) {
+    let dataToImport;
+
+    // Support two formats: direct array or object with data field
+    if (Array.isArray(importedData)) {
+        dataToImport = importedData;
+    } else if (importedData && Array.isArray(importedData.data)) {
+        dataToImport = importedData.data;
+    } else {
+        throw new Error('Invalid data format');
+    }
+
+    const records = dataToImport.map(item => {
+        if (!item || typeof item !== 'object') {
             throw new Error('Invalid data format');
         }
-        await saveHistory(data);
-        return data.length;
-    } catch (error) {
-        throw new Error('Import failed: ' + error.message);
+        // The text hash is derived from the text; recomputed in case the backup was edited by hand
+        const upgraded = upgradeRecord(item);
+        const record = { ...upgraded, textHash: hashText(typeof upgraded.text === 'string' ? upgraded.text : '') };
+        validateRecord(record);
+        return record;
+    });
+
+    if (Array.isArray(importedData.smartCollections)) {
+        await importSmartCollections(importedData.smartCollections);
     }
+
+    const folderIds = await importFolders(Array.isArray(importedData.folders) ? importedData.folders : []);
+    records.forEach(record => {
+        record.folderId = folderIds.get(record.folderId) || null;
+    });
+
+    return enqueueWrite(async () => {
+        const inserted = await db.insertMissingItems(records, MAX_ITEMS, (stored, record) => {
+            const current = upgradeRecord(stored);
+            return !current.folderId && record.folderId ? { ...current, folderId: record.folderId } : null;
+        });
+        emitChange({ action: 'imported', count: inserted });
+        return inserted;
+    });
+}
+
+/**
+ * Add imported smart collections that are not defined yet (matched by id)
+ * Settings are read and written back in one queued write, so no settings save is lost in between
+ * @param {Array} collections - Definitions from a backup
+ */
+function importSmartCollections(collections) {
+    return enqueueWrite(async () => {
+        const settings = await getSettings();
+        const existingIds = new Set(settings.smartCollections.map(collection => collection.id));
+        const added = collections
+            .map(normalizeCollection)
+            .filter(collection => collection && !existingIds.has(collection.id));
+
+        if (added.length > 0) {
+            await chrome.storage.local.set({
+                [SETTINGS_KEY]: { ...settings, smartCollections: [...settings.smartCollections, ...added] }
+            });
+        }
+    });
+}
+
+// ============ Settings ============
+
+/**
+ * Get user settings merged over defaults
+ */
+export async function getSettings() {
+    const result = await chrome.storage.local.get([SETTINGS_KEY]);
+    return { ...DEFAULT_SETTINGS, ...result[SETTINGS_KEY] };
+}
+
+/**
+ * Save user settings (queued with the other writes, see importSmartCollections)
+ */
+export function saveSettings(settings) {
+    return enqueueWrite(() => chrome.storage.local.set({ [SETTINGS_KEY]: settings }));
+}
+
+/**
+ * Subscribe to settings changes from any context
+ * @param {Function} listener - Called with the new settings merged over defaults
+ */
+export function onSettingsChanged(listener) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[SETTINGS_KEY]) {
+            listener({ ...DEFAULT_SETTINGS, ...changes[SETTINGS_KEY].newValue });
+        }
+    });
+}
+
+/**
+ * Get dark mode preference (default: light mode)
+ */
+export async function getDarkMode() {
+    const { darkMode } = await chrome.storage.local.get(['darkMode']);
+    return !!darkMode;
+}
+
+/**
+ * Save dark mode preference
+ */
+export async function setDarkMode(enabled) {
+    await chrome.storage.local.set({ darkMode: enabled });
 }
@@ -0,0 +1,103 @@
+// utils/text-fragment.js
+// Scroll-to-Text-Fragment URLs (#:~:text=prefix-,start,end,-suffix)
+// Used by the sidebar when the content script cannot run or cannot find the text,
+// so the browser's native text fragment matching takes over
+
+// Quotes longer than this are matched by their first and last words (textStart,textEnd)
+const MAX_EXACT_LENGTH = 80;
+
+// Words kept from each end of a long quote
+const RANGE_WORDS = 4;
+
+// Words of prefix/suffix context kept around the quote
+const CONTEXT_WORDS = 3;
+
+// Marker appended by the content script to truncated records
+const TRUNCATION_MARKER = '... (truncated)';
+
+/**
+ * Collapse whitespace like the browser's text matching does
+ */
+function collapseWhitespace(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Percent-encode a directive part ('-', ',' and '&' have meaning in the directive)
+ */
+function encodePart(text) {
+    return encodeURIComponent(text).replace(/-/g, '%2D');
+}
+
+/**
+ * Keep whole words of context next to the quote
+ * The stored context is cut at a fixed length, so the word farthest from the quote may be partial
+ */
+function contextWords(text, side) {
+    const words = collapseWhitespace(text).split(' ').filter(Boolean);
+    if (side === 'prefix') {
+        return (words.length > 1 ? words.slice(1) : words).slice(-CONTEXT_WORDS).join(' ');
+    }
+    return (words.length > 1 ? words.slice(0, -1) : words).slice(0, CONTEXT_WORDS).join(' ');
+}
+
+/**
+ * Build a text directive for a quote
+ * @param {string} text - Copied text
+ * @param {object} [context]
+ * @param {string} [context.prefix] - Text right before the quote
+ * @param {string} [context.suffix] - Text right after the quote
+ * @returns {string} Directive such as "text=prefix-,start,end,-suffix", or '' when the text is empty
+ */
+export function buildTextDirective(text, { prefix = '', suffix = '' } = {}) {
+    let exact = text || '';
+    if (exact.endsWith(TRUNCATION_MARKER)) {
+        exact = exact.slice(0, -TRUNCATION_MARKER.length);
+    }
+    exact = collapseWhitespace(exact);
+    if (!exact) return '';
+
+    const words = exact.split(' ');
+    const target = exact.length <= MAX_EXACT_LENGTH || words.length <= RANGE_WORDS * 2
+        ? encodePart(exact)
+        : `${encodePart(words.slice(0, RANGE_WORDS).join(' '))},${encodePart(words.slice(-RANGE_WORDS).join(' '))}`;
+
+    const prefixText = contextWords(prefix, 'prefix');
+    const suffixText = contextWords(suffix, 'suffix');
+
+    return 'text=' +
+        (prefixText ? `${encodePart(prefixText)}-,` : '') +
+        target +
+        (suffixText ? `,-${encodePart(suffixText)}` : '');
+}
+
+/**
+ * Build a page URL with a text fragment for a record
+ * @param {object} item - Clipboard record
+ * @returns {string|null} URL, or null when the record cannot be located by text (non-web page, form field value)
+ */
+export function buildTextFragmentUrl(item) {
+    let url;
+    try {
+        url = new URL(item.url);
+    } catch (e) {
+        return null;
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+
+    // Values of inputs and textareas are not page text
+    if (item.field && item.field.kind !== 'contenteditable') return null;
+
+    // Prefer the Web Annotation quote context, then the legacy context fields
+    const quote = item.selectionInfo?.selectors?.find(s => s.type === 'TextQuoteSelector');
+    const directive = buildTextDirective(item.text, {
+        prefix: quote ? quote.prefix : item.selectionInfo?.textBefore,
+        suffix: quote ? quote.suffix : item.selectionInfo?.textAfter
+    });
+    if (!directive) return null;
+
+    // Keep the page's own fragment, replace any earlier directive
+    const hash = url.hash.replace(/^#/, '').split(':~:')[0];
+    url.hash = `${hash}:~:${directive}`;
+    return url.href;
+}
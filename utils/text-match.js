@@ -0,0 +1,90 @@
+// utils/text-match.js
+// Text normalization and similarity shared by the content script (listed before it in the
+// manifest, so these are globals there) and the service worker's link health check and
+// duplicate detection (imported for its side effect). The file has no import/export so it
+// loads both ways
+
+// Normalize text for comparison (remove extra whitespace, normalize characters)
+function normalizeText(text) {
+    if (!text) return '';
+    return text
+        .toLowerCase()
+        .replace(/[\s\u3000]+/g, ' ')  // Normalize whitespace (including full-width)
+        .replace(/[\u200B-\u200D\uFEFF]/g, '')  // Remove zero-width chars
+        .trim();
+}
+
+// Calculate similarity score between two strings
+function calculateSimilarity(str1, str2) {
+    const shorter = str1.length < str2.length ? str1 : str2;
+    const longer = str1.length >= str2.length ? str1 : str2;
+
+    if (longer.includes(shorter)) return 1.0;
+
+    // Check for substring match with sliding window
+    const windowSize = Math.min(shorter.length, 30);
+    let maxMatch = 0;
+
+    for (let i = 0; i <= longer.length - windowSize; i++) {
+        const window = longer.substring(i, i + windowSize);
+        let matches = 0;
+        for (let j = 0; j < windowSize && j < shorter.length; j++) {
+            if (window[j] === shorter[j]) matches++;
+        }
+        maxMatch = Math.max(maxMatch, matches / windowSize);
+    }
+
+    return maxMatch;
+}
+
+// Words of a normalized text (punctuation dropped)
+function getTextWords(str) {
+    return str.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// Word trigrams of a word list, or the words themselves for lists shorter than three words
+function getWordShingles(words) {
+    if (words.length < 3) return new Set(words);
+    const result = new Set();
+    for (let i = 0; i <= words.length - 3; i++) {
+        result.add(words.slice(i, i + 3).join(' '));
+    }
+    return result;
+}
+
+// Word overlap between two normalized texts (Jaccard index of word trigrams, or of words
+// for texts shorter than three words), insensitive to punctuation and small edits anywhere
+function calculateWordSimilarity(str1, str2) {
+    const a = getWordShingles(getTextWords(str1));
+    const b = getWordShingles(getTextWords(str2));
+    if (a.size === 0 || b.size === 0) return str1 === str2 ? 1.0 : 0;
+
+    let shared = 0;
+    a.forEach(shingle => {
+        if (b.has(shingle)) shared++;
+    });
+    return shared / (a.size + b.size - shared);
+}
+
+// Index of a long normalized text (e.g. a whole page) for calculateWordCoverage
+function createWordIndex(str) {
+    const words = getTextWords(str);
+    return { words: new Set(words), shingles: getWordShingles(words) };
+}
+
+// Share of a normalized text's word trigrams (words, for texts shorter than three words) that
+// occur in an indexed longer text: 1 only when the whole text is still there, whatever its length
+function calculateWordCoverage(str, index) {
+    const words = getTextWords(str);
+    const shingles = getWordShingles(words);
+    if (shingles.size === 0) return 0;
+
+    const found = words.length < 3 ? index.words : index.shingles;
+    let shared = 0;
+    shingles.forEach(shingle => {
+        if (found.has(shingle)) shared++;
+    });
+    return shared / shingles.size;
+}
+
+globalThis.ClipTraceTextMatch = { normalizeText, calculateSimilarity, calculateWordSimilarity, createWordIndex, calculateWordCoverage };
@@ -0,0 +1,155 @@
+// utils/url-normalize.js
+// URL normalization: one page key per page, shared by duplicate detection, tab reuse and
+// grouping. Tracking parameters, fragments, trailing slashes and www. are dropped, and
+// per-site rules reduce known URL shapes to the part that identifies the page
+// Keys are for comparison only - always navigate to the record's own URL
+
+// Query parameters that never change the page content
+const TRACKING_PARAM_PREFIXES = ['utm_', 'mtm_', 'pk_'];
+const TRACKING_PARAMS = new Set([
+    'fbclid', 'gclid', 'gclsrc', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'twclid',
+    'igshid', 'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi', 'mkt_tok', 'oly_anon_id',
+    'oly_enc_id', 'vero_id', 'spm'
+]);
+
+/**
+ * Per-site rules, matched against the host and its parent domains
+ * - keepParams: only these query parameters identify the page (all others are dropped)
+ * - dropParams: additional parameters to drop on this site
+ * - rewrite(url): adjust the parsed URL in place (runs before the parameter rules)
+ */
+export const SITE_RULES = [
+    {
+        hosts: ['youtube.com', 'm.youtube.com', 'music.youtube.com'],
+        keepParams: ['v', 'list']
+    },
+    {
+        // Short links point at the watch page
+        hosts: ['youtu.be'],
+        rewrite: (url) => {
+            const id = url.pathname.slice(1);
+            url.hostname = 'www.youtube.com';
+            url.pathname = '/watch';
+            url.searchParams.set('v', id);
+        }
+    },
+    {
+        hosts: ['google.com'],
+        keepParams: ['q', 'tbm']
+    },
+    {
+        // Product pages: /<slug>/dp/<ASIN>/ref=... and /gp/product/<ASIN>
+        hosts: ['amazon.com', 'amazon.co.uk', 'amazon.de', 'amazon.fr', 'amazon.co.jp', 'amazon.ca'],
+        keepParams: [],
+        rewrite: (url) => {
+            const asin = url.pathname.match(/\/(?:dp|gp\/product)\/([A-Z0-9]{10})/i);
+            if (asin) url.pathname = `/dp/${asin[1]}`;
+        }
+    },
+    {
+        hosts: ['twitter.com', 'x.com', 'mobile.twitter.com'],
+        keepParams: []
+    },
+    {
+        hosts: ['medium.com'],
+        dropParams: ['source', 'sk']
+    }
+];
+
+/**
+ * Find the site rule for a host (exact host or any parent domain)
+ * @param {string} hostname - Lowercase host name
+ * @returns {object|undefined} Matching rule
+ */
+function findSiteRule(hostname) {
+    const host = hostname.replace(/^www\./, '');
+    return SITE_RULES.find(rule =>
+        rule.hosts.some(ruleHost => host === ruleHost || host.endsWith('.' + ruleHost))
+    );
+}
+
+/**
+ * Whether a query parameter is a tracking parameter
+ * @param {string} name - Parameter name
+ * @returns {boolean}
+ */
+function isTrackingParam(name) {
+    const lower = name.toLowerCase();
+    return TRACKING_PARAMS.has(lower) || TRACKING_PARAM_PREFIXES.some(prefix => lower.startsWith(prefix));
+}
+
+/**
+ * Normalize a URL to the key used to compare pages
+ * Non-http(s) URLs and unparsable strings are returned unchanged
+ * @param {string} url - Page URL
+ * @returns {string} Normalized URL
+ */
+export function normalizeUrl(url) {
+    if (!url) return '';
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return url;
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return url;
+
+    let rule = findSiteRule(parsed.hostname);
+    if (rule?.rewrite) {
+        rule.rewrite(parsed);
+        // A rewrite may move the URL to another site with its own parameter rules
+        rule = findSiteRule(parsed.hostname);
+    }
+
+    // Hash routes (#/path, #!/path) select the page in single-page apps; other fragments do not
+    const hash = /^#!?\//.test(parsed.hash) ? parsed.hash : '';
+
+    const params = [...parsed.searchParams]
+        .filter(([name]) => !isTrackingParam(name))
+        .filter(([name]) => !rule?.keepParams || rule.keepParams.includes(name))
+        .filter(([name]) => !rule?.dropParams?.includes(name))
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    const query = new URLSearchParams(params).toString();
+
+    const pathname = parsed.pathname.length > 1 ? parsed.pathname.replace(/\/+$/, '') : parsed.pathname;
+    // www. and bare hosts serve the same pages on virtually every site
+    const host = parsed.host.replace(/^www\./, '');
+
+    return `${parsed.protocol}//${host}${pathname}${query ? '?' + query : ''}${hash}`;
+}
+
+/**
+ * Page key of a record: its canonical URL when the page declared a usable one, else its URL
+ * Canonical URLs on another site, or pointing at the site root from a deeper page, are
+ * ignored (misconfigured pages often declare those)
+ * @param {string} url - Page URL
+ * @param {string} [canonicalUrl] - <link rel="canonical"> of the page
+ * @returns {string} Normalized page key
+ */
+export function getPageKey(url, canonicalUrl) {
+    if (canonicalUrl) {
+        try {
+            const page = new URL(url);
+            const canonical = new URL(canonicalUrl);
+            const sameSite = canonical.hostname.replace(/^www\./, '') === page.hostname.replace(/^www\./, '');
+            const collapsedToRoot = canonical.pathname === '/' && page.pathname !== '/';
+            if (/^https?:$/.test(canonical.protocol) && sameSite && !collapsedToRoot) {
+                return normalizeUrl(canonicalUrl);
+            }
+        } catch (e) {
+            // Fall back to the page URL
+        }
+    }
+    return normalizeUrl(url);
+}
+
+/**
+ * Compare two URLs by their normalized form
+ * @param {string} url1 - First URL
+ * @param {string} url2 - Second URL
+ * @returns {boolean} Whether both point to the same page
+ */
+export function isSamePage(url1, url2) {
+    return !!url1 && !!url2 && normalizeUrl(url1) === normalizeUrl(url2);
+}